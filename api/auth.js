@@ -0,0 +1,321 @@
+// ========================================
+// AUTHENTICATION & LIMITS - Render Native
+// API tokens per user, rate limits, daily quotas and allowed CORS origins
+// ========================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const storage = require('./storage');
+
+const USERS_FILE = process.env.AUTH_USERS_FILE || storage.getDataPath('users.json');
+const QUOTA_FILE = process.env.QUOTA_USAGE_FILE || storage.getDataPath('quota-usage.json');
+
+// Required even without users (every /api request is then refused)
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+
+// Per user (or per IP while auth is off); a user's requestsPerMinute overrides it
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 120;
+
+// 0 = unlimited; a user's dailySegments / dailyTokens override them
+const DEFAULT_DAILY_SEGMENTS = parseInt(process.env.DEFAULT_DAILY_SEGMENTS, 10) || 0;
+const DEFAULT_DAILY_TOKENS = parseInt(process.env.DEFAULT_DAILY_TOKENS, 10) || 0;
+
+// Comma-separated; the app's own origin is always allowed, "*" allows every origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Quota usage is kept for a few days so it can be inspected, then dropped
+const QUOTA_DAYS_KEPT = 7;
+
+// Express "trust proxy": which proxies may set X-Forwarded-For, and so req.ip for the
+// per-IP rate limit. true | false | number of hops | comma-separated addresses/subnets;
+// default one hop on Render (its load balancer), none elsewhere
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+const RATE_WINDOW_MS = 60000;
+const rateWindows = new Map();
+let rateWindowsSweptAt = 0;
+
+let usersCache = null;
+let usersLoadedAt = 0;
+let quotaCache = null;
+
+/**
+ * USERS
+ * { users: [{ id, name, tokenHash, role: 'admin' | 'user', disabled, dailySegments,
+ *   dailyTokens, requestsPerMinute }] }. Tokens are stored as SHA-256 hashes only.
+ * The file is re-read when it changes, so bin/xlf-users.js edits apply without a restart.
+ */
+function loadUsers() {
+    let modifiedAt = 0;
+    try {
+        modifiedAt = fs.statSync(USERS_FILE).mtimeMs;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!usersCache || modifiedAt !== usersLoadedAt) {
+        const data = modifiedAt ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) : { users: [] };
+        usersCache = {
+            users: data.users || [],
+            byTokenHash: new Map((data.users || []).map(user => [user.tokenHash, user]))
+        };
+        usersLoadedAt = modifiedAt;
+    }
+    return usersCache;
+}
+
+function isAuthEnabled() {
+    return AUTH_REQUIRED || loadUsers().users.length > 0;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createToken() {
+    return `xlf_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * AUTHENTICATE (Express middleware for /api)
+ * Authorization: Bearer <token> or X-API-Key; ?access_token= only for EventSource streams,
+ * which cannot send headers. Sets req.user ({ id: 'anonymous', role: 'admin' } while
+ * no users are configured).
+ */
+function authenticate(req, res, next) {
+    if (!isAuthEnabled()) {
+        req.user = { id: 'anonymous', role: 'admin' };
+        return next();
+    }
+
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ')
+        ? header.slice(7).trim()
+        : req.get('x-api-key') || (req.path.endsWith('/events') ? req.query.access_token : null);
+
+    if (!token) {
+        return reject(res, 401, 'unauthenticated', 'API token required: send "Authorization: Bearer <token>"');
+    }
+
+    const user = loadUsers().byTokenHash.get(hashToken(token));
+    if (!user) {
+        return reject(res, 401, 'invalid-token', 'Invalid API token');
+    }
+    if (user.disabled) {
+        return reject(res, 403, 'user-disabled', `User ${user.id} is disabled`);
+    }
+
+    req.user = user;
+    next();
+}
+
+/**
+ * RATE LIMIT (Express middleware, after authenticate)
+ * Fixed one-minute window per user; answers 429 with Retry-After
+ */
+function rateLimit(req, res, next) {
+    const key = req.user.id === 'anonymous' ? `ip:${req.ip}` : `user:${req.user.id}`;
+    const limit = parseInt(req.user.requestsPerMinute, 10) || RATE_LIMIT_PER_MINUTE;
+    const now = Date.now();
+
+    // Drop expired windows once a minute, so one-off IPs do not pile up
+    if (now - rateWindowsSweptAt >= RATE_WINDOW_MS) {
+        rateWindows.forEach((expired, windowKey) => {
+            if (now >= expired.resetAt) rateWindows.delete(windowKey);
+        });
+        rateWindowsSweptAt = now;
+    }
+
+    let window = rateWindows.get(key);
+    if (!window || now >= window.resetAt) {
+        window = { count: 0, resetAt: now + RATE_WINDOW_MS };
+        rateWindows.set(key, window);
+    }
+    window.count++;
+
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, limit - window.count)));
+
+    if (window.count > limit) {
+        const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return reject(res, 429, 'rate-limited', `Rate limit of ${limit} requests per minute exceeded, retry in ${retryAfter}s`);
+    }
+    next();
+}
+
+/**
+ * DAILY QUOTA (Express middleware factory)
+ * estimate(req) → { segments, tokens } the request will use (estimated source tokens).
+ * The amount is charged before the work starts; requests that would pass the user's
+ * daily limit get 429 with code "quota-exceeded" (not retryable before the next UTC day).
+ * Requests whose estimate fails are let through, so the route reports its own error.
+ */
+function quota(estimate) {
+    return async (req, res, next) => {
+        const limits = getDailyLimits(req.user);
+        if (!limits.segments && !limits.tokens) return next();
+
+        let amount;
+        try {
+            amount = await estimate(req);
+        } catch (error) {
+            return next();
+        }
+
+        try {
+            const usage = await chargeQuota(req.user.id, amount, limits);
+            if (usage.exceeded) {
+                res.set('Retry-After', String(secondsUntilNextDay()));
+                return reject(res, 429, 'quota-exceeded',
+                    `Daily ${usage.exceeded} quota exceeded for ${req.user.id}: ${usage.used} of ${usage.limit} used, ${usage.requested} requested`);
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+async function chargeQuota(userId, amount, limits) {
+    const data = await loadQuotaUsage();
+    const today = new Date().toISOString().slice(0, 10);
+    const day = data.days[today] || (data.days[today] = {});
+    const used = day[userId] || { segments: 0, tokens: 0 };
+
+    const requested = {
+        segments: Math.max(0, parseInt(amount.segments, 10) || 0),
+        tokens: Math.max(0, parseInt(amount.tokens, 10) || 0)
+    };
+
+    for (const kind of ['segments', 'tokens']) {
+        if (limits[kind] && used[kind] + requested[kind] > limits[kind]) {
+            return { exceeded: kind, used: used[kind], limit: limits[kind], requested: requested[kind] };
+        }
+    }
+
+    day[userId] = {
+        segments: used.segments + requested.segments,
+        tokens: used.tokens + requested.tokens
+    };
+    Object.keys(data.days)
+        .sort()
+        .slice(0, -QUOTA_DAYS_KEPT)
+        .forEach(oldDay => delete data.days[oldDay]);
+    await storage.writeJSON(QUOTA_FILE, data);
+
+    return { exceeded: null, ...day[userId] };
+}
+
+/**
+ * TODAY'S USAGE AND LIMITS FOR A USER
+ */
+async function getQuotaStatus(user) {
+    const data = await loadQuotaUsage();
+    const today = new Date().toISOString().slice(0, 10);
+    const used = (data.days[today] || {})[user.id] || { segments: 0, tokens: 0 };
+    const limits = getDailyLimits(user);
+
+    return {
+        user: user.id,
+        role: user.role || 'user',
+        day: today,
+        used,
+        limits: { segments: limits.segments || null, tokens: limits.tokens || null },
+        resetsInSeconds: secondsUntilNextDay()
+    };
+}
+
+/**
+ * CORS OPTIONS (for the cors middleware's per-request form)
+ * No Origin header and the app's own origin are always allowed; other origins must be
+ * listed in CORS_ORIGINS and get 403 otherwise. Cross-origin callers can read the
+ * correlation id and Retry-After headers.
+ */
+function corsOptions(req, callback) {
+    const origin = req.get('origin');
+    if (!origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin) || isSameOrigin(origin, req)) {
+        return callback(null, { origin: !!origin, credentials: false, exposedHeaders: ['X-Request-Id', 'Retry-After'] });
+    }
+
+    const error = new Error(`Origin ${origin} is not allowed`);
+    error.status = 403;
+    error.code = 'origin-not-allowed';
+    callback(error);
+}
+
+/**
+ * Admins see everything; other users only what they own
+ */
+function canAccess(user, ownerId) {
+    return !user || user.role === 'admin' || !ownerId || ownerId === user.id;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function loadQuotaUsage() {
+    // The promise is cached, so concurrent first requests share one copy
+    if (!quotaCache) {
+        quotaCache = storage.readJSON(QUOTA_FILE, { version: 1, days: {} });
+    }
+    return quotaCache;
+}
+
+function getDailyLimits(user) {
+    return {
+        segments: user.dailySegments !== undefined ? parseInt(user.dailySegments, 10) || 0 : DEFAULT_DAILY_SEGMENTS,
+        tokens: user.dailyTokens !== undefined ? parseInt(user.dailyTokens, 10) || 0 : DEFAULT_DAILY_TOKENS
+    };
+}
+
+function isSameOrigin(origin, req) {
+    try {
+        return new URL(origin).host === req.get('host');
+    } catch (error) {
+        return false;
+    }
+}
+
+function secondsUntilNextDay() {
+    const now = new Date();
+    return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+}
+
+function parseTrustProxy(value) {
+    if (value === undefined || value.trim() === '') {
+        return process.env.RENDER ? 1 : false;
+    }
+    if (/^(true|false)$/i.test(value.trim())) {
+        return value.trim().toLowerCase() === 'true';
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10);
+    }
+    return value.split(',').map(address => address.trim()).filter(Boolean);
+}
+
+function reject(res, status, code, message) {
+    res.status(status).json({
+        success: false,
+        error: message,
+        code,
+        service: 'auth'
+    });
+}
+
+// Export for Express server
+module.exports = {
+    USERS_FILE,
+    TRUST_PROXY,
+    loadUsers,
+    isAuthEnabled,
+    hashToken,
+    createToken,
+    authenticate,
+    rateLimit,
+    quota,
+    getQuotaStatus,
+    corsOptions,
+    canAccess
+};
@@ -0,0 +1,725 @@
+// ========================================
+// BILINGUAL EXPORT / IMPORT - Render Native
+// XLSX / CSV review files, gettext PO and flat JSON, merged back into the XLF by id
+// ========================================
+
+const xlfParser = require('./xlf-parser');
+const incremental = require('./incremental');
+const icu = require('./icu');
+const inlineTags = require('./inline-tags');
+const zip = require('./zip');
+const logger = require('./logger');
+
+const log = logger.createLogger('BILINGUAL');
+
+const FORMATS = ['xlsx', 'csv', 'po', 'json'];
+
+const CONTENT_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv; charset=utf-8',
+    po: 'text/x-gettext-translation; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+// Spreadsheet columns, in export order
+const COLUMNS = ['id', 'source', 'target', 'note', 'status'];
+
+// Units that are never written by an import
+const PROTECTED_STATUSES = ['translate-no', 'locked'];
+
+// Spreadsheet apps run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * EXPORT BILINGUAL FILE
+ * xlsx / csv: id, source, target, note and status per unit (inline markup kept as in the XLF)
+ * po:         msgctxt = unit id (left out when it equals the source), "#, fuzzy" for
+ *             needs-translation and changed sources, notes as extracted comments
+ * json:       flat { id: target } for every translated unit
+ * PO and JSON are plain-text formats: entities are decoded on export and escaped on import.
+ * Returns { content (string | Buffer), contentType, extension, units }
+ */
+function exportBilingual(xlfContent, options = {}) {
+    const format = resolveFormat(options.format, options.fileName);
+    const parsed = xlfParser.parseXLF(xlfContent);
+    const rows = getRows(parsed);
+
+    let content;
+    if (format === 'xlsx') {
+        content = writeXLSX(rows);
+    } else if (format === 'csv') {
+        content = writeCSV(rows);
+    } else if (format === 'po') {
+        content = writePO(rows, parsed);
+    } else {
+        content = writeJSON(rows);
+    }
+
+    log.info('Bilingual file exported', { units: rows.length, format });
+
+    return {
+        content,
+        contentType: CONTENT_TYPES[format],
+        extension: format,
+        units: rows.length
+    };
+}
+
+/**
+ * IMPORT BILINGUAL FILE
+ * Writes edited targets back into the XLF by unit id (PO entries without msgctxt match
+ * by source). A spreadsheet status of "approved" marks the unit approved. Empty targets,
+ * fuzzy PO entries, targets whose inline codes do not match the source (see
+ * inline-tags.validateInlineTags), targets of ICU messages that are not valid ICU
+ * (see icu.validateTranslation) and translate="no" / locked units are never written.
+ * fileContent: text, or a Buffer / base64 string (options.encoding = 'base64') for xlsx.
+ * Returns { success, xlfContent, report: { format, rows, changed, unchanged, unknown,
+ * missing, skipped } }
+ */
+function importBilingual(xlfContent, fileContent, options = {}) {
+    const format = resolveFormat(options.format, options.fileName);
+    const parsed = xlfParser.parseXLF(xlfContent);
+    const rows = readRows(format, fileContent, options.encoding);
+
+    if (rows.length > 0 && rows.every(row => row.target === undefined)) {
+        throw new Error('The file has no target column');
+    }
+
+    const unitsById = new Map(parsed.units.map(unit => [unit.id, unit]));
+    const unitsBySource = new Map();
+    parsed.units.forEach(unit => {
+        const key = unit.source.trim();
+        if (!unitsBySource.has(key)) unitsBySource.set(key, []);
+        unitsBySource.get(key).push(unit);
+    });
+
+    const report = { format, rows: rows.length, changed: [], unchanged: 0, unknown: [], missing: [], skipped: [] };
+    const translationsById = {};
+    const approvedIds = [];
+    const seen = new Set();
+    const targetLang = options.targetLang || parsed.targetLang;
+
+    rows.forEach((row, index) => {
+        let units;
+        if (row.id !== undefined && row.id !== '') {
+            units = [unitsById.get(row.id)].filter(Boolean);
+        } else if (unitsById.has(row.source)) {
+            // PO files converted by convertToXLF use the msgid as unit id
+            units = [unitsById.get(row.source)];
+        } else {
+            units = unitsBySource.get(fromPlainText(format, row.source || '', '').trim()) || [];
+        }
+
+        if (units.length === 0) {
+            report.unknown.push({ row: index + 1, id: row.id || null, source: row.source || null });
+            return;
+        }
+
+        units.forEach(unit => {
+            seen.add(unit.id);
+            const status = incremental.getUnitStatus(unit, parsed.version);
+            // Edge whitespace comes back from the source when the XLF is assembled
+            const target = fromPlainText(format, row.target || '', unit.source).trim();
+            const approved = String(row.status || '').trim().toLowerCase() === 'approved';
+            const targetChanged = target !== (unit.target || '').trim();
+            const tagCheck = checkInlineCodes(unit.source, target);
+            const icuCheck = icu.validateTranslation(unit.source, target, targetLang);
+
+            if (!targetChanged && !(approved && status !== 'approved')) {
+                report.unchanged++;
+            } else if (PROTECTED_STATUSES.includes(status)) {
+                report.skipped.push({ id: unit.id, reason: status });
+            } else if (target.length === 0) {
+                report.skipped.push({ id: unit.id, reason: 'empty-target' });
+            } else if (row.fuzzy) {
+                report.skipped.push({ id: unit.id, reason: 'fuzzy' });
+            } else if (!tagCheck.valid) {
+                report.skipped.push({ id: unit.id, reason: 'tag-mismatch', errors: tagCheck.errors });
+            } else if (!icuCheck.valid) {
+                report.skipped.push({ id: unit.id, reason: 'icu-invalid', errors: icuCheck.errors });
+            } else {
+                translationsById[unit.id] = target;
+                if (approved) approvedIds.push(unit.id);
+                report.changed.push({ id: unit.id, before: unit.target, after: target, approved });
+            }
+        });
+    });
+
+    report.missing = parsed.units
+        .filter(unit => unit.source.trim().length > 0 && !seen.has(unit.id))
+        .map(unit => unit.id);
+
+    const assembled = xlfParser.assembleXLF(xlfContent, translationsById, {
+        parsed,
+        approvedIds,
+        targetLang: options.targetLang || parsed.targetLang || undefined
+    });
+
+    log.info('Bilingual file imported', {
+        format,
+        changed: report.changed.length,
+        unchanged: report.unchanged,
+        unknown: report.unknown.length,
+        missing: report.missing.length,
+        skipped: report.skipped.length
+    });
+
+    return {
+        success: true,
+        xlfContent: assembled.xlfContent,
+        report
+    };
+}
+
+/**
+ * CONVERT TO XLF
+ * Builds an XLIFF 1.2 file from app strings (PO, flat or nested JSON) or a bilingual
+ * spreadsheet, so they go through the normal translation pipeline and can be exported back.
+ * JSON: { key: source }; PO: msgid is the source, msgstr an existing target.
+ */
+function convertToXLF(fileContent, options = {}) {
+    const format = resolveFormat(options.format, options.fileName);
+    const rows = readRows(format, fileContent, options.encoding, { sourceFromJSON: true });
+    const header = format === 'po' ? readPOHeader(fileContent) : {};
+    const sourceLang = options.sourceLang || header.sourceLang || 'en';
+    const targetLang = options.targetLang || header.targetLang || null;
+
+    const usedIds = new Set();
+    const units = rows
+        .filter(row => row.source && row.source.trim().length > 0)
+        .map(row => {
+            let id = row.id || row.source;
+            for (let n = 2; usedIds.has(id); n++) {
+                id = `${row.id || row.source}#${n}`;
+            }
+            usedIds.add(id);
+
+            const source = fromPlainText(format, row.source, '');
+            const target = row.target ? fromPlainText(format, row.target, source) : '';
+            const state = row.fuzzy ? 'needs-translation' : 'translated';
+            return [
+                `      <trans-unit id="${xlfParser.escapeXMLCharacters(id)}">`,
+                `        <source>${source}</source>`,
+                target ? `        <target state="${state}">${target}</target>` : null,
+                row.note ? `        <note>${escapeText(row.note)}</note>` : null,
+                '      </trans-unit>'
+            ].filter(line => line !== null).join('\n');
+        });
+
+    const fileAttributes = [
+        `original="${xlfParser.escapeXMLCharacters(options.fileName || `strings.${format}`)}"`,
+        `source-language="${xlfParser.escapeXMLCharacters(sourceLang)}"`,
+        targetLang ? `target-language="${xlfParser.escapeXMLCharacters(targetLang)}"` : null,
+        'datatype="plaintext"'
+    ].filter(Boolean).join(' ');
+
+    const xlfContent = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file ${fileAttributes}>
+    <body>
+${units.join('\n')}
+    </body>
+  </file>
+</xliff>
+`;
+
+    log.info('Bilingual file converted to XLF', { units: units.length, format });
+
+    return {
+        success: true,
+        xlfContent,
+        units: units.length,
+        sourceLang,
+        targetLang
+    };
+}
+
+/**
+ * ROWS
+ * One row per unit with text: { id, source, target, note, status }
+ */
+function getRows(parsed) {
+    return parsed.units
+        .filter(unit => unit.source.trim().length > 0)
+        .map(unit => ({
+            id: unit.id,
+            source: unit.source.trim(),
+            target: (unit.target || '').trim(),
+            note: unit.notes.join(' | '),
+            status: incremental.getUnitStatus(unit, parsed.version)
+        }));
+}
+
+function readRows(format, fileContent, encoding, options = {}) {
+    if (format === 'xlsx') {
+        const buffer = Buffer.isBuffer(fileContent) ? fileContent : Buffer.from(String(fileContent || ''), 'base64');
+        return mapColumns(readXLSX(buffer));
+    }
+
+    const text = Buffer.isBuffer(fileContent)
+        ? fileContent.toString('utf8')
+        : encoding === 'base64' ? Buffer.from(String(fileContent || ''), 'base64').toString('utf8') : String(fileContent || '');
+
+    if (format === 'csv') {
+        return mapColumns(readCSV(text).map(cells => cells.map(cell =>
+            (cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell))));
+    }
+    if (format === 'po') {
+        return readPO(text);
+    }
+    return Object.entries(flattenJSON(JSON.parse(text.replace(/^\uFEFF/, ''))))
+        .map(([id, value]) => (options.sourceFromJSON ? { id, source: value } : { id, target: value }));
+}
+
+/**
+ * Header row → row objects; column names are case-insensitive ("notes" works too)
+ */
+function mapColumns(table) {
+    const header = (table[0] || []).map(cell => String(cell).trim().toLowerCase().replace(/^notes$/, 'note'));
+    const columnIndex = name => header.indexOf(name);
+
+    if (columnIndex('id') === -1 && columnIndex('source') === -1) {
+        throw new Error('Missing header row with an "id" or "source" column');
+    }
+
+    return table.slice(1)
+        .filter(cells => cells.some(cell => String(cell).trim().length > 0))
+        .map(cells => {
+            const row = {};
+            COLUMNS.forEach(name => {
+                const index = columnIndex(name);
+                if (index !== -1) row[name] = cells[index] !== undefined ? String(cells[index]) : '';
+            });
+            if (row.id !== undefined) row.id = row.id.trim();
+            return row;
+        });
+}
+
+/**
+ * CSV (RFC 4180): UTF-8 with BOM so Excel opens it correctly; reading accepts
+ * comma, semicolon or tab separators. Cells that a spreadsheet would run as a formula
+ * are written with a leading ' (removed again on import).
+ */
+function writeCSV(rows) {
+    const escapeCell = text => {
+        const value = FORMULA_PREFIX.test(text) ? `'${text}` : text;
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    };
+    const lines = [COLUMNS.join(','), ...rows.map(row => COLUMNS.map(name => escapeCell(row[name])).join(','))];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function readCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const table = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            table.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell.length > 0 || row.length > 0) {
+        row.push(cell);
+        table.push(row);
+    }
+
+    return table;
+}
+
+/**
+ * XLSX: one "Translations" sheet with inline strings and a frozen header row
+ */
+function writeXLSX(rows) {
+    const columnName = index => String.fromCharCode(65 + index);
+    const cellXml = (value, rowNumber, index) => {
+        const text = escapeText(String(value).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''));
+        const space = /^\s|\s$|\n/.test(value) ? ' xml:space="preserve"' : '';
+        return `<c r="${columnName(index)}${rowNumber}" t="inlineStr"><is><t${space}>${text}</t></is></c>`;
+    };
+    const rowXml = (values, rowNumber) => `<row r="${rowNumber}">${values.map((value, index) => cellXml(value, rowNumber, index)).join('')}</row>`;
+
+    const sheetRows = [
+        rowXml(COLUMNS, 1),
+        ...rows.map((row, index) => rowXml(COLUMNS.map(name => row[name]), index + 2))
+    ];
+
+    const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><cols><col min="1" max="1" width="24" customWidth="1"/><col min="2" max="3" width="60" customWidth="1"/><col min="4" max="4" width="40" customWidth="1"/><col min="5" max="5" width="18" customWidth="1"/></cols><sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+
+    return zip.createZip([
+        {
+            name: '[Content_Types].xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`
+        },
+        {
+            name: '_rels/.rels',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Translations" sheetId="1" r:id="rId1"/></sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: sheet }
+    ]);
+}
+
+/**
+ * Reads the first worksheet as a table of strings (shared, inline and plain cell values)
+ */
+function readXLSX(buffer) {
+    const entries = zip.readZip(buffer);
+    const readEntry = name => (entries[name] ? entries[name].toString('utf8') : null);
+
+    const sharedStrings = [];
+    const sharedXml = readEntry('xl/sharedStrings.xml');
+    if (sharedXml) {
+        const itemRegex = /<si>([\s\S]*?)<\/si>/g;
+        let match;
+        while ((match = itemRegex.exec(sharedXml)) !== null) {
+            sharedStrings.push(readRichText(match[1]));
+        }
+    }
+
+    const sheetXml = readEntry(findFirstSheetPath(readEntry('xl/workbook.xml'), readEntry('xl/_rels/workbook.xml.rels')));
+    if (!sheetXml) {
+        throw new Error('Invalid XLSX file: no worksheet found');
+    }
+
+    const table = [];
+    const rowRegex = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+    let rowMatch;
+    while ((rowMatch = rowRegex.exec(sheetXml)) !== null) {
+        const cells = [];
+        const cellRegex = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cellMatch;
+        while ((cellMatch = cellRegex.exec(rowMatch[1] || '')) !== null) {
+            const attributes = xlfParser.parseAttributes(cellMatch[1]);
+            const body = cellMatch[2] || '';
+            const reference = (attributes.r || '').match(/^[A-Z]+/);
+            const index = reference ? columnIndexFromLetters(reference[0]) : cells.length;
+            const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            if (attributes.t === 's') {
+                cells[index] = sharedStrings[parseInt(value, 10)] || '';
+            } else if (attributes.t === 'inlineStr') {
+                cells[index] = readRichText(body);
+            } else {
+                cells[index] = value !== undefined ? decodeSpreadsheetText(value) : '';
+            }
+        }
+        table.push(Array.from(cells, cell => cell || ''));
+    }
+
+    return table;
+}
+
+function findFirstSheetPath(workbookXml, relsXml) {
+    const sheet = workbookXml && workbookXml.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    if (sheet && relsXml) {
+        const relationRegex = /<Relationship\b([^>]*)\/?>/g;
+        let match;
+        while ((match = relationRegex.exec(relsXml)) !== null) {
+            const attributes = xlfParser.parseAttributes(match[1]);
+            if (attributes.Id === sheet[1]) {
+                return attributes.Target.startsWith('/') ? attributes.Target.slice(1) : `xl/${attributes.Target}`;
+            }
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+function readRichText(xml) {
+    const texts = [];
+    const textRegex = /<t\b[^>]*>([\s\S]*?)<\/t>/g;
+    let match;
+    // Phonetic runs (<rPh>) are reading aids, not cell text
+    const content = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    while ((match = textRegex.exec(content)) !== null) {
+        texts.push(decodeSpreadsheetText(match[1]));
+    }
+    return texts.join('');
+}
+
+function decodeSpreadsheetText(text) {
+    return decodeEntities(text).replace(/_x([0-9A-Fa-f]{4})_/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function columnIndexFromLetters(letters) {
+    return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * GETTEXT PO
+ */
+function writePO(rows, parsed) {
+    const header = [
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit',
+        parsed.targetLang ? `Language: ${parsed.targetLang}` : null,
+        parsed.sourceLang ? `X-Source-Language: ${parsed.sourceLang}` : null,
+        'X-Generator: XLF Translator'
+    ].filter(Boolean);
+
+    const entries = rows.map(row => {
+        const source = toPlainText(row.source);
+        const lines = [];
+        if (row.note) lines.push(`#. ${row.note.replace(/\n/g, ' ')}`);
+        if (row.status === 'needs-translation' || row.status === 'changed') lines.push('#, fuzzy');
+        if (row.id !== source) lines.push(`msgctxt ${quotePO(row.id)}`);
+        lines.push(`msgid ${quotePO(source)}`);
+        lines.push(`msgstr ${quotePO(toPlainText(row.target))}`);
+        return lines.join('\n');
+    });
+
+    return `msgid ""
+msgstr ""
+${header.map(line => quotePO(`${line}\n`)).join('\n')}
+
+${entries.join('\n\n')}
+`;
+}
+
+function quotePO(text) {
+    const escaped = text
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r');
+
+    const lines = escaped.split('\n');
+    if (lines.length === 1) {
+        return `"${escaped}"`;
+    }
+
+    // Multi-line strings: one quoted line per source line, each ending in \n
+    const parts = lines.map((line, i) => (i < lines.length - 1 ? `${line}\\n` : line)).filter(Boolean);
+    return parts.length === 1 ? `"${parts[0]}"` : `""\n${parts.map(part => `"${part}"`).join('\n')}`;
+}
+
+/**
+ * Entries as rows: { id (msgctxt), source (msgid), target (msgstr / msgstr[0]), note, fuzzy };
+ * the header entry and obsolete (#~) entries are left out
+ */
+function readPO(text) {
+    const rows = [];
+    let entry = null;
+    let field = null;
+
+    const finish = () => {
+        if (entry && entry.msgid !== undefined && entry.msgid !== '') {
+            rows.push({
+                id: entry.msgctxt,
+                source: entry.msgid,
+                target: entry.msgstr || '',
+                note: entry.notes.join(' | ') || undefined,
+                fuzzy: entry.fuzzy
+            });
+        }
+        entry = null;
+        field = null;
+    };
+    const current = () => {
+        if (!entry) entry = { notes: [], fuzzy: false };
+        return entry;
+    };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+
+        if (line === '') {
+            finish();
+        } else if (line.startsWith('#~')) {
+            field = null;
+        } else if (line.startsWith('#,')) {
+            if (entry && entry.msgid !== undefined) finish();
+            if (/\bfuzzy\b/.test(line)) current().fuzzy = true;
+        } else if (line.startsWith('#.')) {
+            if (entry && entry.msgid !== undefined) finish();
+            current().notes.push(line.slice(2).trim());
+        } else if (line.startsWith('#')) {
+            if (entry && entry.msgid !== undefined) finish();
+            current();
+        } else {
+            const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*")$/);
+            if (match) {
+                if (match[1] === 'msgctxt' && entry && entry.msgid !== undefined) finish();
+                const name = match[1].startsWith('msgstr') ? (match[2] && match[2] !== '0' ? null : 'msgstr') : match[1];
+                field = name;
+                if (name) current()[name] = unquotePO(match[3]);
+            } else if (line.startsWith('"') && field) {
+                current()[field] += unquotePO(line);
+            }
+        }
+    });
+    finish();
+
+    return rows;
+}
+
+function readPOHeader(text) {
+    const headerMatch = String(text).match(/msgid\s+""\s*\r?\nmsgstr\s+((?:".*"\s*\r?\n?)+)/);
+    if (!headerMatch) return {};
+
+    const header = headerMatch[1].split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(unquotePO).join('');
+    const field = name => {
+        const match = header.match(new RegExp(`^${name}:\\s*(.+)$`, 'mi'));
+        return match ? match[1].trim() : null;
+    };
+    return { targetLang: field('Language'), sourceLang: field('X-Source-Language') };
+}
+
+function unquotePO(quoted) {
+    return quoted.trim().slice(1, -1).replace(/\\(["\\nrt])/g, (escape, char) => ({ n: '\n', r: '\r', t: '\t' }[char] || char));
+}
+
+/**
+ * FLAT JSON: { id: target } for translated units; nested objects are read as dotted keys
+ */
+function writeJSON(rows) {
+    const strings = {};
+    rows.filter(row => row.target.length > 0).forEach(row => {
+        strings[row.id] = toPlainText(row.target);
+    });
+    return `${JSON.stringify(strings, null, 2)}\n`;
+}
+
+function flattenJSON(value, prefix = '', result = {}) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('JSON file must be an object of key/value strings');
+    }
+
+    Object.entries(value).forEach(([key, entry]) => {
+        const id = prefix ? `${prefix}.${key}` : key;
+        if (typeof entry === 'string') {
+            result[id] = entry;
+        } else if (entry !== null && typeof entry === 'object' && !Array.isArray(entry)) {
+            flattenJSON(entry, id, result);
+        }
+    });
+    return result;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function resolveFormat(format, fileName) {
+    const resolved = String(format || (fileName ? fileName.split('.').pop() : '')).toLowerCase().replace(/^tsv$/, 'csv');
+    if (!FORMATS.includes(resolved)) {
+        throw new Error(`Unsupported bilingual format "${format || fileName || ''}" (available: ${FORMATS.join(', ')})`);
+    }
+    return resolved;
+}
+
+/**
+ * Imported text → XLF content. Tags are kept as they are and only the text around them
+ * is escaped: stray & and < in XLSX / CSV (which carry XLF markup and entities), every
+ * & < > in PO / JSON (plain text; there tags are kept only when the source has inline elements)
+ */
+function fromPlainText(format, text, source) {
+    const plainText = format === 'po' || format === 'json';
+    if (plainText && !/<[A-Za-z]/.test(source)) {
+        return escapeText(text);
+    }
+
+    return text
+        .split(/(<\/?[A-Za-z][^<>]*>)/)
+        .map((part, index) => {
+            if (index % 2 === 1) return part;
+            return plainText
+                ? escapeText(part)
+                : part.replace(/&(?!(?:[A-Za-z][\w.-]*|#\d+|#x[0-9A-Fa-f]+);)/g, '&amp;').replace(/</g, '&lt;');
+        })
+        .join('');
+}
+
+/**
+ * Inline codes of an imported target against its source: each target code is matched to the
+ * source code with the same markup, then checked with inline-tags.validateInlineTags
+ */
+function checkInlineCodes(source, target) {
+    const { codes } = inlineTags.protectInlineTags(source);
+    const targetCodes = inlineTags.protectInlineTags(target).codes;
+    // Closing tags share the number of their opening tag; everything else is matched by markup
+    const isClosingTag = code => code.kind === 'close' && !code.isolated;
+    const unmatched = codes.filter(code => !isClosingTag(code));
+    const numbers = new Map();
+
+    targetCodes.filter(code => !isClosingTag(code)).forEach(code => {
+        const index = unmatched.findIndex(sourceCode => sourceCode.xml === code.xml);
+        numbers.set(code.number, index !== -1 ? unmatched.splice(index, 1)[0].number : codes.length + code.number);
+    });
+
+    // Only the token sequence matters to the check
+    const tokens = targetCodes.map(code =>
+        code.token.replace(/\d+/, String(numbers.get(code.number) || codes.length + code.number)));
+    return inlineTags.validateInlineTags(tokens.join(' '), codes);
+}
+
+// XLF content → PO / JSON text: entities decoded, inline elements left as they are
+function toPlainText(content) {
+    return content
+        .split(/(<[^>]*>)/)
+        .map(part => (part.startsWith('<') ? part : decodeEntities(part)))
+        .join('');
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(?:(amp|lt|gt|quot|apos)|#(\d+)|#x([0-9a-f]+));/gi, (entity, name, decimal, hex) => {
+        if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+    });
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Export for Express server
+module.exports = {
+    FORMATS,
+    exportBilingual,
+    importBilingual,
+    convertToXLF
+};
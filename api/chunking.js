@@ -0,0 +1,114 @@
+// ========================================
+// CHUNK SCHEDULING - Render Native
+// Token-budgeted chunks and an ordered, concurrency-limited chunk runner
+// ========================================
+
+// Estimated source tokens per chunk: keeps the JSON answer well below the output limit
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.CHUNK_TOKEN_BUDGET, 10) || 2500;
+const DEFAULT_MAX_SEGMENTS = parseInt(process.env.CHUNK_MAX_SEGMENTS, 10) || 50;
+const DEFAULT_CONCURRENCY = parseInt(process.env.CHUNK_CONCURRENCY, 10) || 3;
+
+// JSON key, quotes and separators added around every segment in the prompt and the answer
+const SEGMENT_OVERHEAD_TOKENS = 6;
+
+// Scripts where one character is roughly one token (CJK, Hangul, Thai)
+const WIDE_CHARACTERS = /[\u0E00-\u0E7F\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g;
+
+/**
+ * TOKEN ESTIMATE
+ * ~4 characters per token for alphabetic scripts, ~1 per character for CJK/Thai
+ */
+function estimateTokens(text) {
+    const value = String(text || '');
+    const wide = (value.match(WIDE_CHARACTERS) || []).length;
+    return Math.ceil((value.length - wide) / 4) + wide;
+}
+
+/**
+ * CREATE TOKEN-BUDGETED CHUNKS
+ * Fills each chunk until the next segment would exceed tokenBudget or maxSegments;
+ * a segment larger than the budget gets a chunk of its own
+ */
+function createTokenChunks(items, options = {}) {
+    const getText = options.getText || (item => item);
+    const tokenBudget = Math.max(1, parseInt(options.tokenBudget, 10) || DEFAULT_TOKEN_BUDGET);
+    const maxSegments = Math.max(1, parseInt(options.maxSegments, 10) || DEFAULT_MAX_SEGMENTS);
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    items.forEach(item => {
+        const tokens = estimateTokens(getText(item)) + SEGMENT_OVERHEAD_TOKENS;
+
+        if (current.length > 0 && (currentTokens + tokens > tokenBudget || current.length >= maxSegments)) {
+            chunks.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+
+        current.push(item);
+        currentTokens += tokens;
+    });
+
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * RUN CHUNKS CONCURRENTLY, APPLY RESULTS IN ORDER
+ * Up to `concurrency` workers run at once; onResult(result, index) is called strictly
+ * in chunk order (a fast chunk waits for the slower ones before it).
+ *   startIndex   first chunk to run (resume)
+ *   shouldStop   () => true stops handing out new chunks
+ * Returns the index of the first chunk whose result was not applied.
+ */
+async function runChunksInOrder(chunks, worker, options = {}) {
+    const concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+    const startIndex = options.startIndex || 0;
+    const results = new Map();
+
+    let nextToRun = startIndex;
+    let nextToApply = startIndex;
+    let applyChain = Promise.resolve();
+
+    const applyReadyResults = async () => {
+        while (results.has(nextToApply)) {
+            const result = results.get(nextToApply);
+            results.delete(nextToApply);
+            if (options.onResult) {
+                await options.onResult(result, nextToApply);
+            }
+            nextToApply++;
+        }
+    };
+
+    const runWorker = async () => {
+        while (nextToRun < chunks.length && !(options.shouldStop && options.shouldStop())) {
+            const index = nextToRun++;
+            results.set(index, await worker(chunks[index], index));
+            // Serialized so two workers finishing together never apply out of order
+            applyChain = applyChain.then(applyReadyResults);
+            await applyChain;
+        }
+    };
+
+    const workers = Math.min(concurrency, Math.max(0, chunks.length - startIndex));
+    await Promise.all(Array.from({ length: workers }, runWorker));
+    await applyChain;
+
+    return nextToApply;
+}
+
+// Export for API modules
+module.exports = {
+    DEFAULT_TOKEN_BUDGET,
+    DEFAULT_MAX_SEGMENTS,
+    DEFAULT_CONCURRENCY,
+    estimateTokens,
+    createTokenChunks,
+    runChunksInOrder
+};
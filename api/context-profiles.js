@@ -0,0 +1,280 @@
+// ========================================
+// CONTEXT PROFILES - Render Native
+// Named, versioned translation contexts per client/project, reused across files
+// ========================================
+
+const storage = require('./storage');
+const generateContext = require('./generate-context');
+const xlfParser = require('./xlf-parser');
+const { normalizeLang } = require('./languages');
+const logger = require('./logger');
+
+const log = logger.createLogger('PROFILES');
+
+const PROFILES_FILE = process.env.CONTEXT_PROFILES_FILE || storage.getDataPath('context-profiles.json');
+
+// Previous versions kept per profile, so a job can always show what it was given
+const MAX_PROFILE_HISTORY = parseInt(process.env.CONTEXT_PROFILE_HISTORY, 10) || 20;
+
+const DEFAULT_PROJECT = 'default';
+
+let profilesCache = null;
+
+async function loadProfiles() {
+    if (!profilesCache) {
+        profilesCache = await storage.readJSON(PROFILES_FILE, { version: 1, profiles: {} });
+    }
+    return profilesCache;
+}
+
+/**
+ * LIST PROFILES
+ * Summaries (no context texts), optionally for one project
+ */
+async function listProfiles(options = {}) {
+    const data = await loadProfiles();
+    const project = options.project ? slugify(options.project) : null;
+
+    return Object.values(data.profiles)
+        .filter(profile => !project || slugify(profile.project) === project)
+        .sort((a, b) => a.project.localeCompare(b.project) || a.name.localeCompare(b.name))
+        .map(profile => ({
+            id: profile.id,
+            name: profile.name,
+            project: profile.project,
+            version: profile.version,
+            languages: Object.keys(profile.contexts),
+            updatedAt: profile.updatedAt
+        }));
+}
+
+/**
+ * GET PROFILE
+ * The current profile, or one of its stored versions; null when it does not exist
+ */
+async function getProfile(id, version) {
+    const data = await loadProfiles();
+    const profile = data.profiles[id];
+    if (!profile) return null;
+
+    const wanted = parseInt(version, 10);
+    if (!wanted || wanted === profile.version) {
+        return toPublicProfile(profile);
+    }
+
+    const snapshot = profile.history.find(entry => entry.version === wanted);
+    if (!snapshot) {
+        throw new Error(`Version ${wanted} of context profile "${id}" is not available`);
+    }
+    return toPublicProfile({ ...profile, ...snapshot, history: profile.history }, profile.version);
+}
+
+/**
+ * SAVE PROFILE
+ * Creates the profile (id = project:name) or stores a new version of it.
+ * contexts are merged per target language; an empty text removes that language.
+ * baseVersion, when given, must be the current version (edits made on a stale copy are rejected).
+ * Saving without changes keeps the current version.
+ */
+async function saveProfile(profileData) {
+    const { name, project = DEFAULT_PROJECT, userContext, contentType, contexts = {}, baseVersion } = profileData;
+
+    if (!name || typeof name !== 'string' || !slugify(name)) {
+        throw new Error('A context profile needs a name');
+    }
+    if (typeof contexts !== 'object' || Array.isArray(contexts)) {
+        throw new Error('contexts must be an object of { targetLang: context }');
+    }
+
+    const data = await loadProfiles();
+    const id = getProfileId(project, name);
+    const existing = data.profiles[id];
+
+    if (existing && baseVersion !== undefined && baseVersion !== null && parseInt(baseVersion, 10) !== existing.version) {
+        const error = new Error(`Context profile "${id}" changed since version ${baseVersion} (now version ${existing.version})`);
+        error.status = 409;
+        throw error;
+    }
+
+    const mergedContexts = { ...(existing ? existing.contexts : {}) };
+    Object.entries(contexts).forEach(([lang, context]) => {
+        const key = normalizeLang(lang);
+        if (typeof context === 'string' && context.trim().length > 0) {
+            mergedContexts[key] = context.trim();
+        } else {
+            delete mergedContexts[key];
+        }
+    });
+
+    const next = {
+        userContext: userContext !== undefined ? String(userContext) : (existing ? existing.userContext : ''),
+        contentType: contentType || (existing ? existing.contentType : 'educational'),
+        contexts: mergedContexts
+    };
+
+    if (existing && JSON.stringify(pickVersioned(existing)) === JSON.stringify(next)) {
+        return { success: true, created: false, changed: false, profile: toPublicProfile(existing) };
+    }
+
+    const now = new Date().toISOString();
+    const profile = existing
+        ? {
+            ...existing,
+            ...next,
+            version: existing.version + 1,
+            updatedAt: now,
+            history: [{ ...pickVersioned(existing), version: existing.version, updatedAt: existing.updatedAt }, ...existing.history]
+                .slice(0, MAX_PROFILE_HISTORY)
+        }
+        : {
+            id,
+            name: name.trim(),
+            project: String(project).trim() || DEFAULT_PROJECT,
+            ...next,
+            version: 1,
+            createdAt: now,
+            updatedAt: now,
+            history: []
+        };
+
+    data.profiles[id] = profile;
+    await storage.writeJSON(PROFILES_FILE, data);
+
+    log.info(existing ? 'Context profile updated' : 'Context profile created', { profile: id, version: profile.version, languages: Object.keys(profile.contexts).length });
+
+    return { success: true, created: !existing, changed: true, profile: toPublicProfile(profile) };
+}
+
+async function deleteProfile(id) {
+    const data = await loadProfiles();
+    const existed = !!data.profiles[id];
+    delete data.profiles[id];
+    await storage.writeJSON(PROFILES_FILE, data);
+    return { success: true, id, deleted: existed };
+}
+
+/**
+ * REGENERATE PROFILE CONTEXTS
+ * Runs the context generator with the profile's user context for each target language
+ * and stores the result as a new version
+ */
+async function regenerateProfile(id, options = {}) {
+    const { sampleTexts, targetLangs, targetLang, providerOptions } = options;
+    const data = await loadProfiles();
+    const profile = data.profiles[id];
+    if (!profile) return null;
+
+    const languages = targetLangs || (targetLang ? [targetLang] : Object.keys(profile.contexts));
+    if (languages.length === 0) {
+        throw new Error('No target language to regenerate');
+    }
+
+    const contexts = {};
+    for (const lang of languages) {
+        const result = await generateContext.generateTranslationContext({
+            sampleTexts,
+            targetLang: lang,
+            userContext: profile.userContext,
+            contentType: profile.contentType,
+            project: profile.project,
+            providerOptions
+        });
+        contexts[lang] = result.translationContext;
+    }
+
+    return saveProfile({
+        name: profile.name,
+        project: profile.project,
+        contexts,
+        baseVersion: profile.version
+    });
+}
+
+/**
+ * APPLY A PROFILE TO A TRANSLATION REQUEST
+ * requestData.contextProfile is a profile id or { id, version } (contextProfileVersion also
+ * works, for query strings). The profile's context for the target language is used unless
+ * the request brings its own translationContext; either way the request records
+ * contextProfile: { id, name, version, edited } (edited: the context sent differs from the profile's)
+ * and, unless it names its own, the profile's project (for usage accounting).
+ * Requests without a profile are returned unchanged. targetLang defaults to the request's
+ * (or the file's) target language.
+ */
+async function applyContextProfile(requestData, targetLang) {
+    const ref = requestData.contextProfile;
+    if (!ref) return requestData;
+
+    const lang = targetLang || requestData.targetLang || xlfParser.parseXLF(requestData.xlfContent).targetLang;
+    if (!lang) {
+        throw new Error('Target language is required');
+    }
+
+    const { id, version = requestData.contextProfileVersion } = typeof ref === 'object' ? ref : { id: ref };
+    const profile = await getProfile(id, version);
+    if (!profile) {
+        throw new Error(`Context profile "${id}" not found`);
+    }
+
+    const profileContext = profile.contexts[normalizeLang(lang)];
+    const ownContext = typeof requestData.translationContext === 'string' ? requestData.translationContext.trim() : '';
+    if (!ownContext && !profileContext) {
+        throw new Error(`Context profile "${id}" has no context for ${lang}`);
+    }
+
+    return {
+        ...requestData,
+        translationContext: ownContext || profileContext,
+        project: requestData.project || profile.project,
+        contextProfile: {
+            id: profile.id,
+            name: profile.name,
+            version: profile.version,
+            edited: !!ownContext && ownContext !== profileContext
+        }
+    };
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function getProfileId(project, name) {
+    return `${slugify(project) || DEFAULT_PROJECT}:${slugify(name)}`;
+}
+
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function pickVersioned(profile) {
+    return {
+        userContext: profile.userContext,
+        contentType: profile.contentType,
+        contexts: profile.contexts
+    };
+}
+
+/**
+ * Profile without its history; versions lists every version that can still be loaded
+ */
+function toPublicProfile(profile, currentVersion = profile.version) {
+    const { history, ...publicProfile } = profile;
+    return {
+        ...publicProfile,
+        versions: [currentVersion, ...history.map(entry => entry.version)]
+    };
+}
+
+// Export for Express server
+module.exports = {
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile,
+    regenerateProfile,
+    applyContextProfile
+};
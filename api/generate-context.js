@@ -3,19 +3,26 @@
 // Clean implementation with intelligent content analysis
 // ========================================
 
+const providers = require('./providers');
+const usageAccounting = require('./usage');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.createLogger('CONTEXT-API');
+
 /**
  * MAIN CONTEXT GENERATION FUNCTION - Render Native
  * Analyzes content and generates contextual translation guidelines
  */
 async function generateTranslationContext(requestData) {
-    console.log('🧠 [CONTEXT-API] Starting context generation');
-    
     const startTime = Date.now();
     const {
         sampleTexts = [],
         userContext = '',
         targetLang = 'es',
-        contentType = 'educational'
+        contentType = 'educational',
+        project,
+        providerOptions = {}
     } = requestData;
 
     // Validate required parameters
@@ -27,23 +34,31 @@ async function generateTranslationContext(requestData) {
         throw new Error('sampleTexts array cannot be empty');
     }
 
-    console.log(`[CONTEXT-API] Analyzing ${sampleTexts.length} sample texts for ${targetLang}`);
-    console.log(`[CONTEXT-API] User context provided: ${userContext ? 'YES' : 'NO'}`);
+    log.info('Generating context', {
+        sampleTexts: sampleTexts.length,
+        targetLang,
+        userContextProvided: !!userContext,
+        userContext: logger.content(userContext)
+    });
 
     let translationContext;
+    const usage = usageAccounting.createUsage();
     
     try {
         // Primary: Claude API for intelligent analysis
         translationContext = await generateContextWithClaude(
             sampleTexts, 
             userContext, 
-            targetLang
+            targetLang,
+            providerOptions,
+            usage
         );
         
-        console.log(`[CONTEXT-API] Claude context generated: ${translationContext.length} characters`);
+        log.info('Context generated', { chars: translationContext.length, context: logger.content(translationContext) });
         
     } catch (error) {
-        console.error(`[CONTEXT-API] Claude API failed: ${error.message}`);
+        log.error('Provider context generation failed, using local analysis', { error });
+        metrics.recordFallback('local-context');
         
         // Fallback: Enhanced local analysis
         translationContext = generateEnhancedLocalContext(
@@ -52,9 +67,11 @@ async function generateTranslationContext(requestData) {
             targetLang
         );
         
-        console.log(`[CONTEXT-API] Enhanced local context generated: ${translationContext.length} characters`);
+        log.info('Local context generated', { chars: translationContext.length });
     }
 
+    await usageAccounting.recordUsage(usage, { project, task: 'context' });
+
     const processingTime = Date.now() - startTime;
 
     // Return comprehensive response
@@ -65,6 +82,7 @@ async function generateTranslationContext(requestData) {
             sampleTextsAnalyzed: sampleTexts.length,
             contextLength: translationContext.length,
             userContextProvided: !!userContext,
+            usage,
             processingTimeMs: processingTime
         },
         metadata: {
@@ -78,17 +96,9 @@ async function generateTranslationContext(requestData) {
 
 /**
  * CLAUDE API CONTEXT GENERATION
- * Primary method for intelligent content analysis
+ * Primary method for intelligent content analysis (tokens are added to `usage` when given)
  */
-async function generateContextWithClaude(sampleTexts, userContext, targetLang) {
-    console.log(`[CLAUDE-CONTEXT] Generating context with Claude API for ${targetLang}`);
-    
-    // API Key
-    const apiKey = process.env.CLAUDE_API_KEY;
-    if (!apiKey) {
-        throw new Error('Claude API key not configured');
-    }
-    
+async function generateContextWithClaude(sampleTexts, userContext, targetLang, providerOptions = {}, usage = null) {
     // Prepare representative sample (max 40 texts for analysis)
     const sampleForAnalysis = sampleTexts.slice(0, 40).join('\n---\n');
     
@@ -115,37 +125,19 @@ ${userContext ? `**USER REQUIREMENTS**: [Incorporate user context here]` : ''}
 
 Focus on translation quality enhancement. Be specific and actionable.`;
 
-    console.log(`[CLAUDE-CONTEXT] Sending analysis request to Claude API`);
-    
-    // Claude API call
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json; charset=utf-8",
-            "x-api-key": apiKey,
-            "anthropic-version": "2023-06-01"
-        },
-        body: JSON.stringify({
-            model: "claude-sonnet-4-20250514",
-            max_tokens: 1000,
-            messages: [{ role: "user", content: prompt }]
-        })
+    // Provider call (Anthropic by default, see api/providers)
+    const completion = await providers.complete('context', prompt, providers.forTargetLang(providerOptions, targetLang), {
+        sampleTexts,
+        targetLang
     });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Claude API error ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
+    usageAccounting.addCompletion(usage, completion);
     
     // Extract response
-    const responseText = data.content?.[0]?.text;
+    const responseText = completion.text;
     if (!responseText) {
-        throw new Error('Claude API returned empty response');
+        throw new Error(`${completion.provider} provider returned empty response`);
     }
 
-    console.log(`[CLAUDE-CONTEXT] Context analysis completed: ${responseText.length} characters`);
     return responseText.trim();
 }
 
@@ -154,12 +146,10 @@ Focus on translation quality enhancement. Be specific and actionable.`;
  * Fallback method with intelligent pattern recognition
  */
 function generateEnhancedLocalContext(sampleTexts, userContext, targetLang) {
-    console.log(`[LOCAL-CONTEXT] Generating enhanced local context for ${targetLang}`);
-    
     const analysis = analyzeContentPatterns(sampleTexts);
     const domainAnalysis = detectContentDomain(sampleTexts);
     
-    console.log(`[LOCAL-CONTEXT] Content analysis: Domain=${domainAnalysis.primary}, Confidence=${domainAnalysis.confidence}%`);
+    log.debug('Local content analysis', { domain: domainAnalysis.primary, confidence: domainAnalysis.confidence });
     
     // Build contextual guidelines
     let contextualPrompt = `**CONTENT TYPE**: ${analysis.contentType}\n`;
@@ -175,7 +165,6 @@ function generateEnhancedLocalContext(sampleTexts, userContext, targetLang) {
     
     contextualPrompt += `**QUALITY STANDARDS**: Maintain XML structure integrity, preserve spacing, ensure ${targetLang} linguistic accuracy\n`;
     
-    console.log(`[LOCAL-CONTEXT] Enhanced local context generated: ${contextualPrompt.length} characters`);
     return contextualPrompt.trim();
 }
 
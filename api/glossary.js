@@ -0,0 +1,276 @@
+// ========================================
+// PROJECT GLOSSARY - Render Native
+// CSV/TBX termbases per language pair, prompt injection and term checks
+// ========================================
+
+const storage = require('./storage');
+const { parseAttributes } = require('./xlf-parser');
+const { normalizeLang, getPairKey } = require('./languages');
+const logger = require('./logger');
+
+const log = logger.createLogger('GLOSSARY');
+
+const GLOSSARY_FILE = process.env.GLOSSARY_FILE || storage.getDataPath('glossaries.json');
+
+let glossaryCache = null;
+
+async function loadGlossaries() {
+    if (!glossaryCache) {
+        glossaryCache = await storage.readJSON(GLOSSARY_FILE, { version: 1, glossaries: {} });
+    }
+    return glossaryCache;
+}
+
+/**
+ * IMPORT GLOSSARY
+ * Accepts CSV (source,target[,dnt][,note]) or TBX content for one language pair.
+ * mode "replace" (default) swaps the pair's glossary, "merge" updates it term by term.
+ */
+async function importGlossary(content, options = {}) {
+    const { sourceLang, targetLang, mode = 'replace' } = options;
+
+    if (!content || typeof content !== 'string') {
+        throw new Error('Missing or invalid glossary content');
+    }
+    if (!sourceLang || !targetLang) {
+        throw new Error('sourceLang and targetLang are required for a glossary');
+    }
+
+    const format = options.format || (/<(martif|tbx)\b/i.test(content) ? 'tbx' : 'csv');
+    const terms = format === 'tbx'
+        ? parseTBX(content, sourceLang, targetLang)
+        : parseCSV(content);
+
+    if (terms.length === 0) {
+        throw new Error(`No terms found in ${format.toUpperCase()} glossary`);
+    }
+
+    const data = await loadGlossaries();
+    const pairKey = getPairKey(sourceLang, targetLang);
+    const existing = mode === 'merge' && data.glossaries[pairKey] ? data.glossaries[pairKey].terms : [];
+    const bySource = new Map(existing.map(term => [term.source.toLowerCase(), term]));
+    terms.forEach(term => bySource.set(term.source.toLowerCase(), term));
+
+    data.glossaries[pairKey] = {
+        terms: Array.from(bySource.values()),
+        updatedAt: new Date().toISOString()
+    };
+    await storage.writeJSON(GLOSSARY_FILE, data);
+
+    log.info('Glossary imported', { terms: terms.length, format, pair: pairKey, mode });
+
+    return {
+        success: true,
+        languagePair: pairKey,
+        format,
+        termsImported: terms.length,
+        totalTerms: data.glossaries[pairKey].terms.length,
+        doNotTranslate: data.glossaries[pairKey].terms.filter(term => term.doNotTranslate).length
+    };
+}
+
+/**
+ * GET GLOSSARY TERMS FOR A LANGUAGE PAIR
+ */
+async function getGlossary(sourceLang, targetLang) {
+    const data = await loadGlossaries();
+    const glossary = data.glossaries[getPairKey(sourceLang, targetLang)];
+    return glossary ? glossary.terms : [];
+}
+
+async function deleteGlossary(sourceLang, targetLang) {
+    const data = await loadGlossaries();
+    const pairKey = getPairKey(sourceLang, targetLang);
+    const existed = !!data.glossaries[pairKey];
+    delete data.glossaries[pairKey];
+    await storage.writeJSON(GLOSSARY_FILE, data);
+    return { success: true, languagePair: pairKey, deleted: existed };
+}
+
+/**
+ * FIND TERMS USED IN A SET OF TEXTS
+ * Only these go into the prompt, so each chunk carries just its own terminology
+ */
+function findTermsInTexts(texts, terms) {
+    const plainTexts = texts.map(stripMarkup);
+    return terms.filter(term => plainTexts.some(text => containsTerm(text, term.source, term.caseSensitive)));
+}
+
+/**
+ * TERMINOLOGY CHECK
+ * Returns the glossary terms present in the source whose required target form
+ * (or the untouched source form, for do-not-translate terms) is missing from the target
+ */
+function checkTerminology(sourceText, targetText, terms) {
+    const source = stripMarkup(sourceText);
+    const target = stripMarkup(targetText);
+
+    return terms
+        .filter(term => containsTerm(source, term.source, term.caseSensitive))
+        .filter(term => {
+            const required = term.doNotTranslate ? term.source : term.target;
+            return !containsTerm(target, required, term.caseSensitive || term.doNotTranslate);
+        })
+        .map(term => ({
+            source: term.source,
+            expected: term.doNotTranslate ? term.source : term.target,
+            doNotTranslate: !!term.doNotTranslate
+        }));
+}
+
+/**
+ * CSV PARSER
+ * Delimiter is detected (comma, semicolon or tab); a header row is optional.
+ * Rows without a target, or with a truthy dnt column, are do-not-translate terms.
+ */
+function parseCSV(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length === 0) return [];
+
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: lines[0].split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = lines.map(line => parseCSVLine(line, delimiter));
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const hasHeader = header.includes('source') || header.includes('target') || header.includes('term');
+
+    const column = (names, fallback) => {
+        const index = header.findIndex(cell => names.includes(cell));
+        return hasHeader ? index : fallback;
+    };
+
+    const sourceColumn = column(['source', 'term', 'source term'], 0);
+    const targetColumn = column(['target', 'translation', 'target term'], 1);
+    const dntColumn = column(['dnt', 'do_not_translate', 'do not translate', 'donottranslate'], -1);
+    const noteColumn = column(['note', 'notes', 'comment', 'definition'], -1);
+    const caseColumn = column(['case_sensitive', 'case sensitive'], -1);
+
+    return rows.slice(hasHeader ? 1 : 0)
+        .map(row => {
+            const source = (row[sourceColumn] || '').trim();
+            const target = targetColumn >= 0 ? (row[targetColumn] || '').trim() : '';
+            const dnt = dntColumn >= 0 && isTruthy(row[dntColumn]);
+            if (!source) return null;
+
+            return {
+                source,
+                target: dnt || !target ? source : target,
+                doNotTranslate: dnt || !target,
+                note: noteColumn >= 0 ? (row[noteColumn] || '').trim() : '',
+                caseSensitive: caseColumn >= 0 && isTruthy(row[caseColumn])
+            };
+        })
+        .filter(Boolean);
+}
+
+function parseCSVLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    cells.push(current);
+    return cells;
+}
+
+/**
+ * TBX PARSER
+ * Supports TBX-Basic (<termEntry>/<langSet>/<tig>/<term>) and TBX v3 (<conceptEntry>).
+ * Entries noted as "do not translate" (or lacking a target term) are do-not-translate terms.
+ */
+function parseTBX(content, sourceLang, targetLang) {
+    const terms = [];
+    const entryRegex = /<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    let entryMatch;
+
+    while ((entryMatch = entryRegex.exec(content)) !== null) {
+        const entry = entryMatch[2];
+        const byLang = {};
+        const langSetRegex = /<langSec\b([^>]*)>([\s\S]*?)<\/langSec>|<langSet\b([^>]*)>([\s\S]*?)<\/langSet>/g;
+        let langMatch;
+
+        while ((langMatch = langSetRegex.exec(entry)) !== null) {
+            const attributes = parseAttributes(langMatch[1] || langMatch[3]);
+            const lang = attributes['xml:lang'] || attributes.lang;
+            const termMatch = (langMatch[2] || langMatch[4]).match(/<term\b[^>]*>([\s\S]*?)<\/term>/);
+            if (lang && termMatch) {
+                byLang[normalizeLang(lang)] = decodeEntities(termMatch[1].trim());
+            }
+        }
+
+        const source = byLang[normalizeLang(sourceLang)];
+        if (!source) continue;
+
+        const target = byLang[normalizeLang(targetLang)];
+        const dnt = /do[\s_-]?not[\s_-]?translate|\bDNT\b/i.test(entry) || !target;
+        const noteMatch = entry.match(/<(?:descrip|note)\b[^>]*>([\s\S]*?)<\/(?:descrip|note)>/);
+
+        terms.push({
+            source,
+            target: dnt ? source : target,
+            doNotTranslate: dnt,
+            note: noteMatch ? decodeEntities(noteMatch[1].trim()) : '',
+            caseSensitive: false
+        });
+    }
+
+    return terms;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function containsTerm(text, term, caseSensitive) {
+    if (!term) return true;
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Unicode-aware word boundaries (accented letters count as word characters)
+    const regex = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, caseSensitive ? 'u' : 'iu');
+    return regex.test(text);
+}
+
+function stripMarkup(text) {
+    return decodeEntities(String(text || '').replace(/<[^>]+>/g, ' '));
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function isTruthy(value) {
+    return /^(1|y|yes|true|x|dnt)$/i.test(String(value || '').trim());
+}
+
+// Export for Express server
+module.exports = {
+    importGlossary,
+    getGlossary,
+    deleteGlossary,
+    findTermsInTexts,
+    checkTerminology
+};
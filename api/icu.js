@@ -0,0 +1,468 @@
+// ========================================
+// ICU MESSAGEFORMAT - Render Native
+// Parses plural/select messages, splits them into translatable cases and
+// rebuilds them with the plural categories of the target language
+// ========================================
+
+// CLDR plural categories, in the order they are written out
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const COMPLEX_TYPES = ['plural', 'selectordinal', 'select'];
+
+// Spans that are never ICU syntax: inline code tokens (⟦1⟧), XML tags and entities
+// (&#39; would otherwise read as a # inside a plural case)
+const LITERAL_SPAN_REGEX = /⟦\/?\d+\/?⟧|<(?:bpt|ept|ph|it)\b[^>]*?(?:\/>|>[\s\S]*?<\/(?:bpt|ept|ph|it)\s*>)|<[^>]*>|&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);/y;
+
+// Example numbers shown to the model for each target category
+const MAX_EXAMPLES = 4;
+
+/**
+ * PARSE AN ICU MESSAGE
+ * Returns the message as a list of nodes:
+ *   { type: 'literal', value }                       text (raw, quoting kept)
+ *   { type: 'pound', plural }                        # inside a plural case
+ *   { type: 'argument', name, raw }                  {name}, {n, number}, {d, date, short}...
+ *   { type: 'plural' | 'selectordinal' | 'select', name, offset, options: [{ key, message }] }
+ * Throws on unbalanced braces, unknown syntax or a plural/select without an `other` case.
+ */
+function parseMessage(text) {
+    const parser = { text: String(text), pos: 0 };
+    const nodes = parseNodes(parser, null, 0);
+    if (parser.pos < parser.text.length) {
+        throw syntaxError(parser, 'unmatched "}"');
+    }
+    return nodes;
+}
+
+/**
+ * Whether a text is an ICU message with at least one plural, selectordinal or select
+ * argument (plain texts and simple {placeholders} are translated as they are)
+ */
+function isICUMessage(text) {
+    if (typeof text !== 'string' || !/\{[^{}]*,\s*(?:plural|selectordinal|select)\s*,/.test(text)) {
+        return false;
+    }
+    try {
+        return parseMessage(text).some(isComplex);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * CLDR plural categories of a language (cardinal or ordinal), in CLDR order;
+ * one/other when the runtime does not know the language
+ */
+function getPluralCategories(lang, type = 'cardinal') {
+    try {
+        const categories = new Intl.PluralRules(lang, { type }).resolvedOptions().pluralCategories;
+        return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+    } catch (error) {
+        return ['one', 'other'];
+    }
+}
+
+/**
+ * SPLIT A MESSAGE INTO TRANSLATABLE CASES
+ * Text around a plural/select is moved into every case, so each leaf is a full
+ * sentence. Plurals get the target language's CLDR categories (a missing source
+ * case is filled from `other`), selects keep their source cases.
+ * Returns { tree, leaves: [{ text, description }] }, or null for texts that are
+ * not ICU messages. tree + translated leaves → joinMessage.
+ */
+function splitMessage(text, targetLang) {
+    let nodes;
+    try {
+        nodes = parseMessage(text);
+    } catch (error) {
+        return null;
+    }
+    if (!nodes.some(isComplex)) return null;
+
+    const leaves = [];
+    const tree = expandTree(hoistSelectors(nodes), targetLang, [], null, leaves);
+    return { tree, leaves };
+}
+
+/**
+ * Rebuilds the ICU message from a split tree and one translation per leaf
+ */
+function joinMessage(split, leafTranslations) {
+    return serializeTree(split.tree, leafTranslations);
+}
+
+/**
+ * VALIDATE A TRANSLATED MESSAGE
+ * The target of an ICU source must parse, use the same arguments, give every plural
+ * the target language's CLDR categories (only CLDR keywords and =n keys) and keep
+ * the select cases of the source (without a targetLang only `other` is required).
+ * Returns { valid, errors }; texts whose source is not an ICU message are always valid.
+ */
+function validateTranslation(source, target, targetLang) {
+    let sourceNodes;
+    try {
+        sourceNodes = parseMessage(source);
+    } catch (error) {
+        return { valid: true, errors: [] };
+    }
+    if (!sourceNodes.some(isComplex)) {
+        return { valid: true, errors: [] };
+    }
+
+    let targetNodes;
+    try {
+        targetNodes = parseMessage(target);
+    } catch (error) {
+        return { valid: false, errors: [error.message] };
+    }
+
+    const errors = [];
+    const sourceArguments = collectArguments(sourceNodes);
+    const targetArguments = collectArguments(targetNodes);
+
+    const missing = Array.from(sourceArguments.keys()).filter(name => !targetArguments.has(name));
+    const unknown = Array.from(targetArguments.keys()).filter(name => !sourceArguments.has(name));
+    if (missing.length > 0) errors.push(`missing ICU arguments: ${missing.join(', ')}`);
+    if (unknown.length > 0) errors.push(`unknown ICU arguments: ${unknown.join(', ')}`);
+
+    const reported = new Set();
+    walkComplex(targetNodes, node => {
+        const sourceType = sourceArguments.get(node.name);
+        const keys = node.options.map(option => option.key);
+        const report = message => {
+            if (!reported.has(message)) errors.push(message);
+            reported.add(message);
+        };
+
+        if (sourceType && sourceType !== 'argument' && sourceType !== node.type) {
+            report(`"${node.name}" is a ${sourceType} in the source, not a ${node.type}`);
+            return;
+        }
+
+        if (node.type === 'select') {
+            const sourceKeys = collectSelectKeys(sourceNodes, node.name);
+            const extra = keys.filter(key => !sourceKeys.has(key));
+            if (extra.length > 0) report(`select "${node.name}" has cases that are not in the source: ${extra.join(', ')}`);
+            return;
+        }
+
+        const invalid = keys.filter(key => !PLURAL_CATEGORIES.includes(key) && !/^=\d+(?:\.\d+)?$/.test(key));
+        const required = targetLang ? getPluralCategories(targetLang, node.type === 'selectordinal' ? 'ordinal' : 'cardinal') : ['other'];
+        const absent = required.filter(category => !keys.includes(category));
+        if (invalid.length > 0) report(`${node.type} "${node.name}" has invalid keys: ${invalid.join(', ')}`);
+        if (absent.length > 0) report(`${node.type} "${node.name}" is missing the ${targetLang} categories: ${absent.join(', ')}`);
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function parseNodes(parser, pluralName, depth) {
+    const { text } = parser;
+    const nodes = [];
+    let literal = '';
+
+    const flush = () => {
+        if (literal) nodes.push({ type: 'literal', value: literal, inPlural: pluralName !== null });
+        literal = '';
+    };
+
+    while (parser.pos < text.length) {
+        const char = text[parser.pos];
+
+        LITERAL_SPAN_REGEX.lastIndex = parser.pos;
+        const span = (char === '⟦' || char === '<' || char === '&') && LITERAL_SPAN_REGEX.exec(text);
+        if (span) {
+            literal += span[0];
+            parser.pos += span[0].length;
+        } else if (char === "'") {
+            literal += readQuoted(parser, pluralName !== null);
+        } else if (char === '{') {
+            flush();
+            nodes.push(parseArgument(parser, pluralName, depth));
+        } else if (char === '}') {
+            if (depth === 0) throw syntaxError(parser, 'unmatched "}"');
+            break;
+        } else if (char === '#' && pluralName !== null) {
+            flush();
+            nodes.push({ type: 'pound', plural: pluralName });
+            parser.pos++;
+        } else {
+            literal += char;
+            parser.pos++;
+        }
+    }
+
+    flush();
+    return nodes;
+}
+
+/**
+ * Apostrophe quoting (ICU "double optional" mode): '' is one apostrophe, an apostrophe
+ * before { } (or # in a plural) starts a quoted span, any other apostrophe is literal.
+ * The raw text is returned, so serializing gives back the source.
+ */
+function readQuoted(parser, inPlural) {
+    const { text } = parser;
+    const start = parser.pos;
+    const next = text[start + 1];
+
+    if (next === "'") {
+        parser.pos += 2;
+    } else if (next === '{' || next === '}' || (next === '#' && inPlural)) {
+        let end = start + 1;
+        while (end < text.length) {
+            if (text[end] === "'" && text[end + 1] === "'") {
+                end += 2;
+            } else if (text[end] === "'") {
+                break;
+            } else {
+                end++;
+            }
+        }
+        parser.pos = Math.min(end + 1, text.length);
+    } else {
+        parser.pos++;
+    }
+    return text.slice(start, parser.pos);
+}
+
+function parseArgument(parser, pluralName, depth) {
+    const { text } = parser;
+    const start = parser.pos;
+    parser.pos++;
+
+    const name = readToken(parser, /\s*([^\s{},#']+)\s*/y);
+    if (!name) throw syntaxError(parser, 'expected an argument name');
+
+    if (text[parser.pos] === '}') {
+        parser.pos++;
+        return { type: 'argument', name, raw: text.slice(start, parser.pos) };
+    }
+    if (text[parser.pos] !== ',') throw syntaxError(parser, `expected "," or "}" after "${name}"`);
+    parser.pos++;
+
+    const type = readToken(parser, /\s*(\w+)\s*/y);
+    if (!type) throw syntaxError(parser, `expected an argument type for "${name}"`);
+
+    if (!COMPLEX_TYPES.includes(type)) {
+        // number, date, time, spellout... with an optional style: kept as written
+        const end = findArgumentEnd(text, parser.pos);
+        if (end === -1) throw syntaxError(parser, `unclosed argument "${name}"`);
+        parser.pos = end + 1;
+        return { type: 'argument', name, raw: text.slice(start, parser.pos) };
+    }
+
+    if (text[parser.pos] !== ',') throw syntaxError(parser, `expected "," after "${name}, ${type}"`);
+    parser.pos++;
+
+    let offset = 0;
+    if (type === 'plural') {
+        const offsetValue = readToken(parser, /\s*offset:\s*(\d+)\s*/y);
+        if (offsetValue) offset = parseInt(offsetValue, 10);
+    }
+
+    const options = [];
+    const caseOwner = type === 'select' ? pluralName : name;
+    while (true) {
+        readToken(parser, /(\s*)/y);
+        if (parser.pos >= text.length) throw syntaxError(parser, `unclosed ${type} "${name}"`);
+        if (text[parser.pos] === '}') break;
+
+        const key = readToken(parser, type === 'select' ? /([^\s{}]+)\s*/y : /(=\d+(?:\.\d+)?|[a-z]+)\s*/y);
+        if (!key) throw syntaxError(parser, `invalid case key in ${type} "${name}"`);
+        if (text[parser.pos] !== '{') throw syntaxError(parser, `expected "{" after case "${key}" of "${name}"`);
+        if (options.some(option => option.key === key)) throw syntaxError(parser, `duplicate case "${key}" in "${name}"`);
+        parser.pos++;
+
+        const message = parseNodes(parser, caseOwner, depth + 1);
+        if (text[parser.pos] !== '}') throw syntaxError(parser, `unclosed case "${key}" of "${name}"`);
+        parser.pos++;
+        options.push({ key, message });
+    }
+    parser.pos++;
+
+    if (!options.some(option => option.key === 'other')) {
+        throw syntaxError(parser, `${type} "${name}" has no "other" case`);
+    }
+
+    return { type, name, offset, options };
+}
+
+function readToken(parser, regex) {
+    regex.lastIndex = parser.pos;
+    const match = regex.exec(parser.text);
+    if (!match) return null;
+    parser.pos += match[0].length;
+    return match[1];
+}
+
+function findArgumentEnd(text, from) {
+    let depth = 0;
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        if (text[i] === '}' && depth-- === 0) return i;
+    }
+    return -1;
+}
+
+function syntaxError(parser, message) {
+    return new Error(`Invalid ICU message: ${message} (at character ${parser.pos})`);
+}
+
+function isComplex(node) {
+    return COMPLEX_TYPES.includes(node.type);
+}
+
+/**
+ * Moves the text around the first plural/select into each of its cases, recursively:
+ * returns { type: 'leaf', nodes } or { type, name, offset, options: [{ key, tree }] }
+ */
+function hoistSelectors(nodes) {
+    const index = nodes.findIndex(isComplex);
+    if (index === -1) return { type: 'leaf', nodes };
+
+    const before = nodes.slice(0, index);
+    const after = nodes.slice(index + 1);
+    const node = nodes[index];
+
+    return {
+        type: node.type,
+        name: node.name,
+        offset: node.offset,
+        options: node.options.map(option => ({
+            key: option.key,
+            tree: hoistSelectors([...before, ...option.message, ...after])
+        }))
+    };
+}
+
+/**
+ * Gives plurals the target language's categories and turns each leaf into
+ * { type: 'leaf', index } pointing at its entry in `leaves`
+ */
+function expandTree(tree, targetLang, path, innerPlural, leaves) {
+    if (tree.type === 'leaf') {
+        leaves.push({ text: serializeLeaf(tree.nodes, innerPlural), description: path.join('; ') });
+        return { type: 'leaf', index: leaves.length - 1 };
+    }
+
+    if (tree.type === 'select') {
+        return {
+            ...tree,
+            options: tree.options.map(option => ({
+                key: option.key,
+                tree: expandTree(option.tree, targetLang, [...path, `select ${tree.name} = ${option.key}`], innerPlural, leaves)
+            }))
+        };
+    }
+
+    const pluralType = tree.type === 'selectordinal' ? 'ordinal' : 'cardinal';
+    const exactKeys = tree.options.map(option => option.key).filter(key => key.startsWith('='));
+    const keys = [...exactKeys, ...getPluralCategories(targetLang, pluralType)];
+    const fallback = tree.options.find(option => option.key === 'other');
+
+    return {
+        ...tree,
+        options: keys.map(key => {
+            const option = tree.options.find(candidate => candidate.key === key) || fallback;
+            const label = key.startsWith('=')
+                ? `${tree.type} ${tree.name} = exactly ${key.slice(1)}`
+                : `${tree.type} ${tree.name} = ${key} (${describeExamples(targetLang, pluralType, key)})`;
+            return {
+                key,
+                tree: expandTree(option.tree, targetLang, [...path, label], tree.name, leaves)
+            };
+        })
+    };
+}
+
+/**
+ * A leaf as message text: # stays # under its own plural and becomes {name, number}
+ * when hoisting put it under another one; a # that was literal text is quoted
+ */
+function serializeLeaf(nodes, innerPlural) {
+    return nodes.map(node => {
+        if (node.type === 'literal') {
+            return innerPlural !== null && !node.inPlural ? node.value.replace(/#/g, "'#'") : node.value;
+        }
+        if (node.type === 'pound') {
+            return node.plural === innerPlural ? '#' : `{${node.plural}, number}`;
+        }
+        return node.raw;
+    }).join('');
+}
+
+function serializeTree(tree, leafTranslations) {
+    if (tree.type === 'leaf') return leafTranslations[tree.index];
+
+    const offset = tree.offset ? `offset:${tree.offset} ` : '';
+    const options = tree.options.map(option => `${option.key} {${serializeTree(option.tree, leafTranslations)}}`);
+    return `{${tree.name}, ${tree.type}, ${offset}${options.join(' ')}}`;
+}
+
+function describeExamples(lang, type, category) {
+    let rules;
+    try {
+        rules = new Intl.PluralRules(lang, { type });
+    } catch (error) {
+        return 'any number';
+    }
+
+    const examples = [];
+    for (let n = 0; n <= 1000 && examples.length < MAX_EXAMPLES; n++) {
+        if (rules.select(n) === category) examples.push(n);
+    }
+    // Some categories only cover fractions (Czech "many") or millions (Spanish "many")
+    [0.5, 1.5, 2.5, 10.5, 1000000].forEach(n => {
+        if (examples.length === 0 && rules.select(n) === category) examples.push(n);
+    });
+
+    if (category === 'other' && examples.length === 0) return 'any number';
+    return `e.g. ${examples.join(', ')}${examples.length === MAX_EXAMPLES ? '…' : ''}`;
+}
+
+/**
+ * Argument names → type ('argument' for simple ones; a plural's # counts as its argument)
+ */
+function collectArguments(nodes, found = new Map()) {
+    nodes.forEach(node => {
+        if (node.type === 'argument') {
+            if (!found.has(node.name)) found.set(node.name, 'argument');
+        } else if (isComplex(node)) {
+            found.set(node.name, node.type);
+            node.options.forEach(option => collectArguments(option.message, found));
+        }
+    });
+    return found;
+}
+
+function collectSelectKeys(nodes, name, keys = new Set()) {
+    walkComplex(nodes, node => {
+        if (node.type === 'select' && node.name === name) {
+            node.options.forEach(option => keys.add(option.key));
+        }
+    });
+    return keys;
+}
+
+function walkComplex(nodes, visit) {
+    nodes.forEach(node => {
+        if (!isComplex(node)) return;
+        visit(node);
+        node.options.forEach(option => walkComplex(option.message, visit));
+    });
+}
+
+// Export for API modules
+module.exports = {
+    PLURAL_CATEGORIES,
+    parseMessage,
+    isICUMessage,
+    getPluralCategories,
+    splitMessage,
+    joinMessage,
+    validateTranslation
+};
@@ -0,0 +1,153 @@
+// ========================================
+// TRANSLATION PLAN - Render Native
+// Decides which segments a run translates: translate="no", locks, approvals, existing targets
+// and targets whose source changed since they were written
+// ========================================
+
+const xlfParser = require('./xlf-parser');
+const logger = require('./logger');
+
+const log = logger.createLogger('PLAN');
+
+// Target states that ask for a (new) translation: 1.2 needs-* / new, 2.0 initial
+const NEEDS_TRANSLATION_STATES = [
+    'new',
+    'needs-translation',
+    'needs-adaptation',
+    'needs-l10n',
+    'needs-review-translation',
+    'needs-review-adaptation',
+    'needs-review-l10n',
+    'initial'
+];
+
+// States that mean a reviewer signed the target off
+const APPROVED_STATES = ['final', 'signed-off', 'reviewed'];
+
+/**
+ * SKIP REASONS
+ *   translate-no  translate="no" on the segment or an enclosing element (always skipped)
+ *   locked        locked="yes|true" or a tool-specific *:locked attribute (always skipped)
+ *   approved      approved="yes" (1.2) or a final/reviewed state, with a target (incremental)
+ *   translated    existing target not flagged for translation (incremental)
+ */
+const SKIP_REASONS = ['translate-no', 'locked', 'approved', 'translated'];
+
+/**
+ * PLAN A RUN
+ * Returns { units: { [id]: { action, reason } }, summary } for every segment with text.
+ * action is "translate" (reason new | needs-translation | changed | retranslate) or "skip".
+ * Full runs skip only translate="no" and locked segments; incremental runs also keep
+ * approved segments and existing targets that are not flagged for translation, unless
+ * their source changed since the target was written (see xlfParser.hashSource).
+ */
+function planTranslation(parsed, options = {}) {
+    const incremental = options.incremental === true || options.incremental === 'true';
+    const units = {};
+    const summary = {
+        incremental,
+        totalSegments: 0,
+        toTranslate: 0,
+        skipped: 0,
+        byReason: {}
+    };
+
+    parsed.units
+        .filter(unit => unit.source.trim().length > 0)
+        .forEach(unit => {
+            const decision = classifyUnit(unit, parsed.version, incremental);
+            units[unit.id] = decision;
+
+            summary.totalSegments++;
+            summary[decision.action === 'skip' ? 'skipped' : 'toTranslate']++;
+            summary.byReason[decision.reason] = (summary.byReason[decision.reason] || 0) + 1;
+        });
+
+    log.info('Translation planned', { incremental, toTranslate: summary.toTranslate, total: summary.totalSegments, skipped: summary.skipped });
+
+    return { units, summary };
+}
+
+/**
+ * Plans straight from XLF content (the frontend shows the counts before a run)
+ */
+function planXLF(xlfContent, options = {}) {
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid xlfContent');
+    }
+    return { success: true, ...planTranslation(xlfParser.parseXLF(xlfContent), options) };
+}
+
+/**
+ * UNIT STATUS
+ * translate-no | locked | untranslated | needs-translation | changed | approved | translated
+ */
+function getUnitStatus(unit, version) {
+    if (unit.translatable === false) {
+        return 'translate-no';
+    }
+    if (isLocked(unit)) {
+        return 'locked';
+    }
+    if (unit.target === null || unit.target.trim().length === 0) {
+        return 'untranslated';
+    }
+
+    const state = getSegmentState(unit, version);
+    if (NEEDS_TRANSLATION_STATES.includes(state)) {
+        return 'needs-translation';
+    }
+    // The recorded hash is the source this target was translated from
+    if (unit.storedSourceHash && unit.storedSourceHash !== xlfParser.hashSource(unit.source)) {
+        return 'changed';
+    }
+
+    const approved = version === '2.0'
+        ? APPROVED_STATES.includes(state)
+        : unit.attributes.approved === 'yes' || APPROVED_STATES.includes(state);
+    return approved ? 'approved' : 'translated';
+}
+
+function classifyUnit(unit, version, incremental) {
+    const status = getUnitStatus(unit, version);
+
+    if (status === 'translate-no' || status === 'locked') {
+        return { action: 'skip', reason: status };
+    }
+    if (status === 'untranslated') {
+        return { action: 'translate', reason: 'new' };
+    }
+    if (status === 'needs-translation' || status === 'changed') {
+        return { action: 'translate', reason: status };
+    }
+    if (!incremental) {
+        return { action: 'translate', reason: 'retranslate' };
+    }
+
+    // approved | translated
+    return { action: 'skip', reason: status };
+}
+
+/**
+ * 1.2: state of the <target>; 2.0: state of the <segment>
+ */
+function getSegmentState(unit, version) {
+    if (version === '2.0') {
+        return unit.attributes.state || null;
+    }
+    return unit.targetRange ? unit.targetRange.attributes.state || null : null;
+}
+
+function isLocked(unit) {
+    const attributes = { ...unit.attributes, ...(unit.targetRange ? unit.targetRange.attributes : {}) };
+    return Object.entries(attributes).some(([name, value]) =>
+        (name === 'locked' || name.endsWith(':locked')) && /^(yes|true|1)$/i.test(value));
+}
+
+// Export for API modules
+module.exports = {
+    SKIP_REASONS,
+    getUnitStatus,
+    planTranslation,
+    planXLF
+};
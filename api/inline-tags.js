@@ -0,0 +1,205 @@
+// ========================================
+// INLINE TAG PROTECTION - Render Native
+// Swaps inline codes for opaque tokens before translation and validates them after
+// ========================================
+
+// Opaque token delimiters: unlikely in source text and never translated by the model
+const TOKEN_OPEN = '⟦';   // ⟦
+const TOKEN_CLOSE = '⟧';  // ⟧
+
+// Elements whose content is native code (kept as one opaque unit with the element)
+const NATIVE_CODE_ELEMENTS = ['bpt', 'ept', 'ph', 'it'];
+
+// Paired codes that may legally overlap other codes: only their order is checked
+const ISOLATED_PAIRS = {
+    bpt: 'open',
+    ept: 'close',
+    sc: 'open',
+    ec: 'close'
+};
+
+/**
+ * PROTECT INLINE TAGS
+ * Replaces every inline code with a numbered token:
+ *   opening tag → ⟦n⟧, closing tag → ⟦/n⟧, standalone code → ⟦n/⟧
+ * Returns the tokenized text and the code table needed to restore it.
+ */
+function protectInlineTags(text) {
+    const codes = [];
+    const openStack = [];
+    let counter = 0;
+
+    const nativeCodes = NATIVE_CODE_ELEMENTS.join('|');
+    const tagRegex = new RegExp(
+        `<(${nativeCodes})\\b([^>]*?)(?:/>|>[\\s\\S]*?</\\1\\s*>)|<(/?)([\\w:.-]+)([^>]*?)(/?)>`,
+        'g'
+    );
+
+    const tokenized = text.replace(tagRegex, (xml, nativeName, nativeAttributes, closing, name, attributes, selfClosing) => {
+        // Native-code elements (<bpt>, <ept>, <ph>, <it>) are one opaque code
+        if (nativeName) {
+            const pairRole = ISOLATED_PAIRS[nativeName];
+            const code = {
+                xml,
+                name: nativeName,
+                kind: pairRole || 'standalone',
+                isolated: !!pairRole,
+                pairKey: pairRole ? getPairKey(nativeName, nativeAttributes) : null
+            };
+            return registerCode(codes, code, ++counter);
+        }
+
+        if (selfClosing) {
+            const pairRole = ISOLATED_PAIRS[name];
+            const code = {
+                xml,
+                name,
+                kind: pairRole || 'standalone',
+                isolated: !!pairRole,
+                pairKey: pairRole ? getPairKey(name, attributes) : null
+            };
+            return registerCode(codes, code, ++counter);
+        }
+
+        if (closing) {
+            // Closing tag reuses the number of its opening tag
+            const open = openStack.pop();
+            const number = open ? open.number : ++counter;
+            return registerCode(codes, { xml, name, kind: 'close', isolated: false, pairKey: null }, number);
+        }
+
+        const number = ++counter;
+        openStack.push({ name, number });
+        return registerCode(codes, { xml, name, kind: 'open', isolated: false, pairKey: null }, number);
+    });
+
+    return { text: tokenized, codes };
+}
+
+/**
+ * RESTORE INLINE TAGS
+ * Puts the original markup back in place of each token
+ */
+function restoreInlineTags(text, codes) {
+    if (!codes || codes.length === 0) {
+        return text;
+    }
+
+    const byToken = new Map(codes.map(code => [code.token, code.xml]));
+    return text.replace(getTokenRegex(), token => byToken.has(token) ? byToken.get(token) : token);
+}
+
+/**
+ * VALIDATE INLINE TAGS
+ * Checks a translated (still tokenized) segment against the source code table:
+ * every code exactly once, no unknown tokens, pairs in order and properly nested
+ */
+function validateInlineTags(translatedText, codes) {
+    const errors = [];
+    const expected = new Map((codes || []).map(code => [code.token, code]));
+    const found = (translatedText.match(getTokenRegex()) || []);
+    const counts = new Map();
+
+    found.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+    const missing = Array.from(expected.keys()).filter(token => !counts.has(token));
+    const extra = Array.from(counts.keys()).filter(token => !expected.has(token));
+    const duplicated = Array.from(counts.entries())
+        .filter(([token, count]) => expected.has(token) && count > 1)
+        .map(([token]) => token);
+
+    if (missing.length > 0) errors.push(`missing inline codes: ${missing.join(' ')}`);
+    if (extra.length > 0) errors.push(`unknown inline codes: ${extra.join(' ')}`);
+    if (duplicated.length > 0) errors.push(`duplicated inline codes: ${duplicated.join(' ')}`);
+
+    // Nesting / ordering only makes sense once the token set is correct
+    if (errors.length === 0) {
+        const nestingError = checkNesting(found.map(token => expected.get(token)));
+        if (nestingError) errors.push(nestingError);
+    }
+
+    return {
+        valid: errors.length === 0,
+        missing,
+        extra,
+        duplicated,
+        errors
+    };
+}
+
+/**
+ * Verifies paired codes: regular pairs must nest, isolated pairs must keep open-before-close
+ */
+function checkNesting(orderedCodes) {
+    const stack = [];
+    const openedIsolated = new Set();
+
+    for (const code of orderedCodes) {
+        if (code.isolated) {
+            if (code.kind === 'open') {
+                openedIsolated.add(code.pairKey);
+            } else if (code.kind === 'close' && code.pairKey && !openedIsolated.has(code.pairKey) && hasIsolatedOpen(orderedCodes, code.pairKey)) {
+                return `inline code ${code.token} closes before it opens`;
+            }
+            continue;
+        }
+
+        if (code.kind === 'open') {
+            stack.push(code);
+        } else if (code.kind === 'close') {
+            const open = stack.pop();
+            if (!open || open.number !== code.number) {
+                return `mis-nested inline code ${code.token}`;
+            }
+        }
+    }
+
+    if (stack.length > 0) {
+        return `unclosed inline code ${stack[stack.length - 1].token}`;
+    }
+
+    return null;
+}
+
+function hasIsolatedOpen(orderedCodes, pairKey) {
+    return orderedCodes.some(code => code.isolated && code.kind === 'open' && code.pairKey === pairKey);
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function registerCode(codes, code, number) {
+    // Isolated pairs (bpt/ept, sc/ec) and standalone codes share the ⟦n/⟧ shape
+    let token = `${TOKEN_OPEN}${number}/${TOKEN_CLOSE}`;
+    if (!code.isolated && code.kind === 'open') {
+        token = `${TOKEN_OPEN}${number}${TOKEN_CLOSE}`;
+    } else if (!code.isolated && code.kind === 'close') {
+        token = `${TOKEN_OPEN}/${number}${TOKEN_CLOSE}`;
+    }
+
+    codes.push({ ...code, number, token });
+    return token;
+}
+
+function getPairKey(name, attributes) {
+    // ec → startRef, ept → rid (or id), bpt/sc → rid or id
+    const match = (attributes || '').match(/\b(?:startRef|rid)\s*=\s*["']([^"']*)["']/) ||
+        (attributes || '').match(/\bid\s*=\s*["']([^"']*)["']/);
+    return match ? match[1] : name;
+}
+
+function getTokenRegex() {
+    return new RegExp(`${TOKEN_OPEN}/?\\d+/?${TOKEN_CLOSE}`, 'g');
+}
+
+function hasInlineTokens(text) {
+    return getTokenRegex().test(text);
+}
+
+// Export for Express server
+module.exports = {
+    protectInlineTags,
+    restoreInlineTags,
+    validateInlineTags,
+    hasInlineTokens
+};
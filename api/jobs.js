@@ -0,0 +1,379 @@
+// ========================================
+// TRANSLATION JOBS - Render Native
+// Persistent background file translations with progress events, resume and cancel
+// ========================================
+
+const crypto = require('crypto');
+const path = require('path');
+const EventEmitter = require('events');
+const storage = require('./storage');
+const xlfParser = require('./xlf-parser');
+const translateFile = require('./translate-file');
+const incremental = require('./incremental');
+const contextProfiles = require('./context-profiles');
+const logger = require('./logger');
+
+const log = logger.createLogger('JOBS');
+
+const JOBS_DIR = process.env.JOBS_DIR || storage.getDataPath('jobs');
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+// The saved state grows with the file: progress is written at most this often
+const JOB_SAVE_INTERVAL_MS = parseInt(process.env.JOB_SAVE_INTERVAL_MS, 10) || 5000;
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const savedAt = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let activeJobs = 0;
+let sweepTimer = null;
+
+/**
+ * CREATE JOB
+ * Stores the source file and settings, then queues the translation.
+ * With a contextProfile the profile version (and its context) is fixed when the job is created.
+ * options.owner: id of the user the job belongs to. The creating request's correlation id
+ * is kept, so the job's log lines can be traced back to it.
+ */
+async function createJob(requestData, options = {}) {
+    const {
+        xlfContent,
+        fileName = 'translation.xlf',
+        sourceLang,
+        targetLang,
+        chunkSize,
+        tokenBudget,
+        concurrency,
+        incremental: incrementalRun,
+        neighborSegments,
+        budget,
+        useTranslationMemory,
+        useGlossary,
+        localeTypography,
+        providerOptions
+    } = requestData;
+
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid xlfContent');
+    }
+
+    // Reject unreadable files now rather than when the job starts
+    const parsed = xlfParser.parseXLF(xlfContent);
+    const resolvedTargetLang = targetLang || parsed.targetLang;
+    if (!resolvedTargetLang) {
+        throw new Error('Target language is required');
+    }
+
+    const { translationContext, contextProfile, project } = await contextProfiles.applyContextProfile(requestData, resolvedTargetLang);
+    const plan = incremental.planTranslation(parsed, { incremental: incrementalRun });
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        owner: options.owner || null,
+        requestId: logger.getRequestId() || null,
+        fileName,
+        settings: {
+            sourceLang: sourceLang || parsed.sourceLang || 'en',
+            targetLang: resolvedTargetLang,
+            translationContext,
+            contextProfile: contextProfile || null,
+            chunkSize,
+            tokenBudget,
+            concurrency,
+            incremental: plan.summary.incremental,
+            neighborSegments,
+            budget,
+            project,
+            useTranslationMemory,
+            useGlossary,
+            localeTypography,
+            providerOptions
+        },
+        progress: {
+            totalSegments: plan.summary.toTranslate,
+            skippedSegments: plan.summary.skipped,
+            translatedSegments: 0,
+            failedSegments: 0,
+            totalChunks: 0,
+            completedChunks: 0
+        },
+        state: null,
+        stats: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await storage.writeText(getJobPath(job.id, 'source.xlf'), xlfContent);
+    await saveJob(job);
+    jobs.set(job.id, job);
+
+    log.info('Job queued', {
+        jobId: job.id,
+        targetLang: resolvedTargetLang,
+        segments: job.progress.totalSegments,
+        contextProfile: contextProfile ? `${contextProfile.id} v${contextProfile.version}` : undefined
+    });
+
+    enqueue(job);
+    return toPublicJob(job);
+}
+
+function getJob(id) {
+    const job = jobs.get(id);
+    return job ? toPublicJob(job) : null;
+}
+
+function listJobs() {
+    return Array.from(jobs.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toPublicJob);
+}
+
+/**
+ * JOB RESULT
+ * Returns the translated XLF of a completed job
+ */
+async function getJobResult(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status !== 'completed') {
+        throw new Error(`Job is ${job.status}, result not available yet`);
+    }
+
+    return {
+        fileName: job.fileName,
+        xlfContent: await storage.readText(getJobPath(id, 'result.xlf'))
+    };
+}
+
+/**
+ * CANCEL JOB
+ * Queued jobs stop immediately; running jobs stop before their next chunk
+ */
+async function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+        throw new Error(`Job already ${job.status}`);
+    }
+
+    if (job.status === 'queued') {
+        const queued = queue.indexOf(id);
+        if (queued !== -1) queue.splice(queued, 1);
+        await updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    } else {
+        job.cancelRequested = true;
+        log.info('Cancellation requested', { jobId: id });
+    }
+
+    return toPublicJob(job);
+}
+
+/**
+ * SUBSCRIBE TO JOB UPDATES
+ * The listener receives the public job after every change; returns an unsubscribe function
+ */
+function subscribe(id, listener) {
+    const eventName = `job:${id}`;
+    events.on(eventName, listener);
+    return () => events.off(eventName, listener);
+}
+
+/**
+ * RESUME JOBS AFTER A RESTART
+ * Loads every saved job; queued and interrupted ones continue from their last saved chunk.
+ * Then removes expired finished jobs, and keeps doing so every hour.
+ */
+async function resumeJobs() {
+    const files = await storage.listFiles(JOBS_DIR, '.json');
+    let resumed = 0;
+
+    for (const file of files) {
+        const job = await storage.readJSON(getJobPath(file.replace(/\.json$/, ''), 'json'), null);
+        if (!job || !job.id) continue;
+
+        jobs.set(job.id, job);
+        if (job.status === 'queued' || job.status === 'running') {
+            job.status = 'queued';
+            enqueue(job);
+            resumed++;
+        }
+    }
+
+    log.info('Saved jobs loaded', { jobs: files.length, resumed });
+
+    await sweepFinishedJobs();
+    if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+            sweepFinishedJobs().catch(error => log.error('Job retention sweep failed', { error }));
+        }, SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+    }
+
+    return resumed;
+}
+
+/**
+ * RETENTION SWEEP
+ * Deletes finished jobs (record, source and result files) older than JOB_RETENTION_DAYS
+ */
+async function sweepFinishedJobs(now = Date.now()) {
+    const cutoff = now - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const job of Array.from(jobs.values())) {
+        if (!isFinished(job) || Date.parse(job.finishedAt || job.updatedAt) > cutoff) continue;
+
+        jobs.delete(job.id);
+        savedAt.delete(job.id);
+        await Promise.all(['json', 'source.xlf', 'result.xlf'].map(suffix => storage.removeFile(getJobPath(job.id, suffix))));
+        removed++;
+    }
+
+    if (removed > 0) {
+        log.info('Expired jobs removed', { jobs: removed, retentionDays: JOB_RETENTION_DAYS });
+    }
+    return removed;
+}
+
+/**
+ * QUEUE RUNNER
+ */
+function enqueue(job) {
+    queue.push(job.id);
+    pump();
+}
+
+function pump() {
+    while (activeJobs < JOB_CONCURRENCY && queue.length > 0) {
+        const job = jobs.get(queue.shift());
+        if (!job || job.status !== 'queued') continue;
+
+        // Job log lines carry the job id and the id of the request that created it
+        activeJobs++;
+        logger.runWithContext({ requestId: job.requestId || job.id, jobId: job.id }, () => runJob(job))
+            .catch(error => log.error('Job crashed', { jobId: job.id, error }))
+            .finally(() => {
+                activeJobs--;
+                pump();
+            });
+    }
+}
+
+async function runJob(job) {
+    await updateJob(job, { status: 'running', startedAt: job.startedAt || new Date().toISOString() });
+    log.info('Running job', { resumeAtChunk: job.state ? job.state.completedChunks + 1 : undefined });
+
+    try {
+        const xlfContent = await storage.readText(getJobPath(job.id, 'source.xlf'));
+        if (!xlfContent) {
+            throw new Error('Source file for this job is missing');
+        }
+
+        const result = await translateFile.translateFile({ ...job.settings, xlfContent }, {
+            state: job.state || undefined,
+            shouldStop: () => !!job.cancelRequested,
+            onProgress: async (state, progress) => {
+                await updateJob(job, { state, progress }, { throttle: true });
+            }
+        });
+
+        if (result.cancelled) {
+            await updateJob(job, { status: 'cancelled', state: result.state, finishedAt: new Date().toISOString() });
+            log.info('Job cancelled');
+            return;
+        }
+
+        await storage.writeText(getJobPath(job.id, 'result.xlf'), result.xlfContent);
+        await updateJob(job, {
+            status: 'completed',
+            stats: result.stats,
+            failedSegments: result.failedSegments,
+            finishedAt: new Date().toISOString()
+        });
+        log.info('Job completed', {
+            translated: result.stats.translatedSegments,
+            total: result.stats.totalSegments,
+            budgetReached: result.stats.budgetReached || undefined
+        });
+
+    } catch (error) {
+        log.error('Job failed', { error });
+        await updateJob(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+    }
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+/**
+ * Applies changes and notifies subscribers. Throttled updates (chunk progress) are only
+ * written when JOB_SAVE_INTERVAL_MS has passed since the last save; status changes always are.
+ */
+async function updateJob(job, changes, { throttle = false } = {}) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (!throttle || Date.now() - (savedAt.get(job.id) || 0) >= JOB_SAVE_INTERVAL_MS) {
+        await saveJob(job);
+    }
+    events.emit(`job:${job.id}`, toPublicJob(job));
+}
+
+function saveJob(job) {
+    const { cancelRequested, ...persisted } = job;
+    savedAt.set(job.id, Date.now());
+    return storage.writeJSON(getJobPath(job.id, 'json'), persisted);
+}
+
+function getJobPath(id, suffix) {
+    // Ids are UUIDs; anything else never reaches the file system
+    const safeId = String(id).replace(/[^a-f0-9-]/gi, '');
+    return path.join(JOBS_DIR, `${safeId}.${suffix}`);
+}
+
+function toPublicJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        owner: job.owner || null,
+        requestId: job.requestId || null,
+        fileName: job.fileName,
+        sourceLang: job.settings.sourceLang,
+        targetLang: job.settings.targetLang,
+        contextProfile: job.settings.contextProfile || null,
+        progress: job.progress,
+        stats: job.stats,
+        failedSegments: job.failedSegments || {},
+        error: job.error,
+        cancelRequested: !!job.cancelRequested,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null,
+        updatedAt: job.updatedAt
+    };
+}
+
+function isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+}
+
+// Export for Express server
+module.exports = {
+    createJob,
+    getJob,
+    listJobs,
+    getJobResult,
+    cancelJob,
+    subscribe,
+    resumeJobs,
+    sweepFinishedJobs,
+    isFinished
+};
@@ -0,0 +1,62 @@
+// ========================================
+// LANGUAGE CODES - Render Native
+// Shared language normalization for per-language-pair data
+// ========================================
+
+// Pseudo-locales: Windows (qps-ploc, mirrored qps-plocm, qps-ploca) and Android (en-XA, ar-XB)
+const PSEUDO_LOCALES = ['qps-ploc', 'qps-plocm', 'qps-ploca', 'en-xa', 'ar-xb'];
+
+/**
+ * NORMALIZE LANGUAGE CODE
+ * Codes are compared by primary subtag ("es-ES" → "es"),
+ * except Chinese, where script/region decides the variant,
+ * and pseudo-locales, which are never merged with a real language
+ */
+function normalizeLang(lang) {
+    const code = String(lang || '').toLowerCase().replace(/_/g, '-');
+    if (PSEUDO_LOCALES.includes(code)) {
+        return code;
+    }
+    if (code.startsWith('zh')) {
+        return /hant|tw|hk|mo/.test(code) ? 'zh-tw' : 'zh-cn';
+    }
+    return code.split('-')[0];
+}
+
+/**
+ * BCP-47 TAG FOR FILE METADATA
+ * Canonical casing and separators ("zh-cn" → "zh-CN", "pt_br" → "pt-BR",
+ * "sr-latn-rs" → "sr-Latn-RS"); Windows pseudo-locales keep their usual spelling
+ * (qps-ploc) and codes that are not valid tags are only trimmed
+ */
+function toBCP47(lang) {
+    const code = String(lang || '').trim().replace(/_/g, '-');
+    if (/^qps-/i.test(code)) {
+        return code.toLowerCase();
+    }
+    try {
+        return Intl.getCanonicalLocales(code)[0] || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Key used to store data per language pair ("en|es")
+ */
+function getPairKey(sourceLang, targetLang) {
+    return `${normalizeLang(sourceLang)}|${normalizeLang(targetLang)}`;
+}
+
+function isPseudoLocale(lang) {
+    return PSEUDO_LOCALES.includes(String(lang || '').toLowerCase().replace(/_/g, '-'));
+}
+
+// Export for API modules
+module.exports = {
+    PSEUDO_LOCALES,
+    normalizeLang,
+    toBCP47,
+    getPairKey,
+    isPseudoLocale
+};
@@ -0,0 +1,154 @@
+// ========================================
+// STRUCTURED LOGGER - Render Native
+// Leveled JSON log lines tagged with the request's correlation id
+// ========================================
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// debug | info (default) | warn | error | silent
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+// json (default): one object per line for the hosting log pipeline;
+// text: "[COMPONENT] message key=value", for local runs and the CLI
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+// stdout (default: warn and error lines on stderr) | stderr: every line on stderr,
+// so the CLI keeps stdout for its own output
+const LOG_STREAM = process.env.LOG_STREAM === 'stderr' ? 'stderr' : 'stdout';
+
+// Source texts, contexts and translations are client content: they are only
+// written to the logs when explicitly enabled (LOG_TEXT_CONTENT=true)
+const LOG_TEXT_CONTENT = process.env.LOG_TEXT_CONTENT === 'true';
+const CONTENT_PREVIEW_CHARS = 100;
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_REGEX = /^[\w.:-]{1,64}$/;
+
+// Probes hit these every few seconds; their request lines are debug only
+const QUIET_PATHS = ['/health', '/metrics'];
+
+const requestStore = new AsyncLocalStorage();
+
+/**
+ * CREATE A COMPONENT LOGGER
+ * log.info(message, fields): fields are added to the line as they are; an `error`
+ * field holding an Error is written as its message, status and (at error level) stack
+ */
+function createLogger(component) {
+    return {
+        debug: (message, fields) => write('debug', component, message, fields),
+        info: (message, fields) => write('info', component, message, fields),
+        warn: (message, fields) => write('warn', component, message, fields),
+        error: (message, fields) => write('error', component, message, fields)
+    };
+}
+
+/**
+ * Preview of a client text for a log field: undefined (field left out) unless
+ * LOG_TEXT_CONTENT is enabled
+ */
+function content(text) {
+    if (!LOG_TEXT_CONTENT || typeof text !== 'string') return undefined;
+    return text.length > CONTENT_PREVIEW_CHARS ? `${text.slice(0, CONTENT_PREVIEW_CHARS)}…` : text;
+}
+
+/**
+ * REQUEST CONTEXT (Express middleware, first in the chain)
+ * Takes the caller's X-Request-Id when it looks like one, otherwise creates an id,
+ * returns it in the X-Request-Id response header and tags every log line written
+ * while the request is handled. One line per finished request.
+ */
+function requestContext(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : createRequestId();
+    const startTime = Date.now();
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    res.on('finish', () => {
+        const level = QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+        requestStore.run({ requestId }, () => write(level, 'HTTP', 'Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Date.now() - startTime,
+            user: req.user && req.user.id !== 'anonymous' ? req.user.id : undefined
+        }));
+    });
+
+    requestStore.run({ requestId }, next);
+}
+
+/**
+ * Runs fn with extra context fields (e.g. a background job's requestId and jobId)
+ */
+function runWithContext(context, fn) {
+    return requestStore.run({ ...requestStore.getStore(), ...context }, fn);
+}
+
+function getRequestId() {
+    const context = requestStore.getStore();
+    return context ? context.requestId : undefined;
+}
+
+function createRequestId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function write(level, component, message, fields = {}) {
+    if (LEVELS[level] < LOG_LEVEL) return;
+
+    const { error, ...rest } = fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        message,
+        ...requestStore.getStore(),
+        ...rest,
+        ...errorFields(error, level)
+    };
+
+    const line = LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+    if (LOG_STREAM === 'stderr' || LEVELS[level] >= LEVELS.warn) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+function errorFields(error, level) {
+    if (error === undefined) return {};
+    if (!(error instanceof Error)) return { error };
+    return {
+        error: error.message,
+        errorStatus: error.status,
+        stack: level === 'error' ? error.stack : undefined
+    };
+}
+
+function formatText(entry) {
+    const { time, level, component, message, stack, ...fields } = entry;
+    const pairs = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const prefix = level === 'info' ? '' : `${level.toUpperCase()} `;
+    return `${prefix}[${component}] ${message}${pairs.length ? ` ${pairs.join(' ')}` : ''}${stack ? `\n${stack}` : ''}`;
+}
+
+// Export for API modules
+module.exports = {
+    REQUEST_ID_HEADER,
+    createLogger,
+    content,
+    requestContext,
+    runWithContext,
+    getRequestId
+};
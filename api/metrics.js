@@ -0,0 +1,138 @@
+// ========================================
+// METRICS - Render Native
+// In-process Prometheus counters and histograms (text exposition format on /metrics)
+// ========================================
+
+// Seconds; chunks range from a TM-only lookup to a large chunk with retries
+const CHUNK_DURATION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+const registry = [];
+
+const httpRequests = defineMetric('counter', 'xlf_http_requests_total',
+    'HTTP requests by method, route and status code', ['method', 'route', 'status']);
+const chunkDuration = defineMetric('histogram', 'xlf_chunk_duration_seconds',
+    'Time to translate one chunk, by outcome (success, partial, failed)', ['outcome'], CHUNK_DURATION_BUCKETS);
+const providerCalls = defineMetric('counter', 'xlf_provider_calls_total',
+    'Provider calls (every attempt) by provider and task', ['provider', 'task']);
+const providerErrors = defineMetric('counter', 'xlf_provider_errors_total',
+    'Failed provider calls by provider and HTTP status (network: no response, none: not an HTTP error)', ['provider', 'status']);
+const retries = defineMetric('counter', 'xlf_retries_total',
+    'Repeated work by reason (provider backoff, truncated response, missing indices, inline tags)', ['reason']);
+const fallbacks = defineMetric('counter', 'xlf_fallbacks_total',
+    'Degraded results by kind (local context, salvaged response)', ['kind']);
+
+/**
+ * REQUEST METRICS (Express middleware)
+ * Counted when the response is sent; routes are labelled by their pattern
+ * (/api/jobs/:id), so ids never turn into label values
+ */
+function trackRequests(req, res, next) {
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        increment(httpRequests, { method: req.method, route, status: String(res.statusCode) });
+    });
+    next();
+}
+
+function observeChunk(durationMs, outcome) {
+    observe(chunkDuration, { outcome }, durationMs / 1000);
+}
+
+function recordProviderCall(provider, task) {
+    increment(providerCalls, { provider, task });
+}
+
+function recordProviderError(provider, status) {
+    increment(providerErrors, { provider, status: String(status) });
+}
+
+function recordRetry(reason) {
+    increment(retries, { reason });
+}
+
+function recordFallback(kind) {
+    increment(fallbacks, { kind });
+}
+
+/**
+ * PROMETHEUS TEXT FORMAT
+ * Every metric with its HELP / TYPE lines, series in the order they were first seen
+ */
+function renderMetrics() {
+    const lines = [];
+
+    registry.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        metric.series.forEach(({ labels, value }) => {
+            if (metric.type === 'counter') {
+                lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+                return;
+            }
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${value.counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(labels)} ${Math.round(value.sum * 1000) / 1000}`);
+            lines.push(`${metric.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+    });
+
+    lines.push('# HELP xlf_process_uptime_seconds Seconds since the server process started');
+    lines.push('# TYPE xlf_process_uptime_seconds gauge');
+    lines.push(`xlf_process_uptime_seconds ${Math.round(process.uptime())}`);
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function defineMetric(type, name, help, labelNames, buckets = []) {
+    const metric = { type, name, help, labelNames, buckets, series: new Map() };
+    registry.push(metric);
+    return metric;
+}
+
+function getSeries(metric, labels, createValue) {
+    const key = metric.labelNames.map(label => labels[label]).join('\u0000');
+    if (!metric.series.has(key)) {
+        const seriesLabels = {};
+        metric.labelNames.forEach(label => {
+            seriesLabels[label] = String(labels[label] === undefined ? '' : labels[label]);
+        });
+        metric.series.set(key, { labels: seriesLabels, value: createValue() });
+    }
+    return metric.series.get(key);
+}
+
+function increment(metric, labels, amount = 1) {
+    getSeries(metric, labels, () => 0).value += amount;
+}
+
+function observe(metric, labels, value) {
+    const series = getSeries(metric, labels, () => ({ counts: metric.buckets.map(() => 0), count: 0, sum: 0 }));
+    metric.buckets.forEach((bound, i) => {
+        if (value <= bound) series.value.counts[i]++;
+    });
+    series.value.count++;
+    series.value.sum += value;
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Export for API modules
+module.exports = {
+    trackRequests,
+    observeChunk,
+    recordProviderCall,
+    recordProviderError,
+    recordRetry,
+    recordFallback,
+    renderMetrics
+};
@@ -3,13 +3,32 @@
 // Clean implementation with Claude API integration
 // ========================================
 
+const inlineTags = require('./inline-tags');
+const icu = require('./icu');
+const typography = require('./typography');
+const translationMemory = require('./translation-memory');
+const glossary = require('./glossary');
+const providers = require('./providers');
+const usageAccounting = require('./usage');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.createLogger('XLF-API');
+
+// Rounds of re-sending indices the model left out of its response
+const MISSING_INDEX_RETRIES = parseInt(process.env.MISSING_INDEX_RETRIES, 10) >= 0 ? parseInt(process.env.MISSING_INDEX_RETRIES, 10) : 2;
+
+// Longest note / neighbouring segment copied into the prompt
+const MAX_CONTEXT_CHARS = 300;
+
+// Segment statuses that leave the <target> unwritten
+const FAILED_STATUSES = ['failed', 'tag-mismatch', 'icu-invalid'];
+
 /**
  * MAIN PROCESSING FUNCTION - Render Native
  * Handles XLF translation with contextual intelligence
  */
 async function processTranslation(requestData) {
-    console.log('🔄 [XLF-API] Starting translation processing');
-    
     const startTime = Date.now();
     const {
         chunkTexts,
@@ -18,7 +37,16 @@ async function processTranslation(requestData) {
         sourceLang = 'en',
         targetLang,
         translationContext,
-        sourceContent
+        sourceContent,
+        useTranslationMemory: tmRequested = true,
+        tmFuzzyThreshold,
+        useGlossary: glossaryRequested = true,
+        localeTypography,
+        preserveSpace = false,
+        unitContext = [],
+        surroundingSegments = {},
+        project,
+        providerOptions: requestedProviderOptions = {}
     } = requestData;
 
     // Validate required parameters
@@ -34,47 +62,152 @@ async function processTranslation(requestData) {
         throw new Error('chunkTexts array cannot be empty');
     }
 
-    console.log(`[XLF-API] Processing chunk ${chunkIndex + 1}/${totalChunks}: ${chunkTexts.length} texts`);
-    console.log(`[XLF-API] Translation context: ${translationContext ? `${translationContext.length} chars` : 'none'}`);
+    // Fail fast on an unknown provider name (pseudo-locale targets always use the pseudo provider)
+    const providerOptions = providers.forTargetLang(requestedProviderOptions, targetLang);
+    const providerName = providers.resolveProviderSettings('translate', providerOptions).provider.name;
+
+    // Mock, identity and pseudo output is test data: it never comes from or goes into
+    // the TM (glossary terms are not expected in pseudo-localized text either)
+    const pseudoRun = providerName === 'pseudo';
+    const useTranslationMemory = isRequested(tmRequested) && !providers.isTestProvider(providerName);
+    const useGlossary = isRequested(glossaryRequested) && !pseudoRun;
+    const useTypography = typography.isEnabled(localeTypography) && !pseudoRun;
+
+    log.info('Processing chunk', {
+        chunk: `${chunkIndex + 1}/${totalChunks}`,
+        texts: chunkTexts.length,
+        sourceLang,
+        targetLang,
+        contextChars: translationContext ? translationContext.length : 0,
+        context: logger.content(translationContext)
+    });
 
     // Preprocess texts with UTF-8 native handling
+    // (preserveSpace: one flag for the chunk or one per text, from xml:space="preserve")
     const processedTexts = chunkTexts.map((text, i) => 
-        preprocessTextForTranslation(text, i)
+        preprocessTextForTranslation(text, i, Array.isArray(preserveSpace) ? preserveSpace[i] : preserveSpace)
     );
 
-    let translations;
-    
-    try {
-        // Primary: Claude API with contextual translation
-        translations = await translateWithClaude(
-            processedTexts, 
-            sourceLang, 
+    // Translation memory: exact matches are reused, fuzzy matches go to the prompt as references
+    const tmMatches = useTranslationMemory
+        ? await translationMemory.lookupSegments(processedTexts, sourceLang, targetLang, { fuzzyThreshold: tmFuzzyThreshold })
+        : { exact: {}, fuzzy: {} };
+
+    const translations = {};
+    Object.entries(tmMatches.exact).forEach(([index, target]) => {
+        translations[index] = target;
+    });
+
+    // Only segments without an exact TM match are sent to Claude
+    const pendingIndices = processedTexts
+        .map((text, i) => i)
+        .filter(i => translations[i] === undefined);
+
+    let tagIssues = {};
+    let icuIssues = {};
+    let failures = {};
+    let newTranslations = {};
+    let rateLimited = false;
+    const usage = usageAccounting.createUsage();
+    const glossaryTerms = useGlossary ? await glossary.getGlossary(sourceLang, targetLang) : [];
+
+    if (pendingIndices.length > 0) {
+        const pendingResult = await translatePendingSegments(pendingIndices, processedTexts, tmMatches.fuzzy, {
+            sourceLang,
             targetLang,
-            translationContext
-        );
-        
-        console.log(`[XLF-API] Claude translation completed: ${Object.keys(translations).length} translations`);
-        
-    } catch (error) {
-        console.error(`[XLF-API] Claude API failed: ${error.message}`);
-        
-        // Fallback: Generate contextual fallbacks
-        translations = generateContextualFallbacks(processedTexts, targetLang, translationContext);
-        console.log(`[XLF-API] Fallback translations generated: ${Object.keys(translations).length} translations`);
+            translationContext,
+            glossaryTerms,
+            unitContext: Array.isArray(unitContext) ? unitContext : [],
+            surroundingSegments,
+            localeTypography: useTypography,
+            providerOptions,
+            usage
+        });
+        newTranslations = pendingResult.translations;
+        tagIssues = pendingResult.tagIssues;
+        icuIssues = pendingResult.icuIssues;
+        failures = pendingResult.failures;
+        rateLimited = pendingResult.rateLimited;
+        Object.assign(translations, newTranslations);
+
+        if (useTranslationMemory && Object.keys(newTranslations).length > 0) {
+            await translationMemory.addEntries(
+                Object.entries(newTranslations).map(([index, target]) => ({ source: processedTexts[index], target })),
+                sourceLang,
+                targetLang
+            );
+        }
+    }
+
+    await usageAccounting.recordUsage(usage, { project, task: 'translate' });
+
+    // Report every segment where a required glossary term did not make it into the target
+    const terminologyIssues = {};
+    if (glossaryTerms.length > 0) {
+        Object.entries(translations).forEach(([index, translation]) => {
+            const missing = glossary.checkTerminology(processedTexts[index], translation, glossaryTerms);
+            if (missing.length > 0) {
+                terminologyIssues[index] = missing;
+            }
+        });
     }
 
+    // Per-segment status: failed segments are never replaced by placeholder text
+    const segments = {};
+    processedTexts.forEach((text, index) => {
+        if (tmMatches.exact[index] !== undefined) {
+            segments[index] = { status: 'tm-match' };
+        } else if (translations[index] !== undefined) {
+            segments[index] = { status: 'translated' };
+        } else if (tagIssues[index]) {
+            segments[index] = { status: 'tag-mismatch', error: tagIssues[index].join('; ') };
+        } else if (icuIssues[index]) {
+            segments[index] = { status: 'icu-invalid', error: icuIssues[index].join('; ') };
+        } else {
+            segments[index] = { status: 'failed', error: failures[index] || 'missing from model response' };
+        }
+    });
+    const failedSegments = Object.values(segments).filter(segment => FAILED_STATUSES.includes(segment.status)).length;
+
     const processingTime = Date.now() - startTime;
+    const outcome = failedSegments === 0 ? 'success' : (failedSegments < processedTexts.length ? 'partial' : 'failed');
+    metrics.observeChunk(processingTime, outcome);
+    log.info('Chunk processed', {
+        chunk: `${chunkIndex + 1}/${totalChunks}`,
+        outcome,
+        translated: Object.keys(translations).length,
+        tmHits: Object.keys(tmMatches.exact).length,
+        failed: failedSegments,
+        durationMs: processingTime
+    });
 
     // Return comprehensive response
     return {
         success: true,
         chunkIndex,
         translations,
+        segments,
+        tagIssues,
+        icuIssues,
+        tmSuggestions: tmMatches.fuzzy,
+        terminologyIssues,
         stats: {
             textsProcessed: processedTexts.length,
             realTranslations: Object.keys(translations).length,
-            chunkComplete: true,
+            tmHits: Object.keys(tmMatches.exact).length,
+            tmFuzzyMatches: Object.keys(tmMatches.fuzzy).length,
+            newSegments: Object.keys(newTranslations).length,
+            tagValidationFailures: Object.keys(tagIssues).length,
+            icuValidationFailures: Object.keys(icuIssues).length,
+            glossaryTermsApplied: glossary.findTermsInTexts(processedTexts, glossaryTerms).length,
+            terminologyIssues: Object.keys(terminologyIssues).length,
+            failedSegments,
+            chunkComplete: failedSegments === 0,
+            rateLimited,
             contextualTranslation: !!translationContext,
+            localeTypography: useTypography,
+            provider: providerName,
+            usage,
             processingTimeMs: processingTime
         },
         metadata: {
@@ -86,106 +219,413 @@ async function processTranslation(requestData) {
     };
 }
 
+/**
+ * TRANSLATE SEGMENTS NOT COVERED BY THE TRANSLATION MEMORY
+ * Protects inline codes, sends fuzzy TM matches, unit metadata and neighbouring
+ * segments as references and maps the results back to chunk indices.
+ * ICU plural/select messages are sent one case per text and rebuilt afterwards;
+ * a rebuilt message that is not valid ICU is reported in icuIssues, not translated.
+ * With localeTypography each translated text (each ICU case) gets the target
+ * language's spacing, quotation marks and bidi isolation (see api/typography.js).
+ */
+async function translatePendingSegments(pendingIndices, processedTexts, fuzzyMatches, settings) {
+    const { sourceLang, targetLang, translationContext, glossaryTerms = [], unitContext = [], surroundingSegments, localeTypography = false, providerOptions = {}, usage } = settings;
+    const pendingTexts = pendingIndices.map(i => processedTexts[i]);
+    const pendingContext = pendingIndices.map(i => unitContext[i] || null);
+
+    // Only the glossary terms that occur in these texts go into the prompt
+    const chunkTerms = glossary.findTermsInTexts(pendingTexts, glossaryTerms);
+
+    // Swap inline codes (<g>, <x/>, <ph>, <bpt>/<ept>, <pc>, ...) for opaque tokens
+    const protectedTexts = pendingTexts.map(text => inlineTags.protectInlineTags(text));
+
+    // ICU messages become one item per case (a full sentence with the target language's
+    // plural categories), other texts one item each
+    const messages = protectedTexts.map(protectedText => icu.splitMessage(protectedText.text, targetLang));
+    const items = [];
+    protectedTexts.forEach((protectedText, localIndex) => {
+        const message = messages[localIndex];
+        if (!message) {
+            items.push({ localIndex, protectedText, context: pendingContext[localIndex] });
+            return;
+        }
+        message.leaves.forEach(leaf => items.push({
+            localIndex,
+            protectedText: { text: leaf.text, codes: protectedText.codes.filter(code => leaf.text.includes(code.token)) },
+            context: { ...pendingContext[localIndex], icu: leaf.description }
+        }));
+    });
+    const itemContext = items.map(item => item.context);
+
+    // TM references describe whole segments, so ICU cases go without them
+    const references = {};
+    items.forEach((item, itemIndex) => {
+        const chunkIndex = pendingIndices[item.localIndex];
+        if (!messages[item.localIndex] && fuzzyMatches[chunkIndex]) {
+            references[itemIndex] = fuzzyMatches[chunkIndex];
+        }
+    });
+
+    const translations = {};
+    const tagIssues = {};
+    const icuIssues = {};
+    const failures = {};
+    let rateLimited = false;
+
+    try {
+        // Primary: Claude API with contextual translation
+        const tokenizedTranslations = await translateWithClaude(
+            items.map(item => item.protectedText.text), 
+            sourceLang, 
+            targetLang,
+            translationContext,
+            { references, glossaryTerms: chunkTerms, unitContext: itemContext, surroundingSegments },
+            providerOptions,
+            usage
+        );
+        
+        log.debug('Provider translation completed', { translations: Object.keys(tokenizedTranslations).length });
+
+        const validated = await validateAndRestoreTags(
+            tokenizedTranslations,
+            items.map(item => item.protectedText),
+            sourceLang,
+            targetLang,
+            translationContext,
+            { glossaryTerms: chunkTerms, unitContext: itemContext, surroundingSegments },
+            providerOptions,
+            usage
+        );
+
+        const finish = text => localeTypography ? typography.applyTypography(text, targetLang) : text;
+
+        pendingIndices.forEach((chunkIndex, localIndex) => {
+            const itemIndices = items
+                .map((item, itemIndex) => itemIndex)
+                .filter(itemIndex => items[itemIndex].localIndex === localIndex);
+            const issues = itemIndices.flatMap(itemIndex => validated.tagIssues[itemIndex] || []);
+
+            if (itemIndices.some(itemIndex => validated.missing.includes(itemIndex))) {
+                failures[chunkIndex] = 'missing from model response';
+            } else if (issues.length > 0) {
+                tagIssues[chunkIndex] = Array.from(new Set(issues));
+            } else if (!messages[localIndex]) {
+                translations[chunkIndex] = finish(validated.translations[itemIndices[0]]);
+            } else {
+                const translated = icu.joinMessage(messages[localIndex], itemIndices.map(itemIndex => finish(validated.translations[itemIndex])));
+                const check = icu.validateTranslation(pendingTexts[localIndex], translated, targetLang);
+                if (check.valid) {
+                    translations[chunkIndex] = translated;
+                } else {
+                    icuIssues[chunkIndex] = check.errors;
+                }
+            }
+        });
+
+        if (Object.keys(icuIssues).length > 0) {
+            log.warn('ICU messages failed validation, not written to <target>', { segments: Object.keys(icuIssues).length });
+        }
+        
+    } catch (error) {
+        // Retries with backoff already happened in the provider layer:
+        // the segments stay untranslated and are reported as failed
+        log.error('Translation failed', { attempts: error.attempts || 1, segments: pendingIndices.length, error });
+        
+        pendingIndices.forEach(chunkIndex => {
+            failures[chunkIndex] = error.message;
+        });
+        // Lets callers slow down instead of hammering the provider
+        rateLimited = error.status === 429;
+    }
+
+    return { translations, tagIssues, icuIssues, failures, rateLimited };
+}
+
 /**
  * UTF-8 NATIVE TEXT PREPROCESSING
- * Minimal normalization without corruption
+ * Minimal normalization without corruption. Only XML whitespace (space, tab, CR, LF)
+ * is touched, so no-break and other typographic spaces survive; with preserveSpace
+ * (xml:space="preserve") inner whitespace is kept as is. Leading/trailing whitespace
+ * is put back from the source when the file is assembled.
  */
-function preprocessTextForTranslation(text, index) {
-    console.log(`[PREPROCESS] Processing text ${index}: "${text.substring(0, 50)}..."`);
-    
+function preprocessTextForTranslation(text, index, preserveSpace = false) {
     // Only basic normalization without corruption
-    let cleaned = text
-        .replace(/\s+/g, ' ')     // Multiple spaces → single space
-        .trim();                  // Remove leading/trailing whitespace
+    let cleaned = preserveSpace ? text : text.replace(/[ \t\r\n]+/g, ' ');   // Multiple spaces → single space
+    cleaned = cleaned.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, '');             // Remove leading/trailing whitespace
     
     if (!cleaned || cleaned.length === 0) {
-        console.log(`[PREPROCESS] Empty text detected for ${index}, keeping empty`);
+        log.debug('Empty text kept empty', { index });
         return '';
     }
 
-    if (cleaned.length < 3) {
-        console.log(`[PREPROCESS] Very short text for ${index}: "${cleaned}"`);
-        return cleaned;
-    }
-
-    console.log(`[PREPROCESS] Text ${index} preprocessed successfully`);
+    log.debug('Text preprocessed', { index, chars: cleaned.length, text: logger.content(cleaned) });
     return cleaned;
 }
 
 /**
  * CLAUDE API TRANSLATION WITH CONTEXT
- * Primary translation method with contextual intelligence
+ * Primary translation method with contextual intelligence.
+ * Tokens of every provider call (including recovery calls) are added to `usage` when given.
  */
-async function translateWithClaude(chunkTexts, sourceLang, targetLang, translationContext) {
-    console.log(`[CLAUDE-API] Translating ${chunkTexts.length} texts from ${sourceLang} to ${targetLang}`);
-    console.log(`[CLAUDE-API] Context applied: ${translationContext ? 'YES' : 'NO'}`);
-    
-    if (translationContext) {
-        console.log(`[CLAUDE-API] Context length: ${translationContext.length} characters`);
-        console.log(`[CLAUDE-API] Context preview: "${translationContext.substring(0, 100)}..."`);
+async function translateWithClaude(chunkTexts, sourceLang, targetLang, translationContext, promptOptions = {}, providerOptions = {}, usage = null) {
+    log.debug('Translating texts', { texts: chunkTexts.length, sourceLang, targetLang, contextApplied: !!translationContext });
+
+    const request = { sourceLang, targetLang, translationContext, promptOptions, providerOptions, usage };
+    const translations = await requestTranslations(chunkTexts, request, MISSING_INDEX_RETRIES);
+
+    log.debug('Translations parsed', { parsed: Object.keys(translations).length, expected: chunkTexts.length });
+    return translations;
+}
+
+/**
+ * REQUEST TRANSLATIONS WITH RECOVERY
+ * Checks the response against the expected index set: a truncated response
+ * (max_tokens) keeps its complete entries and splits the rest in half, and
+ * indices the model left out are sent again (up to missingRetries rounds)
+ */
+async function requestTranslations(texts, request, missingRetries) {
+    const prompt = buildTranslationPrompt(texts, request.sourceLang, request.targetLang, request.translationContext, request.promptOptions);
+
+    // Provider call (Anthropic by default, see api/providers)
+    const completion = await providers.complete('translate', prompt, request.providerOptions, {
+        texts,
+        sourceLang: request.sourceLang,
+        targetLang: request.targetLang,
+        responseSchema: buildResponseSchema(texts.length)
+    });
+    usageAccounting.addCompletion(request.usage, completion);
+
+    log.debug('Response received', { chars: (completion.text || '').length, stopReason: completion.stopReason });
+
+    const translations = parseTranslationResponse(completion.text, texts.length);
+    const missing = texts.map((text, i) => i).filter(i => translations[i] === undefined);
+
+    if (missing.length === 0) {
+        return translations;
     }
-    
-    // API Key
-    const apiKey = process.env.CLAUDE_API_KEY;
-    if (!apiKey) {
-        throw new Error('Claude API key not configured');
+
+    if (completion.stopReason === 'max_tokens' && missing.length > 1) {
+        const middle = Math.ceil(missing.length / 2);
+        log.warn('Response truncated at max_tokens, splitting the rest', { complete: texts.length - missing.length, split: `${middle} + ${missing.length - middle}` });
+        metrics.recordRetry('truncated-response');
+
+        Object.assign(translations, await requestSubset(texts, missing.slice(0, middle), request, missingRetries));
+        Object.assign(translations, await requestSubset(texts, missing.slice(middle), request, missingRetries));
+    } else if (missingRetries > 0) {
+        log.warn('Indices missing from response, resending', { missing: missing.join(',') });
+        metrics.recordRetry('missing-indices');
+        Object.assign(translations, await requestSubset(texts, missing, request, missingRetries - 1));
+    } else {
+        log.error('Indices still missing after retries', { missing: missing.join(',') });
     }
-    
-    // Build contextual prompt
-    let prompt = buildTranslationPrompt(chunkTexts, sourceLang, targetLang, translationContext);
-    
-    console.log(`[CLAUDE-API] Sending request to Claude API`);
-    
-    // Claude API call
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json; charset=utf-8",
-            "x-api-key": apiKey,
-            "anthropic-version": "2023-06-01"
-        },
-        body: JSON.stringify({
-            model: "claude-sonnet-4-20250514",
-            max_tokens: 8000,
-            messages: [{ role: "user", content: prompt }]
-        })
+
+    return translations;
+}
+
+/**
+ * Translates a subset of texts and maps the results back to their original indices
+ */
+async function requestSubset(texts, indices, request, missingRetries) {
+    const subsetRequest = {
+        ...request,
+        promptOptions: subsetPromptOptions(request.promptOptions, indices)
+    };
+    const subset = await requestTranslations(indices.map(i => texts[i]), subsetRequest, missingRetries);
+
+    const mapped = {};
+    Object.entries(subset).forEach(([subsetIndex, translation]) => {
+        mapped[indices[subsetIndex]] = translation;
     });
+    return mapped;
+}
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Claude API error ${response.status}: ${errorText}`);
-    }
+/**
+ * Per-text prompt options (TM references, unit metadata) re-indexed for a subset of texts
+ */
+function subsetPromptOptions(promptOptions, indices) {
+    const references = promptOptions.references || {};
+    const unitContext = promptOptions.unitContext || [];
+    const subsetReferences = {};
+    indices.forEach((index, subsetIndex) => {
+        if (references[index]) {
+            subsetReferences[subsetIndex] = references[index];
+        }
+    });
 
-    const data = await response.json();
-    
-    // Extract and parse response
-    const responseText = data.content?.[0]?.text;
+    return {
+        ...promptOptions,
+        references: subsetReferences,
+        unitContext: indices.map(index => unitContext[index] || null)
+    };
+}
+
+/**
+ * PARSE TRANSLATION RESPONSE
+ * Accepts bare JSON, JSON wrapped in prose or code fences, an array, or a
+ * {"translations": {...}} wrapper; falls back to salvaging complete "n": "..."
+ * pairs (truncated output). Only string values for expected indices are kept.
+ */
+function parseTranslationResponse(responseText, expectedCount) {
+    const translations = {};
     if (!responseText) {
-        throw new Error('Claude API returned empty response');
+        log.error('Empty response from provider');
+        return translations;
     }
 
-    console.log(`[CLAUDE-API] Response received: ${responseText.length} characters`);
+    let parsed = null;
+    const cleanedResponse = responseText.replace(/```(?:json)?\s*|\s*```/g, '').trim();
+    const firstBrace = cleanedResponse.search(/[{[]/);
+    const lastBrace = Math.max(cleanedResponse.lastIndexOf('}'), cleanedResponse.lastIndexOf(']'));
 
-    // Parse JSON response
-    try {
-        const cleanedResponse = responseText.replace(/```json\s*|\s*```/g, '').trim();
-        const translations = JSON.parse(cleanedResponse);
-        
-        console.log(`[CLAUDE-API] Successfully parsed ${Object.keys(translations).length} translations`);
-        return translations;
-        
-    } catch (parseError) {
-        console.error(`[CLAUDE-API] JSON Parse Error:`, parseError.message);
-        throw new Error(`Failed to parse Claude response: ${parseError.message}`);
+    if (firstBrace !== -1 && lastBrace > firstBrace) {
+        try {
+            parsed = JSON.parse(cleanedResponse.substring(firstBrace, lastBrace + 1));
+        } catch (parseError) {
+            // The parser's message quotes the response, so it is only logged as content
+            log.warn('Response is not valid JSON, salvaging complete entries', { chars: cleanedResponse.length, error: logger.content(parseError.message) });
+            metrics.recordFallback('response-salvage');
+        }
+    }
+
+    if (parsed && !Array.isArray(parsed) && typeof parsed.translations === 'object' && parsed.translations !== null) {
+        parsed = parsed.translations;
+    }
+
+    if (parsed && typeof parsed === 'object') {
+        Object.entries(parsed).forEach(([key, value]) => addParsedTranslation(translations, key, value, expectedCount));
+    } else {
+        const pairRegex = /"(\d+)"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+        let match;
+        while ((match = pairRegex.exec(cleanedResponse)) !== null) {
+            try {
+                addParsedTranslation(translations, match[1], JSON.parse(`"${match[2]}"`), expectedCount);
+            } catch (error) {
+                // Broken escape sequence: leave this index missing
+            }
+        }
+    }
+
+    return translations;
+}
+
+function addParsedTranslation(translations, key, value, expectedCount) {
+    const index = Number(key);
+    if (Number.isInteger(index) && index >= 0 && index < expectedCount && typeof value === 'string') {
+        translations[index.toString()] = value;
+    }
+}
+
+/**
+ * JSON SCHEMA FOR STRUCTURED OUTPUT
+ * One required string property per text index (used as tool input / response_format)
+ */
+function buildResponseSchema(count) {
+    const properties = {};
+    for (let i = 0; i < count; i++) {
+        properties[i.toString()] = { type: 'string' };
     }
+
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+    };
+}
+
+/**
+ * INLINE TAG VALIDATION WITH RETRY
+ * Checks every segment for missing, extra or mis-nested codes, retries the failing
+ * ones once, and leaves segments that still fail out of the translations (flagged)
+ */
+async function validateAndRestoreTags(tokenizedTranslations, protectedTexts, sourceLang, targetLang, translationContext, promptOptions = {}, providerOptions = {}, usage = null) {
+    const translations = {};
+    const lastAttempt = { ...tokenizedTranslations };
+    // Already resent by requestTranslations: reported as missing, not as inline code issues
+    const missing = protectedTexts.map((p, i) => i).filter(index => typeof tokenizedTranslations[index] !== 'string');
+    const returned = protectedTexts.map((p, i) => i).filter(index => !missing.includes(index));
+    let failing = collectTagFailures(tokenizedTranslations, protectedTexts, translations, returned);
+
+    if (failing.length > 0) {
+        log.warn('Segments failed inline code validation, retrying', { segments: failing.length });
+        metrics.recordRetry('inline-tags');
+
+        try {
+            const retried = await translateWithClaude(
+                failing.map(index => protectedTexts[index].text),
+                sourceLang,
+                targetLang,
+                translationContext,
+                subsetPromptOptions(promptOptions, failing),
+                providerOptions,
+                usage
+            );
+
+            // Map retry-local indices back to chunk indices
+            failing.forEach((chunkIndex, retryIndex) => {
+                if (retried[retryIndex] !== undefined) {
+                    lastAttempt[chunkIndex] = retried[retryIndex];
+                }
+            });
+
+            failing = collectTagFailures(lastAttempt, protectedTexts, translations, failing);
+        } catch (error) {
+            log.error('Inline code retry failed', { error });
+        }
+    }
+
+    const tagIssues = {};
+    failing.forEach(index => {
+        tagIssues[index.toString()] = inlineTags.validateInlineTags(lastAttempt[index], protectedTexts[index].codes).errors;
+    });
+
+    if (failing.length > 0) {
+        log.warn('Segments flagged for inline codes, not written to <target>', { segments: failing.length });
+    }
+
+    if (missing.length > 0) {
+        log.warn('Segments missing from the response, not written to <target>', { segments: missing.length });
+    }
+
+    return { translations, tagIssues, missing };
+}
+
+/**
+ * Restores valid segments into `translations` and returns the indices that failed
+ */
+function collectTagFailures(tokenizedTranslations, protectedTexts, translations, indices) {
+    const failing = [];
+
+    indices.forEach(index => {
+        const translated = tokenizedTranslations[index];
+        const protectedText = protectedTexts[index];
+        const check = inlineTags.validateInlineTags(translated, protectedText.codes);
+        if (check.valid) {
+            translations[index.toString()] = inlineTags.restoreInlineTags(translated, protectedText.codes);
+        } else {
+            failing.push(index);
+        }
+    });
+
+    return failing;
 }
 
 /**
  * BUILD TRANSLATION PROMPT WITH CONTEXT
  * Creates optimized prompt for Claude API
  */
-function buildTranslationPrompt(chunkTexts, sourceLang, targetLang, translationContext) {
+function buildTranslationPrompt(chunkTexts, sourceLang, targetLang, translationContext, promptOptions = {}) {
     let prompt = '';
+    let tagRule = chunkTexts.some(text => inlineTags.hasInlineTokens(text))
+        ? `- Tokens like ⟦1⟧, ⟦/1⟧ and ⟦2/⟧ are inline formatting codes: keep every token exactly once, unchanged, and keep ⟦n⟧...⟦/n⟧ pairs in order around the matching words`
+        : `- Preserve ALL XML structure exactly: <g>, <x/>, <pc>, <ph/>, <sc/>, <ec/>, <br/>, <strong>, etc.`;
+    const textLines = formatTextsToTranslate(chunkTexts, promptOptions.unitContext);
+    if (textLines.includes('\n   ↳ ')) {
+        tagRule += `\n- Lines starting with ↳ describe the text above them (UI element, author notes): use them to choose the right wording, never translate or return them`;
+    }
+    if (textLines.includes('ICU case: ')) {
+        tagRule += `\n- A text with an "ICU case" line is one variant of a plural/select message: translate it as the form for that case (for a plural category, the grammatical form for its example numbers) and keep # (the number) and {placeholders} exactly as written`;
+    }
     
     if (translationContext && translationContext.trim().length > 0) {
         // Contextual prompt
@@ -196,90 +636,98 @@ function buildTranslationPrompt(chunkTexts, sourceLang, targetLang, translationC
 TRANSLATION INSTRUCTIONS:
 - Translate ALL ${chunkTexts.length} texts from ${sourceLang} to ${targetLang}
 - Follow the contextual guidelines above precisely
-- Preserve ALL XML structure: <g>, <br/>, <strong>, etc.
+${tagRule}
 - Maintain exact formatting and spacing
 - Return ONLY JSON format: {"0": "translation1", "1": "translation2", ...}
 
-TEXTS TO TRANSLATE:
-${chunkTexts.map((text, i) => `${i}: "${text}"`).join('\n')}`;
+${buildReferenceSections(promptOptions)}TEXTS TO TRANSLATE:
+${textLines}`;
         
     } else {
         // Standard prompt without context
         prompt = `Translate each text from ${sourceLang} to ${targetLang}.
 
 CRITICAL REQUIREMENTS:
-- Preserve ALL XML structure exactly: <g>, <br/>, <strong>, etc.
+${tagRule}
 - Maintain exact formatting and spacing
 - Return ONLY JSON format: {"0": "translation1", "1": "translation2", ...}
 
-TEXTS TO TRANSLATE:
-${chunkTexts.map((text, i) => `${i}: "${text}"`).join('\n')}`;
+${buildReferenceSections(promptOptions)}TEXTS TO TRANSLATE:
+${textLines}`;
     }
     
     return prompt;
 }
 
 /**
- * CONTEXTUAL FALLBACK TRANSLATIONS
- * Generates high-quality fallbacks when Claude API fails
+ * One numbered line per text, followed by a ↳ line with its ICU case, resname, notes
+ * and context-group entries when there are any
  */
-function generateContextualFallbacks(texts, targetLang, translationContext) {
-    console.log(`[FALLBACK] Generating contextual fallbacks for ${texts.length} texts`);
-    
-    const fallbacks = {};
-    
-    texts.forEach((text, index) => {
-        if (!text || text.trim().length === 0) {
-            fallbacks[index.toString()] = '';
-            return;
-        }
-        
-        // Context-aware fallback generation
-        let fallback = `[${targetLang.toUpperCase()}_TRANSLATION_${index}]`;
-        
-        if (translationContext) {
-            // Analyze context for better fallbacks
-            if (translationContext.toLowerCase().includes('occupational') || 
-                translationContext.toLowerCase().includes('prl')) {
-                fallback = `[WORKPLACE_SAFETY_${targetLang.toUpperCase()}_${index}]`;
-            } else if (translationContext.toLowerCase().includes('technical')) {
-                fallback = `[TECHNICAL_${targetLang.toUpperCase()}_${index}]`;
-            } else if (translationContext.toLowerCase().includes('educational')) {
-                fallback = `[EDUCATIONAL_${targetLang.toUpperCase()}_${index}]`;
-            }
+function formatTextsToTranslate(chunkTexts, unitContext = []) {
+    return chunkTexts.map((text, i) => {
+        const context = unitContext[i];
+        const details = [];
+        if (context) {
+            if (context.icu) details.push(`ICU case: ${context.icu}`);
+            if (context.resname) details.push(`resname "${truncateContext(context.resname)}"`);
+            (context.notes || []).forEach(note => details.push(`note: ${truncateContext(note)}`));
+            (context.contexts || []).forEach(entry => details.push(truncateContext(entry)));
         }
-        
-        fallbacks[index.toString()] = fallback;
-    });
-    
-    console.log(`[FALLBACK] Generated ${Object.keys(fallbacks).length} contextual fallbacks`);
-    return fallbacks;
+        return details.length > 0
+            ? `${i}: "${text}"\n   ↳ ${details.join('; ')}`
+            : `${i}: "${text}"`;
+    }).join('\n');
 }
 
 /**
- * UTILITY FUNCTIONS
+ * OPTIONAL PROMPT SECTIONS
+ * Read-only reference material placed before the texts to translate
  */
-function parseAttributes(attributeString) {
-    const attributes = {};
-    const attrRegex = /(\w+(?::\w+)?)="([^"]*)"/g;
-    let match;
-    while ((match = attrRegex.exec(attributeString)) !== null) {
-        attributes[match[1]] = match[2];
+function buildReferenceSections(promptOptions = {}) {
+    const sections = [];
+    const references = promptOptions.references || {};
+    const surrounding = promptOptions.surroundingSegments || {};
+    const before = Array.isArray(surrounding.before) ? surrounding.before.filter(text => typeof text === 'string') : [];
+    const after = Array.isArray(surrounding.after) ? surrounding.after.filter(text => typeof text === 'string') : [];
+
+    if (before.length > 0 || after.length > 0) {
+        sections.push(`SURROUNDING SEGMENTS (read-only - the texts just before and after these in the file, for context; do NOT translate or return them):
+${before.length > 0 ? `Before:\n${before.map(text => `- "${truncateContext(text)}"`).join('\n')}\n` : ''}${after.length > 0 ? `After:\n${after.map(text => `- "${truncateContext(text)}"`).join('\n')}` : ''}`.trim());
     }
-    return attributes;
+
+    if (Object.keys(references).length > 0) {
+        sections.push(`TRANSLATION MEMORY REFERENCES (similar, previously approved translations - reuse wording where it still fits, do not copy blindly):
+${Object.entries(references).map(([i, ref]) => `${i}: [${Math.round(ref.score * 100)}% match] "${ref.source}" → "${ref.target}"`).join('\n')}`);
+    }
+
+    const glossaryTerms = promptOptions.glossaryTerms || [];
+    const requiredTerms = glossaryTerms.filter(term => !term.doNotTranslate);
+    const doNotTranslate = glossaryTerms.filter(term => term.doNotTranslate);
+
+    if (requiredTerms.length > 0) {
+        sections.push(`MANDATORY TERMINOLOGY (client glossary - always use these target terms):
+${requiredTerms.map(term => `- "${term.source}" → "${term.target}"${term.note ? ` (${term.note})` : ''}`).join('\n')}`);
+    }
+
+    if (doNotTranslate.length > 0) {
+        sections.push(`DO NOT TRANSLATE (keep exactly as written - product names, brands, codes):
+${doNotTranslate.map(term => `- "${term.source}"`).join('\n')}`);
+    }
+
+    return sections.length > 0 ? `${sections.join('\n\n')}\n\n` : '';
 }
 
-function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+/**
+ * UTILITY FUNCTIONS
+ */
+// Switches that default to on: only false / "false" (raw-XLF query strings) turn them off
+function isRequested(value) {
+    return value !== false && value !== 'false';
 }
 
-function isSignificantText(text) {
-    if (!text || typeof text !== 'string') return false;
-    const trimmed = text.trim();
-    return trimmed.length > 2 && 
-           !trimmed.match(/^\s*$/) && 
-           !trimmed.match(/^&[a-z]+;$/i) &&
-           !trimmed.match(/^[<>\s]*$/);
+function truncateContext(text) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > MAX_CONTEXT_CHARS ? `${flat.slice(0, MAX_CONTEXT_CHARS)}…` : flat;
 }
 
 // Export for Express server
@@ -287,5 +735,5 @@ module.exports = {
     processTranslation,
     preprocessTextForTranslation,
     translateWithClaude,
-    generateContextualFallbacks
+    parseTranslationResponse
 };
@@ -0,0 +1,78 @@
+// ========================================
+// ANTHROPIC PROVIDER - Render Native
+// Claude Messages API
+// ========================================
+
+const { createHttpError } = require('./http-error');
+
+const name = 'anthropic';
+
+function defaultModel() {
+    return process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+}
+
+const STRUCTURED_TOOL = 'submit_translations';
+
+/**
+ * CLAUDE MESSAGES API CALL
+ * With a responseSchema the model must answer through a forced tool call,
+ * whose input is returned as JSON text
+ */
+async function complete({ prompt, model, maxTokens, temperature, responseSchema }) {
+    // API Key
+    const apiKey = process.env.CLAUDE_API_KEY;
+    if (!apiKey) {
+        throw new Error('Claude API key not configured');
+    }
+
+    const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: "user", content: prompt }]
+    };
+    if (temperature !== undefined) {
+        body.temperature = temperature;
+    }
+    if (responseSchema) {
+        body.tools = [{
+            name: STRUCTURED_TOOL,
+            description: 'Submit the translation of every numbered text, keyed by its index',
+            input_schema: responseSchema
+        }];
+        body.tool_choice = { type: 'tool', name: STRUCTURED_TOOL };
+    }
+
+    const response = await fetch(process.env.ANTHROPIC_API_URL || "https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json; charset=utf-8",
+            "x-api-key": apiKey,
+            "anthropic-version": process.env.ANTHROPIC_VERSION || "2023-06-01"
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        throw await createHttpError(response, 'Claude API');
+    }
+
+    const data = await response.json();
+    const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+    const textBlock = (data.content || []).find(block => block.type === 'text');
+
+    return {
+        text: toolUse ? JSON.stringify(toolUse.input || {}) : textBlock?.text || '',
+        usage: {
+            inputTokens: data.usage?.input_tokens || 0,
+            outputTokens: data.usage?.output_tokens || 0
+        },
+        stopReason: data.stop_reason === 'max_tokens' ? 'max_tokens' : 'end',
+        model: data.model || model
+    };
+}
+
+module.exports = {
+    name,
+    defaultModel,
+    complete
+};
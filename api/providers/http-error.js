@@ -0,0 +1,24 @@
+// ========================================
+// PROVIDER HTTP ERRORS - Render Native
+// Shared error shape so the retry policy can read status / Retry-After
+// ========================================
+
+/**
+ * Builds an Error for a failed HTTP response, keeping status and Retry-After
+ */
+async function createHttpError(response, label) {
+    const errorText = await response.text();
+    const error = new Error(`${label} error ${response.status}: ${errorText}`);
+    error.status = response.status;
+
+    const retryAfter = response.headers && response.headers.get ? response.headers.get('retry-after') : null;
+    if (retryAfter && !isNaN(parseFloat(retryAfter))) {
+        error.retryAfterMs = parseFloat(retryAfter) * 1000;
+    }
+
+    return error;
+}
+
+module.exports = {
+    createHttpError
+};
@@ -0,0 +1,40 @@
+// ========================================
+// IDENTITY PROVIDER - Render Native
+// Returns every source text unchanged: round-trip checks of parse → translate → assemble
+// ========================================
+
+const name = 'identity';
+
+function defaultModel() {
+    return 'identity';
+}
+
+/**
+ * IDENTITY COMPLETION
+ * translate: every text comes back exactly as sent (inline tokens included)
+ * context:   a one-line context stating that nothing is translated
+ */
+async function complete({ model, task, meta = {} }) {
+    let text = '**CONTENT TYPE**: Round-trip check (identity provider, texts are returned unchanged)';
+
+    if (task === 'translate') {
+        const translations = {};
+        (meta.texts || []).forEach((sourceText, index) => {
+            translations[index.toString()] = sourceText;
+        });
+        text = JSON.stringify(translations);
+    }
+
+    return {
+        text,
+        usage: { inputTokens: 0, outputTokens: 0 },
+        stopReason: 'end',
+        model
+    };
+}
+
+module.exports = {
+    name,
+    defaultModel,
+    complete
+};
@@ -0,0 +1,273 @@
+// ========================================
+// TRANSLATION PROVIDERS - Render Native
+// Provider registry and per-provider / per-request model settings
+// ========================================
+
+const anthropic = require('./anthropic');
+const openai = require('./openai');
+const mock = require('./mock');
+const identity = require('./identity');
+const pseudo = require('./pseudo');
+const { isPseudoLocale } = require('../languages');
+const logger = require('../logger');
+const metrics = require('../metrics');
+
+const log = logger.createLogger('PROVIDER');
+
+const PROVIDERS = {
+    [anthropic.name]: anthropic,
+    [openai.name]: openai,
+    [mock.name]: mock,
+    [identity.name]: identity,
+    [pseudo.name]: pseudo
+};
+
+// Offline providers whose output is test data: never read from or written to the TM
+const TEST_PROVIDERS = [mock.name, identity.name, pseudo.name];
+
+// API requests may only pick mock / identity in providerOptions when this is set
+// (or when it is the server's own TRANSLATION_PROVIDER)
+const ALLOW_TEST_PROVIDERS = process.env.ALLOW_TEST_PROVIDERS === 'true';
+
+// Retry policy for rate limits (429), server errors (5xx) and network failures
+const MAX_RETRIES = parseInt(process.env.PROVIDER_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.PROVIDER_MAX_RETRIES, 10) : 3;
+const RETRY_BASE_MS = parseInt(process.env.PROVIDER_RETRY_BASE_MS, 10) || 1000;
+const RETRY_MAX_MS = 30000;
+
+// Adaptive concurrency for provider calls: halved on every 429, grown back one
+// slot at a time after a run of successful calls
+const MAX_CONCURRENT_CALLS = parseInt(process.env.PROVIDER_MAX_CONCURRENCY, 10) || 4;
+const callGate = {
+    limit: MAX_CONCURRENT_CALLS,
+    active: 0,
+    waiting: [],
+    pausedUntil: 0,
+    successStreak: 0,
+    timer: null
+};
+
+// Default generation limits per task (overridable per provider and per request)
+const TASK_DEFAULTS = {
+    translate: { maxTokens: 8000, temperature: undefined },
+    context: { maxTokens: 1000, temperature: undefined }
+};
+
+// Highest maxTokens a request (or the environment) can ask for
+const MAX_TOKENS_LIMIT = parseInt(process.env.PROVIDER_MAX_TOKENS_LIMIT, 10) || 32000;
+
+/**
+ * RESOLVE PROVIDER SETTINGS
+ * Precedence: request providerOptions → environment → provider/task defaults
+ *   TRANSLATION_PROVIDER            anthropic | openai | mock | identity | pseudo
+ *   TRANSLATION_MODEL               model for any provider
+ *   TRANSLATION_MAX_TOKENS          translate task token limit
+ *   CONTEXT_MAX_TOKENS              context task token limit
+ *   PROVIDER_MAX_TOKENS_LIMIT       ceiling for any of the token limits above or per request
+ *   TRANSLATION_TEMPERATURE         sampling temperature
+ *   STRUCTURED_OUTPUT               "false" disables tool / JSON-schema output
+ */
+function resolveProviderSettings(task, providerOptions = {}) {
+    const providerName = (providerOptions.provider || process.env.TRANSLATION_PROVIDER || anthropic.name).toLowerCase();
+    const provider = PROVIDERS[providerName];
+
+    if (!provider) {
+        throw new Error(`Unknown translation provider "${providerName}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const taskDefaults = TASK_DEFAULTS[task] || TASK_DEFAULTS.translate;
+    const envMaxTokens = task === 'context' ? process.env.CONTEXT_MAX_TOKENS : process.env.TRANSLATION_MAX_TOKENS;
+    const maxTokens = parseInt(providerOptions.maxTokens || envMaxTokens, 10);
+
+    return {
+        provider,
+        model: providerOptions.model || process.env.TRANSLATION_MODEL || provider.defaultModel(),
+        maxTokens: maxTokens > 0 ? Math.min(maxTokens, MAX_TOKENS_LIMIT) : taskDefaults.maxTokens,
+        temperature: firstNumber(providerOptions.temperature, process.env.TRANSLATION_TEMPERATURE, taskDefaults.temperature),
+        structuredOutput: providerOptions.structuredOutput !== undefined
+            ? providerOptions.structuredOutput !== false && providerOptions.structuredOutput !== 'false'
+            : process.env.STRUCTURED_OUTPUT !== 'false'
+    };
+}
+
+/**
+ * COMPLETE A PROMPT WITH THE CONFIGURED PROVIDER
+ * Returns { text, usage: { inputTokens, outputTokens }, stopReason, model, provider }
+ */
+async function complete(task, prompt, providerOptions = {}, meta = {}) {
+    const settings = resolveProviderSettings(task, providerOptions);
+
+    log.debug('Provider call', { task, provider: settings.provider.name, model: settings.model, maxTokens: settings.maxTokens });
+
+    const result = await withRetry(() => settings.provider.complete({
+        prompt,
+        model: settings.model,
+        maxTokens: settings.maxTokens,
+        temperature: settings.temperature,
+        responseSchema: settings.structuredOutput ? meta.responseSchema : undefined,
+        task,
+        meta,
+        options: providerOptions
+    }), { provider: settings.provider.name, task });
+
+    return { ...result, provider: settings.provider.name };
+}
+
+/**
+ * RETRY WITH EXPONENTIAL BACKOFF
+ * Retries 429 / 5xx responses (honouring Retry-After) and network errors;
+ * any other error (400, 401, parse errors...) fails immediately
+ */
+async function withRetry(operation, { provider, task }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await acquireCallSlot();
+            try {
+                metrics.recordProviderCall(provider, task);
+                const result = await operation();
+                recordCallSuccess();
+                return result;
+            } finally {
+                releaseCallSlot();
+            }
+        } catch (error) {
+            metrics.recordProviderError(provider, error.status || (isNetworkError(error) ? 'network' : 'none'));
+            if (error.status === 429) {
+                recordRateLimit(error.retryAfterMs);
+            }
+
+            if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+
+            const backoff = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+            const jitter = Math.round(Math.random() * backoff * 0.2);
+            const delay = error.retryAfterMs ? Math.min(error.retryAfterMs, RETRY_MAX_MS) : backoff + jitter;
+
+            log.warn('Provider call failed, retrying', { provider, task, error, retry: `${attempt + 1}/${MAX_RETRIES}`, delayMs: delay });
+            metrics.recordRetry('provider');
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * ADAPTIVE CALL GATE
+ * Limits concurrent provider calls across all requests, jobs and chunks
+ */
+function acquireCallSlot() {
+    return new Promise(resolve => {
+        callGate.waiting.push(resolve);
+        drainCallGate();
+    });
+}
+
+function releaseCallSlot() {
+    callGate.active--;
+    drainCallGate();
+}
+
+function drainCallGate() {
+    const pauseMs = callGate.pausedUntil - Date.now();
+    if (pauseMs > 0) {
+        if (!callGate.timer) {
+            callGate.timer = setTimeout(() => {
+                callGate.timer = null;
+                drainCallGate();
+            }, pauseMs);
+        }
+        return;
+    }
+
+    while (callGate.active < callGate.limit && callGate.waiting.length > 0) {
+        callGate.active++;
+        callGate.waiting.shift()();
+    }
+}
+
+function recordRateLimit(retryAfterMs) {
+    const previousLimit = callGate.limit;
+    callGate.limit = Math.max(1, Math.floor(callGate.limit / 2));
+    callGate.successStreak = 0;
+    callGate.pausedUntil = Math.max(callGate.pausedUntil, Date.now() + Math.min(retryAfterMs || RETRY_BASE_MS, RETRY_MAX_MS));
+
+    log.warn('Rate limited, pausing new calls', { concurrency: `${previousLimit} → ${callGate.limit}` });
+}
+
+function recordCallSuccess() {
+    if (callGate.limit >= MAX_CONCURRENT_CALLS) return;
+
+    callGate.successStreak++;
+    if (callGate.successStreak >= callGate.limit * 2) {
+        callGate.limit++;
+        callGate.successStreak = 0;
+        log.info('Concurrency raised', { concurrency: callGate.limit });
+        drainCallGate();
+    }
+}
+
+function isRetryable(error) {
+    if (error.status) {
+        return error.status === 429 || error.status >= 500;
+    }
+    return isNetworkError(error);
+}
+
+// fetch() network failures surface as "TypeError: fetch failed" without a status
+function isNetworkError(error) {
+    return /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|fetch failed/i.test(error.message);
+}
+
+/**
+ * PROVIDER OPTIONS FOR A TARGET LANGUAGE
+ * Pseudo-locales (qps-ploc, en-XA...) are always produced offline by the pseudo provider
+ */
+function forTargetLang(providerOptions = {}, targetLang) {
+    return isPseudoLocale(targetLang) ? { ...providerOptions, provider: pseudo.name } : providerOptions;
+}
+
+/**
+ * CHECK A PROVIDER REQUESTED BY AN API CALLER
+ * mock and identity answer with the source text (or a marked copy of it), so a request
+ * may only switch to them with ALLOW_TEST_PROVIDERS=true; throws a 400 error otherwise.
+ * Pseudo-locales are produced by the pseudo provider whatever the request says.
+ */
+function checkRequestedProvider(providerOptions) {
+    const requested = providerOptions && typeof providerOptions === 'object' && providerOptions.provider
+        ? String(providerOptions.provider).toLowerCase()
+        : null;
+    if (!requested || requested === pseudo.name || !isTestProvider(requested)) return;
+    if (ALLOW_TEST_PROVIDERS || requested === String(process.env.TRANSLATION_PROVIDER || '').toLowerCase()) return;
+
+    const error = new Error(`Provider "${requested}" is not available to API requests (set ALLOW_TEST_PROVIDERS=true to allow it)`);
+    error.status = 400;
+    error.code = 'provider-not-allowed';
+    throw error;
+}
+
+function isTestProvider(providerName) {
+    return TEST_PROVIDERS.includes(String(providerName || '').toLowerCase());
+}
+
+function listProviders() {
+    return Object.keys(PROVIDERS);
+}
+
+function firstNumber(...values) {
+    for (const value of values) {
+        if (value !== undefined && value !== null && value !== '' && !isNaN(parseFloat(value))) {
+            return parseFloat(value);
+        }
+    }
+    return undefined;
+}
+
+// Export for API modules
+module.exports = {
+    complete,
+    resolveProviderSettings,
+    forTargetLang,
+    checkRequestedProvider,
+    isTestProvider,
+    listProviders
+};
@@ -0,0 +1,55 @@
+// ========================================
+// MOCK PROVIDER - Render Native
+// Deterministic offline provider for local testing (no network access)
+// ========================================
+
+const name = 'mock';
+
+function defaultModel() {
+    return 'mock-1';
+}
+
+/**
+ * DETERMINISTIC COMPLETION
+ * translate: every text comes back as "[<targetLang>] <text>" (inline tokens untouched)
+ * context:   a fixed context block in the usual **FIELD** format
+ */
+async function complete({ prompt, model, task, meta = {} }) {
+    let text;
+
+    if (task === 'translate') {
+        const texts = meta.texts || [];
+        const translations = {};
+        texts.forEach((sourceText, index) => {
+            translations[index.toString()] = sourceText ? `[${meta.targetLang}] ${sourceText}` : '';
+        });
+        text = JSON.stringify(translations);
+    } else {
+        const targetLang = meta.targetLang || 'target language';
+        text = [
+            '**CONTENT TYPE**: Educational/Training Content',
+            '**DOMAIN**: Mock Domain (offline provider)',
+            `**TERMINOLOGY APPROACH**: Consistent ${targetLang} terminology`,
+            '**TONE**: Professional',
+            '**AUDIENCE**: Learners',
+            '**SPECIAL CONSIDERATIONS**: UI elements',
+            `**QUALITY STANDARDS**: Maintain XML structure integrity, preserve spacing, ensure ${targetLang} linguistic accuracy`
+        ].join('\n');
+    }
+
+    return {
+        text,
+        usage: {
+            inputTokens: Math.ceil(prompt.length / 4),
+            outputTokens: Math.ceil(text.length / 4)
+        },
+        stopReason: 'end',
+        model
+    };
+}
+
+module.exports = {
+    name,
+    defaultModel,
+    complete
+};
@@ -0,0 +1,75 @@
+// ========================================
+// OPENAI-COMPATIBLE PROVIDER - Render Native
+// Chat Completions API (OpenAI or a local compatible server: vLLM, Ollama, LM Studio...)
+// ========================================
+
+const { createHttpError } = require('./http-error');
+
+const name = 'openai';
+
+function defaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+}
+
+/**
+ * CHAT COMPLETIONS API CALL
+ * OPENAI_BASE_URL points at any compatible server; the API key is optional for local ones.
+ * A responseSchema is sent as a strict json_schema response_format.
+ */
+async function complete({ prompt, model, maxTokens, temperature, responseSchema }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const apiKey = process.env.OPENAI_API_KEY;
+
+    if (!apiKey && baseUrl.includes('api.openai.com')) {
+        throw new Error('OpenAI API key not configured');
+    }
+
+    const headers = { "Content-Type": "application/json; charset=utf-8" };
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: "user", content: prompt }]
+    };
+    if (temperature !== undefined) {
+        body.temperature = temperature;
+    }
+    if (responseSchema) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: 'translations', strict: true, schema: responseSchema }
+        };
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        throw await createHttpError(response, 'OpenAI-compatible API');
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+
+    return {
+        text: choice?.message?.content || '',
+        usage: {
+            inputTokens: data.usage?.prompt_tokens || 0,
+            outputTokens: data.usage?.completion_tokens || 0
+        },
+        stopReason: choice?.finish_reason === 'length' ? 'max_tokens' : 'end',
+        model: data.model || model
+    };
+}
+
+module.exports = {
+    name,
+    defaultModel,
+    complete
+};
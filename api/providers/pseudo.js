@@ -0,0 +1,184 @@
+// ========================================
+// PSEUDO-LOCALIZATION PROVIDER - Render Native
+// Offline fake translations for LMS testing: accented lookalikes, padding, [brackets]
+// ========================================
+
+const name = 'pseudo';
+
+function defaultModel() {
+    return 'pseudo';
+}
+
+// Extra length added to every text, in percent of its visible characters
+// (providerOptions.pseudoExpansion overrides it per request)
+const DEFAULT_EXPANSION = parseInt(process.env.PSEUDO_EXPANSION, 10) >= 0 ? parseInt(process.env.PSEUDO_EXPANSION, 10) : 30;
+
+const PADDING_CHAR = '~';
+
+// Right-to-left pseudo-locales get their text wrapped in RIGHT-TO-LEFT OVERRIDE ... POP
+const MIRRORED_LOCALES = ['qps-plocm', 'ar-xb'];
+
+const LOOKALIKES = {
+    A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+    a: 'å', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+    n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž'
+};
+
+// Spans copied unchanged: inline code tokens (⟦1⟧), XML tags, escaped tags and entities,
+// printf-style placeholders, ${var} / $var$, and URLs / e-mail addresses.
+// Brace groups ({name}, {{var}}) are handled separately since they nest; in ICU
+// plural/select arguments only the messages of each case are pseudo-localized.
+const PROTECTED_REGEX = new RegExp([
+    '⟦\\/?\\d+\\/?⟧',
+    '<[^>]*>',
+    '&lt;\\/?[a-zA-Z][^&]*?&gt;',
+    '&(?:[a-zA-Z]+|#\\d+|#x[0-9a-fA-F]+);',
+    '%(?:\\d+\\$)?(?:\\([^)]*\\))?[-+#0]*\\d*(?:\\.\\d+)?[sdifuxXoeEgGcp@%]',
+    '\\$\\{[^}]*\\}',
+    '\\$[A-Za-z_]\\w*\\$',
+    '(?:https?|ftp):\\/\\/[^\\s<>"]+',
+    '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+'
+].join('|'), 'y');
+
+/**
+ * PSEUDO-LOCALIZED COMPLETION
+ * translate: every text pseudo-localized (see pseudoLocalize)
+ * context:   a one-line context describing the transformation
+ */
+async function complete({ model, task, meta = {}, options = {} }) {
+    const expansion = resolveExpansion(options.pseudoExpansion);
+    const mirrored = MIRRORED_LOCALES.includes(String(meta.targetLang || '').toLowerCase().replace(/_/g, '-'));
+    let text = `**CONTENT TYPE**: Pseudo-localization (accented lookalikes, +${expansion}% length, [brackets]; nothing is translated)`;
+
+    if (task === 'translate') {
+        const translations = {};
+        (meta.texts || []).forEach((sourceText, index) => {
+            translations[index.toString()] = pseudoLocalize(sourceText, { expansion, mirrored });
+        });
+        text = JSON.stringify(translations);
+    }
+
+    return {
+        text,
+        usage: { inputTokens: 0, outputTokens: 0 },
+        stopReason: 'end',
+        model
+    };
+}
+
+/**
+ * PSEUDO-LOCALIZE ONE TEXT
+ * Letters become accented lookalikes, the text is padded by `expansion` percent of its
+ * visible length and wrapped in [ ]. Protected spans (tags, tokens, placeholders, entities,
+ * URLs, brace groups) are copied unchanged; empty texts stay empty.
+ */
+function pseudoLocalize(text, options = {}) {
+    if (!text || text.trim().length === 0) return text || '';
+
+    const expansion = resolveExpansion(options.expansion);
+    const counter = { visible: 0 };
+    const converted = convertText(text, counter);
+
+    const padding = PADDING_CHAR.repeat(Math.ceil(counter.visible * expansion / 100));
+    const wrapped = `[${converted}${padding ? ` ${padding}` : ''}]`;
+    return options.mirrored ? `\u202E${wrapped}\u202C` : wrapped;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function convertText(text, counter) {
+    return splitProtected(text).map(part => {
+        if (part.braces) return convertBraceGroup(part.text, counter);
+        if (part.protected) return part.text;
+        counter.visible += part.text.replace(/\s+/g, '').length;
+        return part.text.replace(/[A-Za-z]/g, char => LOOKALIKES[char]);
+    }).join('');
+}
+
+/**
+ * {name} stays as is; {n, plural, one {# item} other {# items}} keeps its argument,
+ * keywords and case keys and pseudo-localizes the case messages
+ */
+function convertBraceGroup(group, counter) {
+    const icuHead = group.match(/^\{\s*[\w.-]+\s*,\s*(?:plural|select|selectordinal)\s*,/);
+    if (!icuHead) return group;
+
+    let result = icuHead[0];
+    let i = icuHead[0].length;
+    while (i < group.length - 1) {
+        if (group[i] === '{') {
+            const end = findClosingBrace(group, i);
+            result += `{${convertText(group.slice(i + 1, end), counter)}}`;
+            i = end + 1;
+        } else {
+            result += group[i];
+            i++;
+        }
+    }
+    return `${result}}`;
+}
+
+/**
+ * Splits a text into [{ text, protected, braces }] parts: PROTECTED_REGEX matches and
+ * balanced brace groups are protected, the rest is translatable text
+ */
+function splitProtected(text) {
+    const parts = [];
+    let plain = '';
+    let i = 0;
+
+    const flushPlain = () => {
+        if (plain) parts.push({ text: plain, protected: false });
+        plain = '';
+    };
+
+    while (i < text.length) {
+        if (text[i] === '{') {
+            const end = findClosingBrace(text, i);
+            if (end !== -1) {
+                flushPlain();
+                parts.push({ text: text.slice(i, end + 1), protected: true, braces: true });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        PROTECTED_REGEX.lastIndex = i;
+        const match = PROTECTED_REGEX.exec(text);
+        if (match) {
+            flushPlain();
+            parts.push({ text: match[0], protected: true });
+            i += match[0].length;
+            continue;
+        }
+
+        plain += text[i];
+        i++;
+    }
+
+    flushPlain();
+    return parts;
+}
+
+function findClosingBrace(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        if (text[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+function resolveExpansion(value) {
+    const parsed = parseInt(value, 10);
+    return parsed >= 0 ? parsed : DEFAULT_EXPANSION;
+}
+
+module.exports = {
+    name,
+    defaultModel,
+    complete,
+    pseudoLocalize
+};
@@ -0,0 +1,356 @@
+// ========================================
+// QA CHECKS - Render Native
+// Automated checks for translated XLF files, with JSON and HTML reports
+// ========================================
+
+const xlfParser = require('./xlf-parser');
+const icu = require('./icu');
+const logger = require('./logger');
+
+const log = logger.createLogger('QA');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const DEFAULT_OPTIONS = {
+    // Target may be this many times longer than the source (plain text) before it is flagged
+    maxLengthRatio: parseFloat(process.env.QA_MAX_LENGTH_RATIO) || 1.5,
+    // Sources shorter than this are too short for a meaningful length ratio
+    minLengthForRatio: 10,
+    // Lowest severity to report: error | warning | info
+    severity: 'info',
+    // Subset of check ids to run (all when empty)
+    checks: []
+};
+
+// Ending punctuation, with full-width / locale variants folded onto the ASCII mark
+const ENDING_PUNCTUATION = {
+    '.': '.', '。': '.', '।': '.', '۔': '.',
+    '!': '!', '！': '!', '¡': '!',
+    '?': '?', '？': '?', '؟': '?', '¿': '?',
+    ':': ':', '：': ':',
+    ';': ';', '；': ';',
+    '…': '…'
+};
+
+// Placeholders that must never reach a delivered file: protection tokens, [XX] / [TODO] markers
+const PLACEHOLDER_REGEX = /⟦\/?\d+\/?⟧|\[(?:[A-Z]{2}(?:-[A-Z]{2})?|[a-z]{2}(?:-[a-z]{2})?|TODO|TRANSLATE|TBD|MISSING|PLACEHOLDER)\]/g;
+
+/**
+ * RUN QA CHECKS ON A TRANSLATED XLF
+ * Returns { success, summary, issues, metadata }; every issue has
+ * { id, check, severity, message, source, target }
+ */
+function runQAChecks(xlfContent, options = {}) {
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid xlfContent');
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...stripUndefined(options) };
+    const minSeverityIndex = SEVERITIES.indexOf(settings.severity);
+    if (minSeverityIndex === -1) {
+        throw new Error(`Unknown severity "${settings.severity}" (use ${SEVERITIES.join(', ')})`);
+    }
+
+    const enabledChecks = normalizeList(settings.checks);
+    const parsed = xlfParser.parseXLF(xlfContent);
+    // translate="no" segments are expected to stay as they are
+    const units = parsed.units.filter(unit => unit.source.trim().length > 0 && unit.translatable !== false);
+    const issues = [];
+
+    units.forEach(unit => {
+        checkUnit(unit, parsed.version, parsed.targetLang, settings).forEach(issue => {
+            if (enabledChecks.length > 0 && !enabledChecks.includes(issue.check)) return;
+            if (SEVERITIES.indexOf(issue.severity) > minSeverityIndex) return;
+
+            issues.push({
+                id: unit.id,
+                ...issue,
+                source: unit.source,
+                target: unit.target
+            });
+        });
+    });
+
+    const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    const byCheck = {};
+    issues.forEach(issue => {
+        bySeverity[issue.severity]++;
+        byCheck[issue.check] = (byCheck[issue.check] || 0) + 1;
+    });
+
+    log.info('QA checks done', { units: units.length, issues: issues.length, errors: bySeverity.error, warnings: bySeverity.warning });
+
+    return {
+        success: true,
+        summary: {
+            totalUnits: units.length,
+            unitsWithIssues: new Set(issues.map(issue => issue.id)).size,
+            totalIssues: issues.length,
+            bySeverity,
+            byCheck
+        },
+        issues,
+        metadata: {
+            xlfVersion: parsed.version,
+            sourceLang: parsed.sourceLang,
+            targetLang: parsed.targetLang,
+            options: {
+                maxLengthRatio: settings.maxLengthRatio,
+                severity: settings.severity,
+                checks: enabledChecks
+            },
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * CHECKS FOR ONE UNIT
+ */
+function checkUnit(unit, version, targetLang, settings) {
+    const issues = [];
+    const add = (check, severity, message) => issues.push({ check, severity, message });
+
+    const state = version === '2.0'
+        ? unit.attributes.state
+        : unit.targetRange && unit.targetRange.attributes.state;
+    const sourceText = toPlainText(unit.source);
+    const targetText = unit.target === null ? '' : toPlainText(unit.target);
+
+    // Nothing else is meaningful without a target
+    if (unit.target === null || targetText.trim().length === 0) {
+        add('untranslated', 'error', unit.target === null ? 'Target is missing' : 'Target is empty');
+        return issues;
+    }
+    if (state === 'needs-translation' || state === 'initial' || state === 'new') {
+        add('untranslated', 'error', `Target is marked ${state}`);
+    }
+
+    // ICU plural/select targets repeat the surrounding text (and its tags) in every case
+    // and have as many cases as the target language needs: tags are compared as sets,
+    // and ending punctuation and the length ratio are not checked
+    const icuMessage = icu.isICUMessage(unit.source);
+    if (icuMessage) {
+        const icuCheck = icu.validateTranslation(unit.source, unit.target, targetLang);
+        if (!icuCheck.valid) {
+            add('icu-invalid', 'error', `Target is not a valid ICU message: ${icuCheck.errors.join('; ')}`);
+        }
+    }
+
+    const tagDiff = icuMessage
+        ? compareLists(unique(getTagSignatures(unit.source)), unique(getTagSignatures(unit.target)))
+        : compareLists(getTagSignatures(unit.source), getTagSignatures(unit.target));
+    if (tagDiff.missing.length > 0 || tagDiff.extra.length > 0) {
+        add('tag-mismatch', 'error', describeDiff('inline tags', tagDiff));
+    }
+
+    // Digits inside placeholders are reported by the placeholder check
+    const numberDiff = compareLists(
+        getNumbers(sourceText.replace(PLACEHOLDER_REGEX, '')),
+        getNumbers(targetText.replace(PLACEHOLDER_REGEX, ''))
+    );
+    if (numberDiff.missing.length > 0 || numberDiff.extra.length > 0) {
+        add('number-mismatch', 'warning', describeDiff('numbers', numberDiff));
+    }
+
+    const urlDiff = compareLists(getURLs(sourceText), getURLs(targetText));
+    if (urlDiff.missing.length > 0 || urlDiff.extra.length > 0) {
+        add('url-mismatch', 'error', describeDiff('URLs', urlDiff));
+    }
+
+    if (sourceText.trim() === targetText.trim() && /\p{L}{2,}/u.test(sourceText) && sourceText.trim().split(/\s+/).length > 1) {
+        add('identical-to-source', 'warning', 'Target is identical to the source');
+    }
+
+    if (leadingSpace(sourceText) !== leadingSpace(targetText) || trailingSpace(sourceText) !== trailingSpace(targetText)) {
+        add('whitespace-mismatch', 'info', 'Leading or trailing whitespace differs from the source');
+    }
+
+    const sourceEnding = endingPunctuation(sourceText);
+    const targetEnding = endingPunctuation(targetText);
+    if (!icuMessage && sourceEnding !== targetEnding) {
+        add('punctuation-mismatch', 'warning', `Ending punctuation differs: source "${sourceEnding || 'none'}", target "${targetEnding || 'none'}"`);
+    }
+
+    const sourceLength = sourceText.trim().length;
+    const ratio = sourceLength > 0 ? targetText.trim().length / sourceLength : 0;
+    if (!icuMessage && sourceLength >= settings.minLengthForRatio && ratio > settings.maxLengthRatio) {
+        add('length-expansion', 'warning', `Target is ${Math.round(ratio * 100)}% of the source length (limit ${Math.round(settings.maxLengthRatio * 100)}%)`);
+    }
+
+    const sourcePlaceholders = new Set(sourceText.match(PLACEHOLDER_REGEX) || []);
+    const leftovers = (targetText.match(PLACEHOLDER_REGEX) || []).filter(placeholder => !sourcePlaceholders.has(placeholder));
+    if (leftovers.length > 0) {
+        add('leftover-placeholder', 'error', `Leftover placeholders: ${Array.from(new Set(leftovers)).join(' ')}`);
+    }
+
+    return issues;
+}
+
+/**
+ * HTML REPORT
+ * Self-contained page (inline styles) for sharing with reviewers
+ */
+function renderHTMLReport(report, title = 'XLF QA Report') {
+    const { summary, issues, metadata } = report;
+    const rows = issues.map(issue => `      <tr class="${issue.severity}">
+        <td>${escapeHTML(issue.severity)}</td>
+        <td>${escapeHTML(issue.id)}</td>
+        <td>${escapeHTML(issue.check)}</td>
+        <td>${escapeHTML(issue.message)}</td>
+        <td>${escapeHTML(issue.source)}</td>
+        <td>${escapeHTML(issue.target === null ? '' : issue.target)}</td>
+      </tr>`).join('\n');
+    const checkCounts = Object.entries(summary.byCheck)
+        .map(([check, count]) => `<li>${escapeHTML(check)}: ${count}</li>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHTML(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #1e293b; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+    th, td { border: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f8fafc; }
+    tr.error td:first-child { color: #dc2626; font-weight: 600; }
+    tr.warning td:first-child { color: #d97706; font-weight: 600; }
+    tr.info td:first-child { color: #2563eb; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(title)}</h1>
+  <p>${escapeHTML(metadata.sourceLang || '?')} → ${escapeHTML(metadata.targetLang || '?')} · XLIFF ${escapeHTML(metadata.xlfVersion)} · ${escapeHTML(metadata.timestamp)}</p>
+  <p><strong>${summary.totalIssues}</strong> issues in ${summary.unitsWithIssues} of ${summary.totalUnits} units:
+     ${summary.bySeverity.error} errors, ${summary.bySeverity.warning} warnings, ${summary.bySeverity.info} info</p>
+  <ul>${checkCounts}</ul>
+  <table>
+    <thead>
+      <tr><th>Severity</th><th>Unit</th><th>Check</th><th>Message</th><th>Source</th><th>Target</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function toPlainText(xml) {
+    return decodeEntities(String(xml || '')
+        // Native code inside <bpt>/<ept>/<ph>/<it> is markup, not text
+        .replace(/<(bpt|ept|ph|it)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1\s*>)/g, '')
+        .replace(/<[^>]+>/g, ''));
+}
+
+function getTagSignatures(xml) {
+    const signatures = [];
+    const tagRegex = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>/g;
+    let match;
+
+    while ((match = tagRegex.exec(String(xml || ''))) !== null) {
+        const attributes = xlfParser.parseAttributes(match[3]);
+        const ref = attributes.id || attributes.rid || attributes.startRef || '';
+        signatures.push(`<${match[1]}${match[2]}${ref ? ` id="${ref}"` : ''}${match[4]}>`);
+    }
+
+    return signatures;
+}
+
+function unique(list) {
+    return Array.from(new Set(list));
+}
+
+function getNumbers(text) {
+    // Thousands/decimal separators vary by locale: compare digits only
+    return (text.match(/\d+(?:[.,\u00A0\u202F\u2009]\d+)*/g) || []).map(number => number.replace(/\D/g, ''));
+}
+
+function getURLs(text) {
+    return (text.match(/\b(?:https?:\/\/|www\.)[^\s<>"']+/gi) || []).map(url => url.replace(/[.,;:!?)]+$/, ''));
+}
+
+function compareLists(expected, actual) {
+    const remaining = [...actual];
+    const missing = [];
+
+    expected.forEach(item => {
+        const index = remaining.indexOf(item);
+        if (index === -1) {
+            missing.push(item);
+        } else {
+            remaining.splice(index, 1);
+        }
+    });
+
+    return { missing, extra: remaining };
+}
+
+function describeDiff(label, diff) {
+    const parts = [];
+    if (diff.missing.length > 0) parts.push(`missing ${diff.missing.join(' ')}`);
+    if (diff.extra.length > 0) parts.push(`unexpected ${diff.extra.join(' ')}`);
+    return `${label.charAt(0).toUpperCase()}${label.slice(1)} differ from the source: ${parts.join('; ')}`;
+}
+
+function leadingSpace(text) {
+    return text.match(/^\s*/)[0].length > 0;
+}
+
+function trailingSpace(text) {
+    return text.match(/\s*$/)[0].length > 0;
+}
+
+function endingPunctuation(text) {
+    const trimmed = text.trim().replace(/["'»«”“’」›)\]\u2069]+$/, '');
+    if (trimmed.endsWith('...')) return '…';
+    return ENDING_PUNCTUATION[trimmed.slice(-1)] || '';
+}
+
+function normalizeList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function stripUndefined(options) {
+    const result = {};
+    Object.entries(options).forEach(([key, value]) => {
+        if (value === undefined || value === '') return;
+        result[key] = ['maxLengthRatio', 'minLengthForRatio'].includes(key) ? parseFloat(value) : value;
+    });
+    return result;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function escapeHTML(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Export for Express server
+module.exports = {
+    runQAChecks,
+    renderHTMLReport,
+    SEVERITIES
+};
@@ -0,0 +1,168 @@
+// ========================================
+// ROUND-TRIP CHECK - Render Native
+// Translates with the identity provider and proves the file comes back unchanged
+// ========================================
+
+const xlfParser = require('./xlf-parser');
+const translateFile = require('./translate-file');
+const incremental = require('./incremental');
+const logger = require('./logger');
+
+const log = logger.createLogger('ROUNDTRIP');
+
+// Markup the assembler is allowed to write: <target> elements, segment states, source hashes
+// and target languages
+const TARGET_ELEMENT_REGEX = /<target\b[^>]*?(?:\/>|>[\s\S]*?<\/target>)/g;
+const WRITTEN_ATTRIBUTES = {
+    'trans-unit': ['approved', 'xt:src-hash'],
+    unit: ['xt:src-hash'],
+    segment: ['state'],
+    file: ['target-language'],
+    xliff: ['trgLang', 'xmlns:xt']
+};
+
+/**
+ * RUN ROUND-TRIP CHECK
+ * Full pipeline (parse → preprocess → provider → tag validation → assemble) with
+ * the identity provider; translation memory, glossary and locale typography are left out.
+ * Returns { success, identical, differences, segmentMismatches, stats, xlfContent }:
+ *   differences        first byte differences outside the written targets/states
+ *   segmentMismatches  segments whose target is not their source (whitespace folded
+ *                      unless xml:space="preserve")
+ */
+async function runRoundTrip(xlfContent, options = {}) {
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid xlfContent');
+    }
+
+    const original = xlfParser.parseXLF(xlfContent);
+    const targetLang = options.targetLang || original.targetLang || original.sourceLang || 'en';
+
+    const result = await translateFile.translateFile({
+        xlfContent,
+        sourceLang: original.sourceLang || targetLang,
+        targetLang,
+        chunkSize: options.chunkSize,
+        tokenBudget: options.tokenBudget,
+        useTranslationMemory: false,
+        useGlossary: false,
+        localeTypography: false,
+        providerOptions: { provider: 'identity' }
+    });
+
+    const differences = findDifferences(
+        stripWrittenMarkup(xlfContent),
+        stripWrittenMarkup(result.xlfContent),
+        parseInt(options.maxDifferences, 10) || 10
+    );
+
+    // translate="no" and locked segments are never written
+    const plan = incremental.planTranslation(original);
+    const roundTripped = xlfParser.parseXLF(result.xlfContent);
+    const targetsById = new Map(roundTripped.units.map(unit => [unit.id, unit.target]));
+    const segmentMismatches = original.units
+        .filter(unit => plan.units[unit.id] && plan.units[unit.id].action === 'translate')
+        .filter(unit => {
+            const target = targetsById.get(unit.id);
+            if (target === null || target === undefined) return true;
+            return unit.preserveSpace ? target !== unit.source : foldWhitespace(target) !== foldWhitespace(unit.source);
+        })
+        .map(unit => ({
+            id: unit.id,
+            source: unit.source,
+            target: targetsById.has(unit.id) ? targetsById.get(unit.id) : null,
+            failure: result.failedSegments[unit.id] ? result.failedSegments[unit.id].error : undefined
+        }));
+
+    const identical = differences.length === 0 && segmentMismatches.length === 0;
+    log.info('Round-trip checked', { identical, differences: differences.length, segmentMismatches: segmentMismatches.length, segments: original.units.length });
+
+    return {
+        success: true,
+        identical,
+        differences,
+        segmentMismatches,
+        stats: result.stats,
+        xlfContent: result.xlfContent
+    };
+}
+
+/**
+ * Removes the markup the assembler writes, so both files can be compared byte by byte
+ */
+function stripWrittenMarkup(xlfContent) {
+    const masked = xlfParser.maskIgnoredRegions(xlfContent);
+    const edits = [];
+    let match;
+
+    // Targets inside comments, CDATA or <alt-trans> are masked and stay in place
+    TARGET_ELEMENT_REGEX.lastIndex = 0;
+    while ((match = TARGET_ELEMENT_REGEX.exec(masked)) !== null) {
+        edits.push({ start: match.index, end: match.index + match[0].length, text: '' });
+    }
+
+    Object.entries(WRITTEN_ATTRIBUTES).forEach(([tagName, attributes]) => {
+        const tagRegex = new RegExp(`<${tagName}(?=[\\s>/])[^>]*>`, 'g');
+        while ((match = tagRegex.exec(masked)) !== null) {
+            let openTag = xlfContent.slice(match.index, match.index + match[0].length);
+            attributes.forEach(name => {
+                openTag = xlfParser.removeTagAttribute(openTag, name);
+            });
+            edits.push({ start: match.index, end: match.index + match[0].length, text: openTag });
+        }
+    });
+
+    let result = xlfContent;
+    edits
+        .sort((a, b) => b.start - a.start)
+        .forEach(edit => {
+            result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+        });
+    return result;
+}
+
+/**
+ * Line/column and a short excerpt of each place where the two texts diverge
+ */
+function findDifferences(expected, actual, maxDifferences) {
+    const differences = [];
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    const lineCount = Math.max(expectedLines.length, actualLines.length);
+
+    for (let i = 0; i < lineCount && differences.length < maxDifferences; i++) {
+        const expectedLine = expectedLines[i];
+        const actualLine = actualLines[i];
+        if (expectedLine === actualLine) continue;
+
+        let column = 0;
+        while (expectedLine !== undefined && actualLine !== undefined &&
+            column < expectedLine.length && expectedLine[column] === actualLine[column]) {
+            column++;
+        }
+
+        differences.push({
+            line: i + 1,
+            column: column + 1,
+            expected: expectedLine === undefined ? null : expectedLine.slice(Math.max(0, column - 20), column + 60),
+            actual: actualLine === undefined ? null : actualLine.slice(Math.max(0, column - 20), column + 60)
+        });
+    }
+
+    if (differences.length === 0 && expected !== actual) {
+        // Same lines but different line endings or a trailing newline
+        differences.push({ line: lineCount, column: 1, expected: JSON.stringify(expected.slice(-20)), actual: JSON.stringify(actual.slice(-20)) });
+    }
+
+    return differences;
+}
+
+function foldWhitespace(text) {
+    return text.replace(/[ \t\r\n]+/g, ' ').trim();
+}
+
+// Export for Express server
+module.exports = {
+    runRoundTrip,
+    stripWrittenMarkup
+};
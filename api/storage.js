@@ -0,0 +1,114 @@
+// ========================================
+// LOCAL STORAGE - Render Native
+// JSON file persistence for server-side data (translation memory, etc.)
+// ========================================
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DATA_DIR = process.env.XLF_DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Per-file write queues so concurrent requests never interleave writes
+const writeQueues = new Map();
+
+/**
+ * Resolves a path inside the data directory
+ */
+function getDataPath(...parts) {
+    return path.join(DATA_DIR, ...parts);
+}
+
+/**
+ * READ JSON FILE
+ * Returns defaultValue when the file does not exist yet
+ */
+async function readJSON(filePath, defaultValue) {
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return defaultValue;
+        }
+        throw new Error(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+/**
+ * WRITE JSON FILE
+ * Atomic write (temp file + rename), serialized per file
+ */
+function writeJSON(filePath, data) {
+    return writeText(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * READ / WRITE TEXT FILE
+ * Same semantics as the JSON helpers, for raw documents (XLF, TMX...)
+ */
+async function readText(filePath, defaultValue) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return defaultValue;
+        }
+        throw new Error(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+function writeText(filePath, content) {
+    const previous = writeQueues.get(filePath) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, content, 'utf8');
+        await fs.rename(tempPath, filePath);
+    });
+
+    writeQueues.set(filePath, next);
+    return next;
+}
+
+/**
+ * LIST FILES IN A DATA SUBDIRECTORY
+ * Returns file names with the given extension ([] when the directory does not exist)
+ */
+async function listFiles(dirPath, extension = '') {
+    try {
+        const names = await fs.readdir(dirPath);
+        return names.filter(name => name.endsWith(extension));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * DELETE FILE
+ * Missing files are not an error
+ */
+async function removeFile(filePath) {
+    try {
+        await fs.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+}
+
+// Export for API modules
+module.exports = {
+    DATA_DIR,
+    getDataPath,
+    readJSON,
+    writeJSON,
+    readText,
+    writeText,
+    listFiles,
+    removeFile
+};
@@ -0,0 +1,346 @@
+// ========================================
+// FILE TRANSLATION API - Render Native
+// Whole-file XLF translation: parse → processTranslation → assemble by id
+// ========================================
+
+const xlfParser = require('./xlf-parser');
+const processXlf = require('./process-xlf');
+const chunking = require('./chunking');
+const incremental = require('./incremental');
+const usageAccounting = require('./usage');
+const providers = require('./providers');
+const logger = require('./logger');
+
+const log = logger.createLogger('FILE-API');
+
+// Segments before and after each chunk sent as read-only context (neighborSegments)
+const DEFAULT_NEIGHBOR_SEGMENTS = parseInt(process.env.CONTEXT_NEIGHBOR_SEGMENTS, 10) >= 0 ? parseInt(process.env.CONTEXT_NEIGHBOR_SEGMENTS, 10) : 2;
+
+/**
+ * MAIN FILE TRANSLATION FUNCTION - Render Native
+ * Translates a raw XLF document on the server and returns the finished file.
+ * Chunks are sized by estimated tokens (tokenBudget, at most chunkSize segments) and
+ * up to `concurrency` run at once; results are applied in chunk order.
+ * translate="no" and locked segments are never sent; with `incremental` approved
+ * segments and existing targets are kept too (see api/incremental.js).
+ * Each text goes out with its resname/notes/context-group, and each chunk with
+ * `neighborSegments` source segments before and after it as read-only context.
+ * contextProfile (as recorded by api/context-profiles.js) is only echoed in the metadata.
+ * Provider usage is summed in stats.usage; once it reaches `budget` (USD, default
+ * RUN_BUDGET_USD) no further chunk is sent and the file is assembled with the segments
+ * translated so far (stats.budgetReached, the rest stays untranslated).
+ * Optional hooks let background jobs resume and follow progress:
+ *   state       { completedChunks, translationsById, failedSegments, failedChunks, usage } to resume from
+ *   onProgress  async (state, progress) called after every chunk
+ *   shouldStop  () => true stops before the next chunk (result has cancelled: true)
+ */
+async function translateFile(requestData, hooks = {}) {
+    const startTime = Date.now();
+    const {
+        xlfContent,
+        sourceLang,
+        targetLang,
+        translationContext,
+        contextProfile,
+        chunkSize = chunking.DEFAULT_MAX_SEGMENTS,
+        tokenBudget = chunking.DEFAULT_TOKEN_BUDGET,
+        concurrency = chunking.DEFAULT_CONCURRENCY,
+        useTranslationMemory,
+        useGlossary,
+        localeTypography,
+        incremental: incrementalRun,
+        neighborSegments = DEFAULT_NEIGHBOR_SEGMENTS,
+        budget,
+        project,
+        providerOptions
+    } = requestData;
+
+    // Validate required parameters
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid xlfContent');
+    }
+
+    const parsed = xlfParser.parseXLF(xlfContent);
+    const resolvedSourceLang = sourceLang || parsed.sourceLang || 'en';
+    const resolvedTargetLang = targetLang || parsed.targetLang;
+
+    if (!resolvedTargetLang) {
+        throw new Error('Target language is required');
+    }
+
+    const { plan, segments, chunks } = planChunks(parsed, { incremental: incrementalRun, tokenBudget, chunkSize });
+
+    log.info('Translating file', {
+        segments: segments.length,
+        chunks: chunks.length,
+        concurrency,
+        xliffVersion: parsed.version,
+        skipped: plan.summary.skipped
+    });
+
+    const state = {
+        completedChunks: 0,
+        translationsById: {},
+        failedSegments: {},
+        failedChunks: 0,
+        usage: usageAccounting.createUsage(),
+        ...hooks.state
+    };
+    const runBudget = usageAccounting.resolveBudget(budget);
+    const budgetReached = () => usageAccounting.isBudgetReached(state.usage, runBudget);
+
+    if (state.completedChunks > 0) {
+        log.info('Resuming file translation', { chunk: `${state.completedChunks + 1}/${chunks.length}` });
+    }
+
+    // Neighbours come from every segment with text, including skipped ones
+    const documentUnits = parsed.units.filter(unit => unit.source.trim().length > 0);
+    const documentIndex = new Map(documentUnits.map((unit, i) => [unit.id, i]));
+    const neighborCount = Math.max(0, parseInt(neighborSegments, 10) || 0);
+
+    const translateChunk = async (chunk, i) => {
+        try {
+            const first = documentIndex.get(chunk[0].id);
+            const last = documentIndex.get(chunk[chunk.length - 1].id);
+            const result = await processXlf.processTranslation({
+                chunkTexts: chunk.map(unit => unit.source.trim()),
+                preserveSpace: chunk.map(unit => unit.preserveSpace),
+                unitContext: chunk.map(unit => ({ resname: unit.resname, notes: unit.notes, contexts: unit.contexts })),
+                surroundingSegments: {
+                    before: documentUnits.slice(Math.max(0, first - neighborCount), first).map(unit => unit.source.trim()),
+                    after: documentUnits.slice(last + 1, last + 1 + neighborCount).map(unit => unit.source.trim())
+                },
+                chunkIndex: i,
+                totalChunks: chunks.length,
+                sourceLang: resolvedSourceLang,
+                targetLang: resolvedTargetLang,
+                translationContext,
+                useTranslationMemory,
+                useGlossary,
+                localeTypography,
+                project,
+                providerOptions
+            });
+            return { result };
+        } catch (error) {
+            return { error };
+        }
+    };
+
+    const applyChunkResult = async ({ result, error }, i) => {
+        const chunk = chunks[i];
+
+        if (result) {
+            usageAccounting.mergeUsage(state.usage, result.stats.usage);
+
+            // Map chunk-local indices back to segment ids
+            Object.entries(result.translations).forEach(([localIndex, translation]) => {
+                const unit = chunk[parseInt(localIndex, 10)];
+                if (unit) {
+                    state.translationsById[unit.id] = translation;
+                }
+            });
+
+            Object.entries(result.segments).forEach(([localIndex, segment]) => {
+                const unit = chunk[parseInt(localIndex, 10)];
+                if (unit && ['failed', 'tag-mismatch', 'icu-invalid'].includes(segment.status)) {
+                    state.failedSegments[unit.id] = segment;
+                }
+            });
+        } else {
+            state.failedChunks++;
+            log.error('Chunk failed', { chunk: `${i + 1}/${chunks.length}`, error });
+            chunk.forEach(unit => {
+                state.failedSegments[unit.id] = { status: 'failed', error: error.message };
+            });
+        }
+
+        // Results arrive in order, so everything before this index is done (safe resume point)
+        state.completedChunks = i + 1;
+
+        if (hooks.onProgress) {
+            await hooks.onProgress(state, {
+                totalSegments: segments.length,
+                translatedSegments: Object.keys(state.translationsById).length,
+                failedSegments: Object.keys(state.failedSegments).length,
+                skippedSegments: plan.summary.skipped,
+                totalChunks: chunks.length,
+                completedChunks: state.completedChunks,
+                usage: state.usage
+            });
+        }
+    };
+
+    const appliedUntil = await chunking.runChunksInOrder(chunks, translateChunk, {
+        concurrency,
+        startIndex: state.completedChunks,
+        shouldStop: () => budgetReached() || !!(hooks.shouldStop && hooks.shouldStop()),
+        onResult: applyChunkResult
+    });
+
+    const stoppedByBudget = appliedUntil < chunks.length && budgetReached();
+    if (appliedUntil < chunks.length && !stoppedByBudget) {
+        log.info('File translation stopped', { chunk: `${appliedUntil + 1}/${chunks.length}` });
+        return { success: false, cancelled: true, state };
+    }
+
+    const notSentSegments = chunks.slice(appliedUntil).reduce((sum, chunk) => sum + chunk.length, 0);
+    if (stoppedByBudget) {
+        log.warn('Budget reached, chunks not sent', {
+            budgetUsd: runBudget,
+            costUsd: state.usage.costUsd,
+            chunks: chunks.length - appliedUntil,
+            segments: notSentSegments
+        });
+    }
+
+    const { translationsById, failedSegments, failedChunks } = state;
+
+    const assembled = xlfParser.assembleXLF(xlfContent, translationsById, {
+        parsed,
+        targetLang: resolvedTargetLang,
+        failedIds: Object.keys(failedSegments)
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    return {
+        success: true,
+        xlfContent: assembled.xlfContent,
+        failedSegments,
+        stats: {
+            xlfVersion: parsed.version,
+            totalSegments: segments.length,
+            translatedSegments: assembled.applied,
+            failedSegments: Object.keys(failedSegments).length,
+            skippedSegments: plan.summary.skipped,
+            skippedByReason: pickSkipReasons(plan.summary.byReason),
+            totalChunks: chunks.length,
+            failedChunks,
+            usage: state.usage,
+            budgetUsd: runBudget || null,
+            budgetReached: stoppedByBudget,
+            notSentSegments,
+            processingTimeMs: processingTime
+        },
+        metadata: {
+            sourceLang: resolvedSourceLang,
+            targetLang: resolvedTargetLang,
+            contextProfile: contextProfile || null,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * ESTIMATE A FILE TRANSLATION (no provider calls)
+ * Segments, chunks, estimated source tokens and cost (api/usage.js) the same settings would send.
+ * The cost covers every language in targetLangs (one language when not given).
+ */
+function estimateFile(requestData) {
+    const {
+        xlfContent,
+        chunkSize = chunking.DEFAULT_MAX_SEGMENTS,
+        tokenBudget = chunking.DEFAULT_TOKEN_BUDGET,
+        incremental: incrementalRun,
+        translationContext,
+        targetLangs,
+        providerOptions
+    } = requestData;
+
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid xlfContent');
+    }
+
+    const parsed = xlfParser.parseXLF(xlfContent);
+    const { plan, segments, chunks } = planChunks(parsed, { incremental: incrementalRun, tokenBudget, chunkSize });
+    const languages = Array.isArray(targetLangs) ? targetLangs : [requestData.targetLang || parsed.targetLang];
+    const sourceTokens = segments.reduce((sum, unit) => sum + chunking.estimateTokens(getChunkText(unit)), 0);
+
+    return {
+        xlfVersion: parsed.version,
+        sourceLang: parsed.sourceLang,
+        targetLang: parsed.targetLang,
+        totalSegments: plan.summary.totalSegments,
+        segmentsToTranslate: segments.length,
+        skippedSegments: plan.summary.skipped,
+        skippedByReason: pickSkipReasons(plan.summary.byReason),
+        totalChunks: chunks.length,
+        sourceTokens,
+        cost: usageAccounting.estimateCost({
+            sourceTokens,
+            segments: segments.length,
+            calls: chunks.length,
+            contextChars: typeof translationContext === 'string' ? translationContext.length : 0,
+            languages: languages.length,
+            // Priced like the first language (a pseudo-locale costs nothing)
+            providerOptions: providers.forTargetLang(providerOptions, languages[0])
+        })
+    };
+}
+
+/**
+ * CHUNK SEGMENTS (no provider calls)
+ * The token-budgeted chunks a run would send, as lists of segment ids: for the given ids
+ * (a retry or re-translation of some segments), or for every segment the plan translates.
+ * Lets the browser send its own chunks with the server's token estimate.
+ */
+function chunkSegments(requestData) {
+    const {
+        xlfContent,
+        ids,
+        chunkSize = chunking.DEFAULT_MAX_SEGMENTS,
+        tokenBudget = chunking.DEFAULT_TOKEN_BUDGET,
+        incremental: incrementalRun
+    } = requestData;
+
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid xlfContent');
+    }
+
+    const parsed = xlfParser.parseXLF(xlfContent);
+    const requested = Array.isArray(ids) ? new Set(ids.map(String)) : null;
+    const chunks = requested
+        ? chunking.createTokenChunks(parsed.units.filter(unit => requested.has(unit.id)), {
+            getText: getChunkText,
+            tokenBudget,
+            maxSegments: chunkSize
+        })
+        : planChunks(parsed, { incremental: incrementalRun, tokenBudget, chunkSize }).chunks;
+
+    return {
+        totalChunks: chunks.length,
+        chunks: chunks.map(chunk => chunk.map(unit => unit.id))
+    };
+}
+
+/**
+ * Only segments with actual text that the plan does not skip are sent for translation
+ */
+function planChunks(parsed, options) {
+    const plan = incremental.planTranslation(parsed, { incremental: options.incremental });
+    const segments = parsed.units.filter(unit => plan.units[unit.id] && plan.units[unit.id].action === 'translate');
+    const chunks = chunking.createTokenChunks(segments, {
+        getText: getChunkText,
+        tokenBudget: options.tokenBudget,
+        maxSegments: options.chunkSize
+    });
+    return { plan, segments, chunks };
+}
+
+function getChunkText(unit) {
+    return [unit.source, ...unit.notes, ...unit.contexts].join(' ');
+}
+
+function pickSkipReasons(byReason) {
+    return Object.fromEntries(incremental.SKIP_REASONS
+        .filter(reason => byReason[reason])
+        .map(reason => [reason, byReason[reason]]));
+}
+
+// Export for Express server
+module.exports = {
+    translateFile,
+    estimateFile,
+    chunkSegments
+};
@@ -0,0 +1,294 @@
+// ========================================
+// TRANSLATION MEMORY - Render Native
+// File-based TM with exact/fuzzy lookup and TMX import/export
+// ========================================
+
+const storage = require('./storage');
+const { parseAttributes, escapeXMLCharacters } = require('./xlf-parser');
+const { normalizeLang, getPairKey } = require('./languages');
+const logger = require('./logger');
+
+const log = logger.createLogger('TM');
+
+const TM_FILE = process.env.TM_FILE || storage.getDataPath('translation-memory.json');
+const DEFAULT_FUZZY_THRESHOLD = parseFloat(process.env.TM_FUZZY_THRESHOLD) || 0.75;
+
+let memoryCache = null;
+
+/**
+ * LOAD TRANSLATION MEMORY
+ * Entries are grouped by language pair ("en|es") and keyed by source text
+ */
+async function loadMemory() {
+    if (!memoryCache) {
+        memoryCache = await storage.readJSON(TM_FILE, { version: 1, entries: {} });
+        log.info('Translation memory loaded', { entries: countEntries(memoryCache) });
+    }
+    return memoryCache;
+}
+
+async function saveMemory() {
+    if (memoryCache) {
+        await storage.writeJSON(TM_FILE, memoryCache);
+    }
+}
+
+/**
+ * LOOKUP SEGMENTS
+ * Returns, per text index, an exact match or the best fuzzy match above the threshold
+ * (each exact match counts as one use of its entry)
+ */
+async function lookupSegments(texts, sourceLang, targetLang, options = {}) {
+    const memory = await loadMemory();
+    const pairEntries = memory.entries[getPairKey(sourceLang, targetLang)] || {};
+    const threshold = options.fuzzyThreshold !== undefined
+        ? parseFloat(options.fuzzyThreshold)
+        : DEFAULT_FUZZY_THRESHOLD;
+
+    const sources = Object.keys(pairEntries);
+    const exact = {};
+    const fuzzy = {};
+
+    texts.forEach((text, index) => {
+        if (!text || text.trim().length === 0) return;
+
+        const entry = pairEntries[text];
+        if (entry) {
+            exact[index] = entry.target;
+            entry.usageCount = (entry.usageCount || 0) + 1;
+            return;
+        }
+
+        if (threshold >= 1 || sources.length === 0) return;
+
+        const best = findBestFuzzyMatch(text, sources, threshold);
+        if (best) {
+            fuzzy[index] = {
+                score: best.score,
+                source: best.source,
+                target: pairEntries[best.source].target
+            };
+        }
+    });
+
+    // Exact hits update the stored usage counts
+    if (Object.keys(exact).length > 0) {
+        await saveMemory();
+    }
+
+    log.debug('Translation memory lookup', { sourceLang, targetLang, texts: texts.length, exact: Object.keys(exact).length, fuzzy: Object.keys(fuzzy).length });
+    return { exact, fuzzy };
+}
+
+/**
+ * ADD ENTRIES
+ * Stores source → target pairs for a language pair (existing entries are updated)
+ */
+async function addEntries(pairs, sourceLang, targetLang, origin = 'translation') {
+    const memory = await loadMemory();
+    const pairKey = getPairKey(sourceLang, targetLang);
+    const pairEntries = memory.entries[pairKey] || (memory.entries[pairKey] = {});
+    const now = new Date().toISOString();
+    let added = 0;
+
+    pairs.forEach(({ source, target }) => {
+        if (!source || !target || source.trim().length === 0 || target.trim().length === 0) return;
+
+        const existing = pairEntries[source];
+        pairEntries[source] = {
+            target,
+            origin,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            usageCount: existing ? existing.usageCount || 0 : 0
+        };
+        added++;
+    });
+
+    if (added > 0) {
+        await saveMemory();
+    }
+
+    return added;
+}
+
+/**
+ * FUZZY MATCHING
+ * Word-level edit distance similarity, with a length pre-filter
+ */
+function findBestFuzzyMatch(text, sources, threshold) {
+    const words = tokenize(text);
+    let best = null;
+
+    sources.forEach(source => {
+        const lengthRatio = Math.min(source.length, text.length) / Math.max(source.length, text.length);
+        if (lengthRatio < threshold) return;
+
+        const score = similarity(words, tokenize(source));
+        if (score >= threshold && (!best || score > best.score)) {
+            best = { source, score: Math.round(score * 100) / 100 };
+        }
+    });
+
+    return best;
+}
+
+function similarity(wordsA, wordsB) {
+    const maxLength = Math.max(wordsA.length, wordsB.length);
+    if (maxLength === 0) return 1;
+    return 1 - levenshtein(wordsA, wordsB) / maxLength;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function tokenize(text) {
+    return text.toLowerCase().split(/(\s+|[.,;:!?¿¡()"])/).filter(token => token.trim().length > 0);
+}
+
+/**
+ * TMX IMPORT
+ * Reads <tu>/<tuv>/<seg> units; every target-language variant becomes an entry
+ * for the (srclang, lang) pair
+ */
+async function importTMX(tmxContent, options = {}) {
+    if (!tmxContent || typeof tmxContent !== 'string') {
+        throw new Error('Missing or invalid TMX content');
+    }
+
+    const headerMatch = tmxContent.match(/<header\b([^>]*)>/);
+    const headerSourceLang = headerMatch ? parseAttributes(headerMatch[1]).srclang : null;
+    const defaultSourceLang = options.sourceLang || (headerSourceLang && headerSourceLang !== '*all*' ? headerSourceLang : 'en');
+
+    const pairsByLang = {};
+    const tuRegex = /<tu\b([^>]*)>([\s\S]*?)<\/tu>/g;
+    let tuMatch;
+    let units = 0;
+
+    while ((tuMatch = tuRegex.exec(tmxContent)) !== null) {
+        const tuSourceLang = parseAttributes(tuMatch[1]).srclang || defaultSourceLang;
+        const variants = {};
+        const tuvRegex = /<tuv\b([^>]*)>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/g;
+        let tuvMatch;
+
+        while ((tuvMatch = tuvRegex.exec(tuMatch[2])) !== null) {
+            const tuvAttributes = parseAttributes(tuvMatch[1]);
+            const lang = tuvAttributes['xml:lang'] || tuvAttributes.lang;
+            if (lang) {
+                variants[normalizeLang(lang)] = tuvMatch[2].trim();
+            }
+        }
+
+        const sourceText = variants[normalizeLang(tuSourceLang)];
+        if (!sourceText) continue;
+        units++;
+
+        Object.entries(variants).forEach(([lang, target]) => {
+            if (lang === normalizeLang(tuSourceLang)) return;
+            const pairKey = getPairKey(tuSourceLang, lang);
+            (pairsByLang[pairKey] = pairsByLang[pairKey] || []).push({ source: sourceText, target });
+        });
+    }
+
+    let imported = 0;
+    for (const [pairKey, pairs] of Object.entries(pairsByLang)) {
+        const [sourceLang, targetLang] = pairKey.split('|');
+        imported += await addEntries(pairs, sourceLang, targetLang, 'tmx-import');
+    }
+
+    log.info('TMX imported', { units, entries: imported });
+
+    return {
+        success: true,
+        translationUnits: units,
+        entriesImported: imported,
+        languagePairs: Object.keys(pairsByLang)
+    };
+}
+
+/**
+ * TMX EXPORT
+ * Writes a TMX 1.4 document, optionally limited to one language pair
+ */
+async function exportTMX(options = {}) {
+    const memory = await loadMemory();
+    const requestedPair = options.sourceLang && options.targetLang
+        ? getPairKey(options.sourceLang, options.targetLang)
+        : null;
+
+    const units = [];
+    Object.entries(memory.entries).forEach(([pairKey, pairEntries]) => {
+        if (requestedPair && pairKey !== requestedPair) return;
+        const [sourceLang, targetLang] = pairKey.split('|');
+
+        Object.entries(pairEntries).forEach(([source, entry]) => {
+            units.push(`    <tu srclang="${sourceLang}" changedate="${toTMXDate(entry.updatedAt)}">
+      <tuv xml:lang="${sourceLang}"><seg>${source}</seg></tuv>
+      <tuv xml:lang="${targetLang}"><seg>${entry.target}</seg></tuv>
+    </tu>`);
+        });
+    });
+
+    const headerSourceLang = requestedPair ? requestedPair.split('|')[0] : '*all*';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="xlf-translator-render" creationtoolversion="2.0" segtype="sentence" o-tmf="xlf-translator" adminlang="en" srclang="${escapeXMLCharacters(headerSourceLang)}" datatype="xml"/>
+  <body>
+${units.join('\n')}
+  </body>
+</tmx>
+`;
+}
+
+/**
+ * MEMORY STATISTICS
+ */
+async function getStats() {
+    const memory = await loadMemory();
+    const languagePairs = {};
+    Object.entries(memory.entries).forEach(([pairKey, pairEntries]) => {
+        languagePairs[pairKey] = Object.keys(pairEntries).length;
+    });
+
+    return {
+        success: true,
+        totalEntries: countEntries(memory),
+        languagePairs
+    };
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function countEntries(memory) {
+    return Object.values(memory.entries).reduce((total, pairEntries) => total + Object.keys(pairEntries).length, 0);
+}
+
+function toTMXDate(isoDate) {
+    return (isoDate || new Date().toISOString()).replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+// Export for Express server
+module.exports = {
+    lookupSegments,
+    addEntries,
+    importTMX,
+    exportTMX,
+    getStats
+};
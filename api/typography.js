@@ -0,0 +1,218 @@
+// ========================================
+// LOCALE TYPOGRAPHY - Render Native
+// Post-processing of translations: French spacing, locale quotation marks and
+// bidi isolation of Latin text and numbers in right-to-left targets
+// ========================================
+
+const { normalizeLang } = require('./languages');
+
+// LOCALE_TYPOGRAPHY=false turns the step off by default (a request's localeTypography overrides it)
+const DEFAULT_ENABLED = process.env.LOCALE_TYPOGRAPHY !== 'false';
+
+const NBSP = '\u00A0';
+const NARROW_NBSP = '\u202F';
+
+// First-level quotation marks (CLDR delimiters), by full code first, then by language
+const QUOTES = {
+    ar: ['”', '“'],
+    cs: ['„', '“'],
+    da: ['“', '”'],
+    de: ['„', '“'],
+    'de-ch': ['«', '»'],
+    el: ['«', '»'],
+    en: ['“', '”'],
+    es: ['«', '»'],
+    fi: ['”', '”'],
+    fr: [`«${NBSP}`, `${NBSP}»`],
+    he: ['”', '”'],
+    hi: ['“', '”'],
+    hu: ['„', '”'],
+    it: ['«', '»'],
+    ja: ['「', '」'],
+    ko: ['“', '”'],
+    nl: ['“', '”'],
+    no: ['«', '»'],
+    nb: ['«', '»'],
+    pl: ['„', '”'],
+    pt: ['“', '”'],
+    'pt-pt': ['«', '»'],
+    ro: ['„', '”'],
+    ru: ['«', '»'],
+    sv: ['”', '”'],
+    th: ['“', '”'],
+    tr: ['“', '”'],
+    uk: ['«', '»'],
+    vi: ['“', '”'],
+    'zh-cn': ['“', '”'],
+    'zh-tw': ['「', '」']
+};
+
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+// LEFT-TO-RIGHT ISOLATE ... POP DIRECTIONAL ISOLATE
+const LRI = '\u2066';
+const PDI = '\u2069';
+
+// Spans never touched: inline codes and tags (with the native code of <ph>, <bpt>...),
+// entities other than &quot;, {placeholders} / ICU arguments, printf placeholders,
+// URLs and e-mail addresses. &quot; is a straight quotation mark.
+const PROTECTED_REGEX = new RegExp([
+    '(&quot;)',
+    '⟦\\/?\\d+\\/?⟧',
+    '<(?:bpt|ept|ph|it)\\b[^>]*?(?:\\/>|>[\\s\\S]*?<\\/(?:bpt|ept|ph|it)\\s*>)',
+    '<[^>]*>',
+    '&(?:[a-zA-Z]+|#\\d+|#x[0-9a-fA-F]+);',
+    '\\{[^{}]*\\}',
+    '%(?:\\d+\\$)?[-+#0]*\\d*(?:\\.\\d+)?[sdifuxXoeEgGcp@%]',
+    '(?:https?|ftp):\\/\\/[^\\s<>"]+',
+    '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+'
+].join('|'), 'g');
+
+// Runs of Latin words (digits and word-internal . , : & ' + / _ - allowed), and numbers
+// with separators (ranges, dates, times, phone numbers) that bidi reordering would scramble
+const LATIN_WORD = "[\\p{Script=Latin}\\d][\\p{Script=Latin}\\d.,:&'’+/_-]*";
+const LTR_RUN_REGEX = new RegExp(`${LATIN_WORD}(?: ${LATIN_WORD})*`, 'gu');
+
+/**
+ * Whether locale typography applies (request value → LOCALE_TYPOGRAPHY)
+ */
+function isEnabled(requested) {
+    return requested === undefined || requested === null ? DEFAULT_ENABLED : requested !== false && requested !== 'false';
+}
+
+/**
+ * APPLY LOCALE TYPOGRAPHY TO A TRANSLATION
+ * - Quotation marks: paired straight quotes ("..." or &quot;...&quot;) and English curly
+ *   quotes become the target's quotation marks
+ * - French: no-break space before : and inside « », narrow no-break space before ; ! ?
+ *   (fr-CA: only before :)
+ * - Arabic, Hebrew, Persian, Urdu: Latin text and numbers with separators inside
+ *   right-to-left text are wrapped in LRI ... PDI so they keep their order
+ * Markup, placeholders, URLs and e-mail addresses are left as they are; applying it
+ * twice changes nothing.
+ */
+function applyTypography(text, targetLang) {
+    if (typeof text !== 'string' || text.trim().length === 0) return text;
+
+    const code = String(targetLang || '').toLowerCase().replace(/_/g, '-');
+    const lang = normalizeLang(code);
+    const quotes = QUOTES[code] || QUOTES[lang];
+    const rtl = RTL_LANGUAGES.includes(lang) && /[\p{Script=Arabic}\p{Script=Hebrew}]/u.test(text);
+
+    let parts = splitProtected(text);
+    if (quotes) parts = convertQuotes(parts, quotes);
+    parts = mergeText(parts);
+
+    return parts.map((part, index) => {
+        if (part.protected) return part.text;
+        let converted = part.text;
+        if (lang === 'fr') converted = applyFrenchSpacing(converted, code === 'fr-ca', index > 0);
+        if (rtl) converted = isolateLeftToRight(converted);
+        return converted;
+    }).join('');
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function splitProtected(text) {
+    const parts = [];
+    let last = 0;
+    let match;
+
+    PROTECTED_REGEX.lastIndex = 0;
+    while ((match = PROTECTED_REGEX.exec(text)) !== null) {
+        if (match.index > last) parts.push({ text: text.slice(last, match.index), protected: false });
+        parts.push({ text: match[0], protected: true, quote: !!match[1] });
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last), protected: false });
+
+    return parts;
+}
+
+/**
+ * Straight quotes are converted only when they pair up (an odd count, e.g. 24" screen,
+ * is left alone); “ ” are converted one by one unless the target uses them itself
+ * (German „...“). Converted &quot; parts become text.
+ */
+function convertQuotes(parts, [open, close]) {
+    const convertCurly = !/[“”]/.test(open + close);
+    const straightCount = parts.reduce((count, part) => {
+        if (part.quote) return count + 1;
+        return part.protected ? count : count + (part.text.match(/"/g) || []).length;
+    }, 0);
+    const convertStraight = straightCount > 0 && straightCount % 2 === 0;
+    let inQuote = false;
+
+    const nextStraight = () => {
+        inQuote = !inQuote;
+        return inQuote ? open : close;
+    };
+
+    return parts.map(part => {
+        if (part.quote) {
+            return convertStraight ? { text: nextStraight(), protected: false } : part;
+        }
+        if (part.protected) return part;
+        return {
+            text: part.text.replace(/["“”]/g, mark => {
+                if (mark === '"') return convertStraight ? nextStraight() : mark;
+                if (!convertCurly) return mark;
+                return mark === '“' ? open : close;
+            }),
+            protected: false
+        };
+    });
+}
+
+function mergeText(parts) {
+    const merged = [];
+    parts.forEach(part => {
+        const previous = merged[merged.length - 1];
+        if (previous && !previous.protected && !part.protected) {
+            previous.text += part.text;
+        } else {
+            merged.push({ ...part });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Only punctuation ending a word, a symbol (10 €;) or a percentage (50 %!) is spaced
+ * (10:30, http://, a::b stay as they are);
+ * afterMarkup: the text follows a tag or placeholder, which counts as the word
+ */
+function applyFrenchSpacing(text, canadian, afterMarkup) {
+    const wordEnd = `(${afterMarkup ? '^|' : ''}[\\p{L}\\p{N}\\p{S}%»)\\]’”])[ \\u00A0\\u202F]?`;
+    let result = text
+        .replace(/«[ \u00A0\u202F]*/g, `«${NBSP}`)
+        .replace(/(\S)[ \u00A0\u202F]*»/g, `$1${NBSP}»`)
+        .replace(new RegExp(`${wordEnd}:(?=\\s|$)`, 'gu'), `$1${NBSP}:`);
+
+    if (!canadian) {
+        result = result.replace(new RegExp(`${wordEnd}([;!?])(?=[\\s!?»)]|$)`, 'gu'), `$1${NARROW_NBSP}$2`);
+    }
+    return result;
+}
+
+function isolateLeftToRight(text) {
+    return text.replace(LTR_RUN_REGEX, (run, offset) => {
+        if (text[offset - 1] === LRI) return run;
+
+        // Sentence punctuation after the run stays in the right-to-left text
+        const core = run.replace(/[.,:&'’+/_-]+$/, '');
+        const isLatin = /\p{Script=Latin}/u.test(core);
+        const isCompoundNumber = /^\d+(?:[.,:/-]\d+)+$/.test(core) || /^\d+(?: \d+)+$/.test(core);
+        if (!isLatin && !isCompoundNumber) return run;
+
+        return `${LRI}${core}${PDI}${run.slice(core.length)}`;
+    });
+}
+
+// Export for API modules
+module.exports = {
+    isEnabled,
+    applyTypography
+};
@@ -0,0 +1,264 @@
+// ========================================
+// USAGE & COST ACCOUNTING - Render Native
+// Provider tokens per call, cost estimates, budget caps and the daily usage ledger
+// ========================================
+
+const storage = require('./storage');
+const providers = require('./providers');
+const logger = require('./logger');
+
+const log = logger.createLogger('USAGE');
+
+const USAGE_FILE = process.env.USAGE_FILE || storage.getDataPath('usage.json');
+
+// Days of usage kept in the ledger
+const USAGE_DAYS_KEPT = parseInt(process.env.USAGE_DAYS_KEPT, 10) || 90;
+
+// Default budget cap per run in USD (0 = none); a request's `budget` overrides it
+const DEFAULT_RUN_BUDGET = parseFloat(process.env.RUN_BUDGET_USD) || 0;
+
+const DEFAULT_PROJECT = 'default';
+
+// USD per million tokens [input, output]; the longest matching model prefix wins.
+// MODEL_PRICES (JSON { "model-prefix": [input, output] }) adds or overrides entries.
+const DEFAULT_PRICES = {
+    'claude-opus-4': [15, 75],
+    'claude-sonnet-4': [3, 15],
+    'claude-3-7-sonnet': [3, 15],
+    'claude-3-5-sonnet': [3, 15],
+    'claude-3-5-haiku': [0.8, 4],
+    'claude-3-haiku': [0.25, 1.25],
+    'gpt-4.1-nano': [0.1, 0.4],
+    'gpt-4.1-mini': [0.4, 1.6],
+    'gpt-4.1': [2, 8],
+    'gpt-4o-mini': [0.15, 0.6],
+    'gpt-4o': [2.5, 10],
+    'mock': [0, 0],
+    'identity': [0, 0],
+    'pseudo': [0, 0]
+};
+
+// Rough prompt shape used for estimates: instructions (+ tool schema) per call, numbering
+// and JSON keys per segment, and translations somewhat longer than their source
+const PROMPT_OVERHEAD_TOKENS = 300;
+const SEGMENT_OVERHEAD_TOKENS = 12;
+const OUTPUT_TOKEN_RATIO = 1.3;
+
+const PRICES = loadPrices();
+
+let ledgerCache = null;
+
+/**
+ * USAGE TOTALS
+ * { calls, inputTokens, outputTokens, costUsd, unpricedCalls }; unpricedCalls counts
+ * calls to models without a known price (not included in costUsd)
+ */
+function createUsage() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+/**
+ * Adds one provider completion ({ usage, model }) to a usage total; null totals are ignored
+ */
+function addCompletion(usage, completion) {
+    if (!usage || !completion) return usage;
+
+    const inputTokens = (completion.usage && completion.usage.inputTokens) || 0;
+    const outputTokens = (completion.usage && completion.usage.outputTokens) || 0;
+    const price = getModelPrice(completion.model);
+
+    usage.calls++;
+    usage.inputTokens += inputTokens;
+    usage.outputTokens += outputTokens;
+    if (price) {
+        usage.costUsd = roundCost(usage.costUsd + calculateCost(inputTokens, outputTokens, price));
+    } else {
+        usage.unpricedCalls++;
+    }
+    return usage;
+}
+
+/**
+ * Adds another usage total into `usage` (missing fields count as 0)
+ */
+function mergeUsage(usage, other) {
+    if (!other) return usage;
+    usage.calls += other.calls || 0;
+    usage.inputTokens += other.inputTokens || 0;
+    usage.outputTokens += other.outputTokens || 0;
+    usage.costUsd = roundCost(usage.costUsd + (other.costUsd || 0));
+    usage.unpricedCalls += other.unpricedCalls || 0;
+    return usage;
+}
+
+/**
+ * [input, output] USD per million tokens, or null for an unknown model
+ */
+function getModelPrice(model) {
+    const name = String(model || '').toLowerCase();
+    const prefix = Object.keys(PRICES)
+        .filter(key => name.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? PRICES[prefix] : null;
+}
+
+/**
+ * ESTIMATE THE COST OF A TRANSLATION RUN (no provider calls)
+ * sourceTokens / segments / calls describe one target language; the result covers
+ * every language in `languages`. contextChars is the translation context sent with each call.
+ */
+function estimateCost({ sourceTokens = 0, segments = 0, calls = 0, contextChars = 0, languages = 1, providerOptions = {} }) {
+    const settings = providers.resolveProviderSettings('translate', providerOptions);
+    const price = getModelPrice(settings.model);
+    const perCallTokens = PROMPT_OVERHEAD_TOKENS + Math.ceil(contextChars / 4);
+    const languageCount = Math.max(1, parseInt(languages, 10) || 1);
+
+    const inputTokens = (sourceTokens + segments * SEGMENT_OVERHEAD_TOKENS + calls * perCallTokens) * languageCount;
+    const outputTokens = Math.ceil(sourceTokens * OUTPUT_TOKEN_RATIO + segments * SEGMENT_OVERHEAD_TOKENS / 2) * languageCount;
+
+    return {
+        provider: settings.provider.name,
+        model: settings.model,
+        calls: calls * languageCount,
+        inputTokens,
+        outputTokens,
+        costUsd: price ? roundCost(calculateCost(inputTokens, outputTokens, price)) : null,
+        priced: !!price
+    };
+}
+
+/**
+ * Budget cap for one run in USD (request value → RUN_BUDGET_USD); 0 = no cap
+ */
+function resolveBudget(budget) {
+    const value = parseFloat(budget);
+    return value >= 0 ? value : DEFAULT_RUN_BUDGET;
+}
+
+function isBudgetReached(usage, budget) {
+    return budget > 0 && !!usage && usage.costUsd >= budget;
+}
+
+/**
+ * RECORD USAGE IN THE LEDGER
+ * Adds a request's usage to today's totals (UTC) for its project and task
+ * (translate | context). Empty usage is not recorded.
+ */
+async function recordUsage(usage, { project, task = 'translate' } = {}) {
+    if (!usage || usage.calls === 0) return;
+
+    const data = await loadLedger();
+    const today = new Date().toISOString().slice(0, 10);
+    const projectKey = String(project || '').trim() || DEFAULT_PROJECT;
+    const day = data.days[today] || (data.days[today] = {});
+    const projectUsage = day[projectKey] || (day[projectKey] = {});
+    projectUsage[task] = mergeUsage({ ...createUsage(), ...projectUsage[task] }, usage);
+
+    Object.keys(data.days)
+        .sort()
+        .slice(0, -USAGE_DAYS_KEPT)
+        .forEach(oldDay => delete data.days[oldDay]);
+    await storage.writeJSON(USAGE_FILE, data);
+}
+
+/**
+ * USAGE REPORT
+ * Totals per day and per project (each split by task), optionally limited to a date
+ * range (YYYY-MM-DD, inclusive) or one project
+ */
+async function getUsageReport(options = {}) {
+    const data = await loadLedger();
+    const { from, to, project } = options;
+
+    const days = [];
+    const projects = {};
+    const total = createUsage();
+
+    Object.keys(data.days).sort().forEach(day => {
+        if ((from && day < from) || (to && day > to)) return;
+
+        const dayTotal = createUsage();
+        const dayProjects = {};
+        Object.entries(data.days[day]).forEach(([projectKey, tasks]) => {
+            if (project && projectKey !== project) return;
+
+            const projectTotal = createUsage();
+            Object.values(tasks).forEach(taskUsage => mergeUsage(projectTotal, taskUsage));
+            dayProjects[projectKey] = { ...projectTotal, byTask: tasks };
+
+            mergeUsage(dayTotal, projectTotal);
+            mergeUsage(projects[projectKey] || (projects[projectKey] = createUsage()), projectTotal);
+        });
+
+        if (Object.keys(dayProjects).length > 0) {
+            days.push({ day, ...dayTotal, projects: dayProjects });
+            mergeUsage(total, dayTotal);
+        }
+    });
+
+    return { success: true, currency: 'USD', from: from || null, to: to || null, days, projects, total };
+}
+
+/**
+ * USAGE REPORT AS CSV
+ * One row per day, project and task
+ */
+function formatUsageCsv(report) {
+    const columns = ['day', 'project', 'task', 'calls', 'inputTokens', 'outputTokens', 'costUsd', 'unpricedCalls'];
+    const escapeCell = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const lines = [columns.join(',')];
+
+    report.days.forEach(({ day, projects }) => {
+        Object.entries(projects).forEach(([project, { byTask }]) => {
+            Object.entries(byTask).forEach(([task, taskUsage]) => {
+                const row = { day, project, task, ...createUsage(), ...taskUsage };
+                lines.push(columns.map(name => escapeCell(String(row[name]))).join(','));
+            });
+        });
+    });
+
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function loadLedger() {
+    // The promise is cached, so concurrent first requests share one copy
+    if (!ledgerCache) {
+        ledgerCache = storage.readJSON(USAGE_FILE, { version: 1, days: {} });
+    }
+    return ledgerCache;
+}
+
+function loadPrices() {
+    if (!process.env.MODEL_PRICES) return DEFAULT_PRICES;
+    try {
+        return { ...DEFAULT_PRICES, ...JSON.parse(process.env.MODEL_PRICES) };
+    } catch (error) {
+        log.error('Ignoring invalid MODEL_PRICES', { error });
+        return DEFAULT_PRICES;
+    }
+}
+
+function calculateCost(inputTokens, outputTokens, [inputPrice, outputPrice]) {
+    return (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6;
+}
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// Export for API modules
+module.exports = {
+    createUsage,
+    addCompletion,
+    mergeUsage,
+    getModelPrice,
+    estimateCost,
+    resolveBudget,
+    isBudgetReached,
+    recordUsage,
+    getUsageReport,
+    formatUsageCsv
+};
@@ -0,0 +1,617 @@
+// ========================================
+// XLF PARSER - Render Native
+// Server-side XLIFF 1.2 / 2.0 parsing and ID-based reassembly
+// ========================================
+
+const crypto = require('crypto');
+const { toBCP47 } = require('./languages');
+const logger = require('./logger');
+
+const log = logger.createLogger('XLF-PARSER');
+
+// <context> types that locate a string in code rather than describe it
+const IGNORED_CONTEXT_TYPES = ['sourcefile', 'linenumber'];
+
+// Hash of the source each written target was translated from (1.2 <trans-unit>, 2.0 <unit>:
+// one hash per segment), so incremental runs can tell when a source changed afterwards
+const SOURCE_HASH_ATTRIBUTE = 'xt:src-hash';
+const SOURCE_HASH_NAMESPACE = 'urn:xlf-translator:source-hash';
+
+/**
+ * XLIFF VERSION DETECTION
+ * Reads the root <xliff> element: version="2.x" or the 2.0 namespace means 2.0
+ */
+function detectXLFVersion(xlfContent) {
+    const rootMatch = xlfContent.match(/<xliff\b([^>]*)>/);
+    if (!rootMatch) {
+        throw new Error('Invalid XLF: missing <xliff> root element');
+    }
+
+    const attributes = parseAttributes(rootMatch[1]);
+    const version = attributes.version || '';
+    const namespace = attributes.xmlns || '';
+
+    if (version.startsWith('2') || namespace.includes('xliff:document:2')) {
+        return '2.0';
+    }
+    return '1.2';
+}
+
+/**
+ * PARSE XLF DOCUMENT
+ * Returns document languages plus one entry per translatable segment.
+ * Every entry keeps the character offsets needed to splice a <target>
+ * back into the original text without re-serializing the document.
+ */
+function parseXLF(xlfContent) {
+    if (!xlfContent || typeof xlfContent !== 'string') {
+        throw new Error('Missing or invalid XLF content');
+    }
+
+    const version = detectXLFVersion(xlfContent);
+    const rootMatch = xlfContent.match(/<xliff\b([^>]*)>/);
+    const rootAttributes = parseAttributes(rootMatch[1]);
+
+    let sourceLang;
+    let targetLang;
+    let units;
+
+    if (version === '2.0') {
+        sourceLang = rootAttributes.srcLang || null;
+        targetLang = rootAttributes.trgLang || null;
+        units = parseUnits20(xlfContent);
+    } else {
+        const fileMatch = xlfContent.match(/<file\b([^>]*)>/);
+        const fileAttributes = fileMatch ? parseAttributes(fileMatch[1]) : {};
+        sourceLang = fileAttributes['source-language'] || null;
+        targetLang = fileAttributes['target-language'] || null;
+        units = parseUnits12(xlfContent);
+    }
+
+    log.debug('XLIFF parsed', { version, segments: units.length });
+
+    return { version, sourceLang, targetLang, units };
+}
+
+/**
+ * XLIFF 1.2: one segment per <trans-unit>
+ */
+function parseUnits12(xlfContent) {
+    const units = [];
+    const searchable = maskIgnoredRegions(xlfContent);
+    const getXmlSpace = createInheritedAttributeResolver(searchable, 'xml:space');
+    const getTranslate = createInheritedAttributeResolver(searchable, 'translate');
+    const unitRegex = /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g;
+    let match;
+
+    while ((match = unitRegex.exec(searchable)) !== null) {
+        const openTagEnd = match.index + match[0].indexOf('>') + 1;
+        const attributes = parseAttributes(match[1]);
+        const entry = parseSegmentBody(xlfContent, searchable, openTagEnd, openTagEnd + match[2].length);
+        if (!entry) continue;
+
+        units.push({
+            id: attributes.id || `text_${units.length}`,
+            unitId: attributes.id || `text_${units.length}`,
+            attributes,
+            containerTag: { start: match.index, end: openTagEnd },
+            preserveSpace: (entry.sourceAttributes['xml:space'] || getXmlSpace(entry.sourceRange.start)) === 'preserve',
+            translatable: getTranslate(entry.sourceRange.start) !== 'no',
+            storedSourceHash: attributes[SOURCE_HASH_ATTRIBUTE] || null,
+            ...parseUnitMetadata(xlfContent, searchable, openTagEnd, openTagEnd + match[2].length, attributes.resname),
+            ...entry
+        });
+    }
+
+    return units;
+}
+
+/**
+ * XLIFF 2.0: one entry per <segment> of each <unit> (<ignorable> is skipped)
+ */
+function parseUnits20(xlfContent) {
+    const units = [];
+    const searchable = maskIgnoredRegions(xlfContent);
+    const getXmlSpace = createInheritedAttributeResolver(searchable, 'xml:space');
+    const getTranslate = createInheritedAttributeResolver(searchable, 'translate');
+    const unitRegex = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+    let match;
+
+    while ((match = unitRegex.exec(searchable)) !== null) {
+        const unitAttributes = parseAttributes(match[1]);
+        const unitId = unitAttributes.id || `unit_${units.length}`;
+        const bodyStart = match.index + match[0].indexOf('>') + 1;
+        const body = match[2];
+        const storedHashes = (unitAttributes[SOURCE_HASH_ATTRIBUTE] || '').split(/\s+/);
+        const metadata = parseUnitMetadata(xlfContent, searchable, bodyStart, bodyStart + body.length, unitAttributes.name);
+
+        const segmentRegex = /<segment\b([^>]*?)(\/>|>([\s\S]*?)<\/segment>)/g;
+        const segments = [];
+        let segmentMatch;
+
+        while ((segmentMatch = segmentRegex.exec(body)) !== null) {
+            if (segmentMatch[2] === '/>') continue;
+
+            const segmentStart = bodyStart + segmentMatch.index;
+            const openTagEnd = segmentStart + segmentMatch[0].indexOf('>') + 1;
+            const entry = parseSegmentBody(xlfContent, searchable, openTagEnd, openTagEnd + segmentMatch[3].length);
+            if (!entry) continue;
+
+            segments.push({
+                segmentId: parseAttributes(segmentMatch[1]).id || String(segments.length),
+                attributes: { ...unitAttributes, ...parseAttributes(segmentMatch[1]) },
+                containerTag: { start: segmentStart, end: openTagEnd },
+                unitTag: { start: match.index, end: bodyStart },
+                preserveSpace: (entry.sourceAttributes['xml:space'] || getXmlSpace(entry.sourceRange.start)) === 'preserve',
+                translatable: getTranslate(entry.sourceRange.start) !== 'no',
+                storedSourceHash: /^[a-f0-9]+$/.test(storedHashes[segments.length] || '') ? storedHashes[segments.length] : null,
+                ...metadata,
+                ...entry
+            });
+        }
+
+        segments.forEach(segment => {
+            units.push({
+                id: segments.length > 1 ? `${unitId}#${segment.segmentId}` : unitId,
+                unitId,
+                ...segment
+            });
+        });
+    }
+
+    return units;
+}
+
+/**
+ * What the file says about a unit, for the translation prompt:
+ *   resname   1.2 resname / 2.0 unit name
+ *   notes     <note> texts (2.0: inside <notes>)
+ *   contexts  1.2 <context-group> entries as "context-type: value" (source file and
+ *             line number entries are left out)
+ */
+function parseUnitMetadata(xlfContent, searchable, bodyStart, bodyEnd, resname) {
+    const body = searchable.slice(bodyStart, bodyEnd);
+    const readText = (match, group) => {
+        const innerStart = bodyStart + match.index + match[0].indexOf('>') + 1;
+        return toPlainText(xlfContent.slice(innerStart, innerStart + match[group].length));
+    };
+
+    const notes = [];
+    const noteRegex = /<note\b[^>]*?(?:\/>|>([\s\S]*?)<\/note>)/g;
+    let match;
+    while ((match = noteRegex.exec(body)) !== null) {
+        const text = match[1] !== undefined ? readText(match, 1) : '';
+        if (text) notes.push(text);
+    }
+
+    const contexts = [];
+    const contextRegex = /<context(?=[\s>])([^>]*)>([\s\S]*?)<\/context>/g;
+    while ((match = contextRegex.exec(body)) !== null) {
+        const contextType = parseAttributes(match[1])['context-type'] || 'context';
+        const text = readText(match, 2);
+        if (text && !IGNORED_CONTEXT_TYPES.includes(contextType)) {
+            contexts.push(`${contextType}: ${text}`);
+        }
+    }
+
+    return { resname: resname || null, notes, contexts };
+}
+
+/**
+ * Locates <source> and <target> inside a trans-unit / segment body
+ */
+function parseSegmentBody(xlfContent, searchable, bodyStart, bodyEnd) {
+    const body = searchable.slice(bodyStart, bodyEnd);
+
+    const sourceMatch = body.match(/<source\b[^>]*?(?:\/>|>([\s\S]*?)<\/source>)/);
+    if (!sourceMatch) return null;
+
+    const sourceStart = bodyStart + sourceMatch.index;
+    const sourceEnd = sourceStart + sourceMatch[0].length;
+    const sourceInnerStart = sourceStart + sourceMatch[0].indexOf('>') + 1;
+    const sourceAttributes = parseAttributes(sourceMatch[0].slice(7, sourceMatch[0].indexOf('>')));
+
+    const targetMatch = body.match(/<target\b[^>]*?(?:\/>|>([\s\S]*?)<\/target>)/);
+    let target = null;
+    let targetRange = null;
+
+    if (targetMatch) {
+        const targetStart = bodyStart + targetMatch.index;
+        const targetOpenTag = targetMatch[0].slice(0, targetMatch[0].indexOf('>') + 1);
+        const targetInnerStart = targetStart + targetOpenTag.length;
+        target = targetMatch[1] !== undefined
+            ? xlfContent.slice(targetInnerStart, targetInnerStart + targetMatch[1].length)
+            : '';
+        targetRange = {
+            start: targetStart,
+            end: targetStart + targetMatch[0].length,
+            attributes: parseAttributes(targetOpenTag.slice(7, -1).replace(/\/$/, ''))
+        };
+    }
+
+    return {
+        source: sourceMatch[1] !== undefined
+            ? xlfContent.slice(sourceInnerStart, sourceInnerStart + sourceMatch[1].length)
+            : '',
+        sourceAttributes,
+        sourceRange: { start: sourceStart, end: sourceEnd },
+        target,
+        targetRange
+    };
+}
+
+/**
+ * ASSEMBLE XLF BY ID
+ * Writes each translation into its segment in a single pass. Everything outside the
+ * written <target> elements and state attributes stays byte-identical, and each
+ * translation gets the leading/trailing whitespace of its source back.
+ * translationsById: { [segmentId]: translatedInnerXml }
+ * options.approvedIds: segments a reviewer approved (1.2 approved="yes", 2.0 state="reviewed");
+ * machine translations are never marked approved.
+ * options.targetLang is written as a BCP-47 tag (zh-cn → zh-CN) to target-language (1.2)
+ * or trgLang (2.0) and to xml:lang on every written <target>.
+ * Each written target records the hash of its source (xt:src-hash, namespace declared on <xliff>).
+ */
+function assembleXLF(xlfContent, translationsById, options = {}) {
+    const parsed = options.parsed || parseXLF(xlfContent);
+    const approvedIds = new Set(options.approvedIds || []);
+    const targetLang = options.targetLang ? toBCP47(options.targetLang) : null;
+    const edits = [];
+    const writtenUnits = new Set();
+    let applied = 0;
+
+    parsed.units.forEach(unit => {
+        const translation = translationsById[unit.id];
+        if (translation === undefined || translation === null) return;
+        writtenUnits.add(unit.unitId);
+
+        const targetXml = buildTargetElement(unit, restoreEdgeWhitespace(unit.source, translation), parsed.version, targetLang);
+
+        if (unit.targetRange) {
+            edits.push({ start: unit.targetRange.start, end: unit.targetRange.end, text: targetXml });
+        } else {
+            edits.push({ start: unit.sourceRange.end, end: unit.sourceRange.end, text: targetXml });
+        }
+
+        const openTag = xlfContent.slice(unit.containerTag.start, unit.containerTag.end);
+        const approved = approvedIds.has(unit.id);
+
+        if (parsed.version === '2.0') {
+            // A new target resets reviewed/final to translated unless a reviewer approved it
+            // (an approved final segment stays final)
+            const approvedState = unit.attributes.state === 'final' ? 'final' : 'reviewed';
+            edits.push({
+                start: unit.containerTag.start,
+                end: unit.containerTag.end,
+                text: setTagAttribute(openTag, 'state', approved ? approvedState : 'translated')
+            });
+        } else {
+            // A new target invalidates any earlier approval
+            const approvalTag = approved ? setTagAttribute(openTag, 'approved', 'yes') : removeTagAttribute(openTag, 'approved');
+            edits.push({
+                start: unit.containerTag.start,
+                end: unit.containerTag.end,
+                text: setTagAttribute(approvalTag, SOURCE_HASH_ATTRIBUTE, hashSource(unit.source))
+            });
+        }
+
+        applied++;
+    });
+
+    // 2.0: one hash per segment on <unit> ("-" for a segment without a recorded source)
+    if (parsed.version === '2.0') {
+        writtenUnits.forEach(unitId => {
+            const entries = parsed.units.filter(unit => unit.unitId === unitId);
+            const hashes = entries.map(unit => {
+                const written = translationsById[unit.id] !== undefined && translationsById[unit.id] !== null;
+                return written ? hashSource(unit.source) : unit.storedSourceHash || '-';
+            });
+            const { start, end } = entries[0].unitTag;
+            edits.push({ start, end, text: setTagAttribute(xlfContent.slice(start, end), SOURCE_HASH_ATTRIBUTE, hashes.join(' ')) });
+        });
+    }
+
+    // Segments that could not be translated stay untranslated and are marked for translation
+    const failedIds = new Set(options.failedIds || []);
+    parsed.units.forEach(unit => {
+        if (!failedIds.has(unit.id) || translationsById[unit.id] !== undefined) return;
+        edits.push(...buildNeedsTranslationEdits(xlfContent, unit, parsed.version));
+    });
+
+    if (applied > 0) {
+        // XLIFF 2.0 requires trgLang on <xliff> once targets are present
+        const rootMatch = xlfContent.match(/<xliff\b[^>]*>/);
+        const rootTag = setTagAttribute(rootMatch[0], `xmlns:${SOURCE_HASH_ATTRIBUTE.split(':')[0]}`, SOURCE_HASH_NAMESPACE);
+        edits.push({
+            start: rootMatch.index,
+            end: rootMatch.index + rootMatch[0].length,
+            text: parsed.version === '2.0' && targetLang ? setTagAttribute(rootTag, 'trgLang', targetLang) : rootTag
+        });
+    }
+
+    if (parsed.version !== '2.0' && targetLang && applied > 0) {
+        // 1.2: every <file> declares its target language (one XLF per language)
+        const fileRegex = /<file(?=[\s>\/])[^>]*>/g;
+        const searchable = maskIgnoredRegions(xlfContent);
+        let fileMatch;
+        while ((fileMatch = fileRegex.exec(searchable)) !== null) {
+            const openTag = xlfContent.slice(fileMatch.index, fileMatch.index + fileMatch[0].length);
+            edits.push({
+                start: fileMatch.index,
+                end: fileMatch.index + fileMatch[0].length,
+                text: setTagAttribute(openTag, 'target-language', targetLang)
+            });
+        }
+    }
+
+    log.info('XLIFF assembled by id', { applied, segments: parsed.units.length });
+
+    return {
+        xlfContent: applyEdits(xlfContent, edits),
+        applied
+    };
+}
+
+/**
+ * Marks an untranslated segment:
+ * - 1.2: <target state="needs-translation"> (existing content kept) and no "approved"
+ * - 2.0: <segment state="initial"> (2.0 has no needs-translation state)
+ */
+function buildNeedsTranslationEdits(xlfContent, unit, version) {
+    const openTag = xlfContent.slice(unit.containerTag.start, unit.containerTag.end);
+
+    if (version === '2.0') {
+        return [{
+            start: unit.containerTag.start,
+            end: unit.containerTag.end,
+            text: setTagAttribute(openTag, 'state', 'initial')
+        }];
+    }
+
+    const edits = [{
+        start: unit.containerTag.start,
+        end: unit.containerTag.end,
+        text: removeTagAttribute(openTag, 'approved')
+    }];
+
+    if (unit.targetRange) {
+        const targetOpenEnd = xlfContent.indexOf('>', unit.targetRange.start) + 1;
+        const targetOpenTag = xlfContent.slice(unit.targetRange.start, targetOpenEnd);
+        edits.push({
+            start: unit.targetRange.start,
+            end: targetOpenEnd,
+            text: setTagAttribute(targetOpenTag, 'state', 'needs-translation')
+        });
+    } else {
+        edits.push({
+            start: unit.sourceRange.end,
+            end: unit.sourceRange.end,
+            text: '<target state="needs-translation"/>'
+        });
+    }
+
+    return edits;
+}
+
+/**
+ * Builds the <target> element for a segment, keeping attributes of an existing one
+ * (xml:lang is set to the target language when one is given)
+ */
+function buildTargetElement(unit, translation, version, targetLang = null) {
+    const content = isWellFormedFragment(translation) ? translation : escapeMarkupCharacters(translation);
+    const attributes = unit.targetRange ? { ...unit.targetRange.attributes } : {};
+
+    if (version !== '2.0') {
+        attributes.state = 'translated';
+    }
+    if (targetLang) {
+        attributes['xml:lang'] = targetLang;
+    }
+
+    const attributeString = Object.entries(attributes)
+        .map(([name, value]) => ` ${name}="${escapeXMLCharacters(value)}"`)
+        .join('');
+
+    return `<target${attributeString}>${content}</target>`;
+}
+
+/**
+ * Applies non-overlapping [start, end) replacements from last to first
+ */
+function applyEdits(text, edits) {
+    let result = text;
+
+    edits
+        .slice()
+        .sort((a, b) => b.start - a.start || b.end - a.end)
+        .forEach(edit => {
+            result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+        });
+
+    return result;
+}
+
+/**
+ * UTILITY FUNCTIONS
+ */
+function parseAttributes(attributeString) {
+    const attributes = {};
+    const attrRegex = /([\w.-]+(?::[\w.-]+)?)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrRegex.exec(attributeString || '')) !== null) {
+        attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+    }
+    return attributes;
+}
+
+function setTagAttribute(openTag, name, value) {
+    const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const attrRegex = new RegExp(`(\\s${escapedName}\\s*=\\s*)(?:"([^"]*)"|'([^']*)')`);
+    const current = openTag.match(attrRegex);
+
+    if (current) {
+        // An unchanged value keeps the original bytes (quotes included)
+        const currentValue = current[2] !== undefined ? current[2] : current[3];
+        return currentValue === value ? openTag : openTag.replace(attrRegex, `$1"${value}"`);
+    }
+    return openTag.replace(/\s*(\/?>)$/, ` ${name}="${value}"$1`);
+}
+
+function removeTagAttribute(openTag, name) {
+    const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return openTag.replace(new RegExp(`\\s${escapedName}\\s*=\\s*(?:"[^"]*"|'[^']*')`), '');
+}
+
+/**
+ * Short hash of a source as written in the file (edge whitespace ignored)
+ */
+function hashSource(source) {
+    return crypto.createHash('sha256').update(source.trim()).digest('hex').slice(0, 12);
+}
+
+/**
+ * Puts the source's leading/trailing XML whitespace around a (trimmed) translation
+ */
+function restoreEdgeWhitespace(source, translation) {
+    if (typeof translation !== 'string') return translation;
+
+    const core = translation.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, '');
+    if (!core) return translation;
+
+    const leading = source.match(/^[ \t\r\n]*/)[0];
+    const trailing = source.match(/[ \t\r\n]*$/)[0];
+    return leading + core + trailing;
+}
+
+/**
+ * Inherited attribute (xml:space, translate) in effect at a position: the nearest
+ * enclosing element that sets it wins, null when none does.
+ * Positions must be requested in increasing order (one pass over the document).
+ */
+function createInheritedAttributeResolver(searchable, attributeName) {
+    if (!searchable.includes(attributeName)) {
+        return () => null;
+    }
+
+    const tagRegex = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>/g;
+    const stack = [];
+    let cursor = 0;
+
+    return position => {
+        tagRegex.lastIndex = cursor;
+        let match;
+        while ((match = tagRegex.exec(searchable)) !== null && match.index < position) {
+            cursor = tagRegex.lastIndex;
+
+            const [, closing, , attributes, selfClosing] = match;
+            if (selfClosing) continue;
+            if (closing) {
+                stack.pop();
+            } else {
+                stack.push(parseAttributes(attributes)[attributeName] || null);
+            }
+        }
+
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (stack[i]) return stack[i];
+        }
+        return null;
+    };
+}
+
+/**
+ * Replaces comments, CDATA and <alt-trans> blocks with spaces of the same length,
+ * so regex searches skip them while offsets stay valid
+ */
+function maskIgnoredRegions(xlfContent) {
+    return xlfContent.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<alt-trans\b[\s\S]*?<\/alt-trans>/g,
+        region => region.replace(/[^\n]/g, ' '));
+}
+
+/**
+ * Checks that a translation is a balanced XML fragment (tags open/close in order,
+ * no stray markup characters, only known entities; CDATA sections are opaque)
+ */
+function isWellFormedFragment(content) {
+    if (typeof content !== 'string') {
+        return false;
+    }
+
+    content = content.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+
+    const stack = [];
+    const tagRegex = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagRegex.exec(content)) !== null) {
+        if (/[<>]/.test(content.slice(lastIndex, match.index))) return false;
+        lastIndex = tagRegex.lastIndex;
+
+        const [, closing, name, , selfClosing] = match;
+        if (selfClosing) continue;
+        if (closing) {
+            if (stack.pop() !== name) return false;
+        } else {
+            stack.push(name);
+        }
+    }
+
+    if (/[<>]/.test(content.slice(lastIndex))) return false;
+    if (/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i.test(content)) return false;
+
+    return stack.length === 0;
+}
+
+/**
+ * Escapes stray markup in plain-text translations, keeping existing entities
+ */
+function escapeMarkupCharacters(text) {
+    if (typeof text !== 'string') return text;
+
+    return text
+        .replace(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Note / context content as plain text: markup dropped, CDATA unwrapped, entities decoded
+ */
+function toPlainText(content) {
+    return content
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>|<[^>]*>/g, (markup, cdata) => cdata || '')
+        .replace(/&(?:lt|gt|quot|apos|#(\d+)|#x([0-9a-f]+));/gi, (entity, decimal, hex) => {
+            if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+            if (hex) return String.fromCodePoint(parseInt(hex, 16));
+            return { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" }[entity.toLowerCase()];
+        })
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escapeXMLCharacters(text) {
+    if (typeof text !== 'string') return text;
+
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Export for Express server
+module.exports = {
+    detectXLFVersion,
+    parseXLF,
+    assembleXLF,
+    hashSource,
+    maskIgnoredRegions,
+    parseAttributes,
+    setTagAttribute,
+    removeTagAttribute,
+    isWellFormedFragment,
+    escapeXMLCharacters
+};
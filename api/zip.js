@@ -0,0 +1,159 @@
+// ========================================
+// ZIP CONTAINER - Render Native
+// Minimal zip writer/reader for XLSX workbooks (deflate via zlib, no dependencies)
+// ========================================
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Most bytes readZip unpacks from one file (all entries together): stops zip bombs
+const MAX_UNZIPPED_BYTES = parseInt(process.env.ZIP_MAX_UNZIPPED_BYTES, 10) || 100 * 1024 * 1024;
+
+let crcTable = null;
+
+/**
+ * CREATE ZIP
+ * files: [{ name, content (string | Buffer) }] → Buffer (deflated entries, UTF-8 names)
+ */
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);               // version needed
+        local.writeUInt16LE(0x0800, 6);           // UTF-8 names
+        local.writeUInt16LE(8, 8);                // deflate
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);             // version made by
+        central.writeUInt16LE(20, 6);             // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * READ ZIP
+ * Returns { [name]: Buffer } for every stored or deflated entry (read from the central directory).
+ * Throws once the entries, by declared or actual size, add up to more than maxBytes.
+ */
+function readZip(buffer, { maxBytes = MAX_UNZIPPED_BYTES } = {}) {
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endOffset === -1) {
+        throw new Error('Invalid zip file: end of central directory not found');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let position = buffer.readUInt32LE(endOffset + 16);
+    const entries = {};
+    let unzippedBytes = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+            throw new Error('Invalid zip file: corrupt central directory');
+        }
+
+        const method = buffer.readUInt16LE(position + 10);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const declaredSize = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.slice(position + 46, position + 46 + nameLength).toString('utf8');
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.slice(dataStart, dataStart + compressedSize);
+        const remainingBytes = maxBytes - unzippedBytes;
+
+        if (declaredSize > remainingBytes) {
+            throw tooLarge(name, maxBytes);
+        }
+
+        if (method === 0) {
+            entries[name] = data;
+        } else if (method === 8) {
+            // The declared size may lie: inflate no further than the limit
+            try {
+                entries[name] = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remainingBytes, 1) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(name, maxBytes);
+                throw error;
+            }
+        } else {
+            throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+        }
+
+        unzippedBytes += entries[name].length;
+        if (unzippedBytes > maxBytes) {
+            throw tooLarge(name, maxBytes);
+        }
+
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+function tooLarge(name, maxBytes) {
+    return new Error(`Zip file too large: ${name} unpacks to more than ${maxBytes} bytes`);
+}
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            return c >>> 0;
+        });
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Export for API modules
+module.exports = {
+    createZip,
+    readZip
+};
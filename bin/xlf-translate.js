@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+// ========================================
+// XLF-TRANSLATE CLI - Render Native
+// Headless file translation for CI/CD pipelines (no Express server involved)
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// The API modules log every step: on stderr, so stdout stays for the CLI's own output, as
+// readable text lines instead of the server's JSON, and only with --verbose (or LOG_LEVEL)
+const verbose = process.argv.includes('--verbose') || process.argv.includes('-v');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || (verbose ? 'info' : 'silent');
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'text';
+process.env.LOG_STREAM = 'stderr';
+const writeError = message => process.stderr.write(`${message}\n`);
+
+const xlfParser = require('../api/xlf-parser');
+const translateFile = require('../api/translate-file');
+const generateContext = require('../api/generate-context');
+const contextProfiles = require('../api/context-profiles');
+const usageAccounting = require('../api/usage');
+const providers = require('../api/providers');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const XLIFF_EXTENSIONS = ['.xlf', '.xliff'];
+const NO_TARGET_LANGUAGE = 'No target language: pass --target or set target-language / trgLang in the file';
+
+const USAGE = `Usage: xlf-translate [options] <file|glob|directory>...
+
+Translates XLIFF 1.2 / 2.0 files and writes <name>_<lang>.xlf next to each input
+(or into --out-dir). Quote globs so the CLI expands them: "content/**/*.xlf".
+Globs and directories leave out this run's outputs from earlier runs (<name>_<target>.xlf
+of another input, in the output directory); the summary lists them.
+
+Options:
+  -s, --source <lang>      Source language (default: from the file, then en)
+  -t, --target <lang,...>  Target language(s), comma-separated or repeated
+                           (default: target language of the file)
+  -c, --context <file>     Text file with project instructions for the translation context
+  -p, --profile <id[@v]>   Saved context profile (project:name, optionally @version)
+                           instead of generating a context
+  -o, --out-dir <dir>      Output directory (default: next to each input file)
+      --only-new           Incremental run: only new, needs-translation and changed-source
+                           units; approved, locked and existing targets are kept
+      --dry-run            Show segment, chunk, token and cost estimates, translate nothing
+      --budget <usd>       Stop sending chunks once the run has cost this much (USD,
+                           whole run, 0 = none; default RUN_BUDGET_USD per file and language)
+      --project <name>     Project the usage is recorded under (default: the profile's)
+      --json               One JSON object per line on stdout (progress and results)
+      --provider <name>    anthropic | openai | mock | identity | pseudo (default: TRANSLATION_PROVIDER)
+      --model <model>      Provider model (default: TRANSLATION_MODEL or provider default)
+      --token-budget <n>   Estimated source tokens per chunk
+      --chunk-size <n>     Maximum segments per chunk
+      --concurrency <n>    Chunks translated in parallel
+      --neighbors <n>      Segments before/after each chunk sent as read-only context
+      --no-context         Skip context generation (only --context is used)
+      --no-tm              Do not use or update the translation memory
+      --no-glossary        Do not apply the project glossary
+      --no-typography      Leave the model's spacing, quotation marks and bidi as they are
+  -v, --verbose            API logs on stderr (LOG_LEVEL sets the level)
+  -h, --help               Show this help
+
+Exit codes: 0 everything translated, 1 a file or segment failed, 2 invalid usage (unknown
+option or provider) or no input files`;
+
+const OPTIONS = {
+    source: { type: 'string', short: 's' },
+    target: { type: 'string', short: 't', multiple: true },
+    context: { type: 'string', short: 'c' },
+    profile: { type: 'string', short: 'p' },
+    'out-dir': { type: 'string', short: 'o' },
+    'only-new': { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    budget: { type: 'string' },
+    project: { type: 'string' },
+    json: { type: 'boolean' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    'token-budget': { type: 'string' },
+    'chunk-size': { type: 'string' },
+    concurrency: { type: 'string' },
+    neighbors: { type: 'string' },
+    'no-context': { type: 'boolean' },
+    'no-tm': { type: 'boolean' },
+    'no-glossary': { type: 'boolean' },
+    'no-typography': { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * MAIN
+ * Resolves the inputs, then translates (or estimates) every file for every target language
+ */
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        writeError(`xlf-translate: ${error.message}\nRun xlf-translate --help for usage.`);
+        return EXIT_USAGE;
+    }
+
+    const { values: options, positionals } = args;
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    const output = createReporter(options.json);
+
+    if (positionals.length === 0) {
+        output.usageError('no input files given');
+        return EXIT_USAGE;
+    }
+
+    const providerName = options.provider || process.env.TRANSLATION_PROVIDER;
+    if (providerName && !providers.listProviders().includes(providerName.toLowerCase())) {
+        output.usageError(`unknown provider "${providerName}" (available: ${providers.listProviders().join(', ')})`);
+        return EXIT_USAGE;
+    }
+
+    const files = [];
+    const namedFiles = new Set();
+    for (const input of positionals) {
+        const matches = expandInput(input);
+        if (matches.length === 0) {
+            output.usageError(`no XLIFF files match "${input}"`);
+            return EXIT_USAGE;
+        }
+        if (matches.length === 1 && matches[0] === input) {
+            namedFiles.add(input);
+        }
+        matches.forEach(file => {
+            if (!files.includes(file)) files.push(file);
+        });
+    }
+
+    // Files given by name are always translated; matches that this run writes for another
+    // input (<name>_<target>.xlf in the output directory) are not
+    const targetLangs = (options.target || []).flatMap(value => value.split(',')).map(lang => lang.trim()).filter(Boolean);
+    const outputPaths = new Set(files.flatMap(file => targetLangs.map(lang => path.resolve(getOutputPath(file, lang, options['out-dir'])))));
+    const skippedFiles = files.filter(file => !namedFiles.has(file) && outputPaths.has(path.resolve(file)));
+    const inputFiles = files.filter(file => !skippedFiles.includes(file));
+
+    const numbers = {};
+    for (const name of ['token-budget', 'chunk-size', 'concurrency', 'neighbors']) {
+        if (options[name] === undefined) continue;
+        const value = Number(options[name]);
+        if (!Number.isInteger(value) || value < (name === 'neighbors' ? 0 : 1)) {
+            output.usageError(`--${name} must be a whole number`);
+            return EXIT_USAGE;
+        }
+        numbers[name] = value;
+    }
+
+    const budget = options.budget !== undefined ? Number(options.budget) : undefined;
+    if (budget !== undefined && !(budget >= 0)) {
+        output.usageError('--budget must be an amount in USD');
+        return EXIT_USAGE;
+    }
+
+    let userContext = '';
+    if (options.context) {
+        try {
+            userContext = fs.readFileSync(options.context, 'utf8').trim();
+        } catch (error) {
+            output.usageError(`cannot read context file: ${error.message}`);
+            return EXIT_USAGE;
+        }
+    }
+
+    const settings = {
+        sourceLang: options.source,
+        targetLangs,
+        outDir: options['out-dir'],
+        userContext,
+        contextProfile: parseProfileRef(options.profile),
+        generateContext: !options['no-context'],
+        budget,
+        usage: usageAccounting.createUsage(),
+        requestData: {
+            chunkSize: numbers['chunk-size'],
+            tokenBudget: numbers['token-budget'],
+            concurrency: numbers.concurrency,
+            neighborSegments: numbers.neighbors,
+            incremental: !!options['only-new'],
+            useTranslationMemory: !options['no-tm'],
+            useGlossary: !options['no-glossary'],
+            localeTypography: !options['no-typography'],
+            project: options.project,
+            providerOptions: {
+                provider: options.provider,
+                model: options.model
+            }
+        }
+    };
+
+    let failed = 0;
+    for (const file of inputFiles) {
+        const ok = options['dry-run']
+            ? estimateInputFile(file, settings, output)
+            : await translateInputFile(file, settings, output);
+        if (!ok) failed++;
+    }
+
+    const exitCode = failed > 0 ? EXIT_FAILED : EXIT_OK;
+    output.summary({ files: inputFiles.length, failed, skipped: skippedFiles, dryRun: !!options['dry-run'], usage: settings.usage, exitCode });
+    return exitCode;
+}
+
+/**
+ * DRY RUN FOR ONE FILE
+ * Same planning and chunking as a real run, without provider calls
+ */
+function estimateInputFile(file, settings, output) {
+    try {
+        const xlfContent = fs.readFileSync(file, 'utf8');
+        const targetLangs = settings.targetLangs.length > 0
+            ? settings.targetLangs
+            : [xlfParser.parseXLF(xlfContent).targetLang].filter(Boolean);
+        if (targetLangs.length === 0) {
+            throw new Error(NO_TARGET_LANGUAGE);
+        }
+
+        const estimate = translateFile.estimateFile({ ...settings.requestData, xlfContent, targetLangs });
+        output.estimate({ file, targetLangs, ...estimate });
+        return true;
+    } catch (error) {
+        output.error({ file, error: error.message });
+        return false;
+    }
+}
+
+/**
+ * TRANSLATE ONE FILE INTO EVERY TARGET LANGUAGE
+ * Returns false when the file could not be read, a language failed or segments stayed untranslated
+ * (including segments left out once the --budget was spent)
+ */
+async function translateInputFile(file, settings, output) {
+    let xlfContent;
+    let parsed;
+    try {
+        xlfContent = fs.readFileSync(file, 'utf8');
+        parsed = xlfParser.parseXLF(xlfContent);
+    } catch (error) {
+        output.error({ file, error: error.message });
+        return false;
+    }
+
+    const targetLangs = settings.targetLangs.length > 0 ? settings.targetLangs : [parsed.targetLang].filter(Boolean);
+    if (targetLangs.length === 0) {
+        output.error({ file, error: NO_TARGET_LANGUAGE });
+        return false;
+    }
+
+    const sourceLang = settings.sourceLang || parsed.sourceLang || 'en';
+    let ok = true;
+
+    for (const targetLang of targetLangs) {
+        // --budget covers the whole run: each file and language gets what is left of it
+        const remainingBudget = settings.budget ? settings.budget - settings.usage.costUsd : settings.budget;
+        if (settings.budget && remainingBudget <= 0) {
+            ok = false;
+            output.error({ file, targetLang, error: `Budget of $${settings.budget} reached, not translated` });
+            continue;
+        }
+
+        try {
+            output.start({ file, sourceLang, targetLang });
+
+            const { translationContext, contextProfile, project = settings.requestData.project } = settings.contextProfile
+                ? await contextProfiles.applyContextProfile({ contextProfile: settings.contextProfile, project: settings.requestData.project }, targetLang)
+                : { translationContext: await buildTranslationContext(parsed, targetLang, settings) };
+            const result = await translateFile.translateFile({
+                ...settings.requestData,
+                xlfContent,
+                sourceLang,
+                targetLang,
+                translationContext,
+                contextProfile,
+                project,
+                budget: remainingBudget
+            }, {
+                onProgress: async (state, progress) => output.progress({ file, targetLang, ...progress })
+            });
+
+            usageAccounting.mergeUsage(settings.usage, result.stats.usage);
+            const failedIds = Object.keys(result.failedSegments);
+
+            // Nothing to keep: leave any earlier output in place
+            if (failedIds.length > 0 && failedIds.length === result.stats.totalSegments) {
+                const firstFailure = result.failedSegments[failedIds[0]];
+                throw new Error(`All ${failedIds.length} segments failed (${firstFailure.error || firstFailure.status}), no output written`);
+            }
+
+            const outputFile = getOutputPath(file, targetLang, settings.outDir);
+            await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
+            await fs.promises.writeFile(outputFile, result.xlfContent, 'utf8');
+
+            if (failedIds.length > 0 || result.stats.budgetReached) ok = false;
+
+            output.done({ file, targetLang, output: outputFile, stats: result.stats, failedSegments: result.failedSegments, contextProfile: result.metadata.contextProfile });
+        } catch (error) {
+            ok = false;
+            output.error({ file, targetLang, error: error.message });
+        }
+    }
+
+    return ok;
+}
+
+/**
+ * Generated context (with the --context file as user requirements), or the file alone
+ */
+async function buildTranslationContext(parsed, targetLang, settings) {
+    if (!settings.generateContext) {
+        return settings.userContext || undefined;
+    }
+
+    const sampleTexts = parsed.units
+        .map(unit => unit.source.trim())
+        .filter(text => text.length > 0)
+        .slice(0, 25);
+    if (sampleTexts.length === 0) {
+        return settings.userContext || undefined;
+    }
+
+    const result = await generateContext.generateTranslationContext({
+        sampleTexts,
+        userContext: settings.userContext,
+        targetLang,
+        contentType: 'educational',
+        project: settings.requestData.project,
+        providerOptions: settings.requestData.providerOptions
+    });
+    usageAccounting.mergeUsage(settings.usage, result.stats.usage);
+    return result.translationContext;
+}
+
+/**
+ * "project:name@3" → { id: 'project:name', version: 3 }
+ */
+function parseProfileRef(value) {
+    if (!value) return null;
+    const match = value.match(/^(.*?)(?:@(\d+))?$/);
+    return { id: match[1], version: match[2] ? parseInt(match[2], 10) : undefined };
+}
+
+function formatCost(costUsd) {
+    return `$${costUsd.toFixed(4)}`;
+}
+
+/**
+ * OUTPUT
+ * Human-readable lines, or one JSON object per line with --json (event: start | progress |
+ * done | estimate | error | summary)
+ */
+function createReporter(json) {
+    const emit = event => process.stdout.write(`${JSON.stringify(event)}\n`);
+
+    if (json) {
+        return {
+            usageError: message => {
+                emit({ event: 'error', error: message });
+                writeError(`xlf-translate: ${message}`);
+            },
+            start: data => emit({ event: 'start', ...data }),
+            progress: data => emit({ event: 'progress', ...data }),
+            done: data => emit({ event: 'done', ...data }),
+            estimate: data => emit({ event: 'estimate', ...data }),
+            error: data => emit({ event: 'error', ...data }),
+            summary: data => emit({ event: 'summary', ...data })
+        };
+    }
+
+    const print = line => process.stdout.write(`${line}\n`);
+    return {
+        usageError: message => writeError(`xlf-translate: ${message}\nRun xlf-translate --help for usage.`),
+        start: ({ file, sourceLang, targetLang }) => print(`${file}: ${sourceLang} → ${targetLang}`),
+        progress: ({ completedChunks, totalChunks, translatedSegments, totalSegments }) =>
+            print(`  chunk ${completedChunks}/${totalChunks} - ${translatedSegments}/${totalSegments} segments`),
+        done: ({ output, stats }) => print(`  ${stats.failedSegments || stats.budgetReached ? '⚠' : '✓'} ${output} (${stats.translatedSegments}/${stats.totalSegments} translated, ${stats.failedSegments} failed, ${stats.skippedSegments} skipped${stats.budgetReached ? `, ${stats.notSentSegments} not sent: budget reached` : ''}, ${formatCost(stats.usage.costUsd)})`),
+        estimate: ({ file, targetLangs, xlfVersion, totalSegments, segmentsToTranslate, skippedSegments, totalChunks, sourceTokens, cost }) =>
+            print(`${file} (XLIFF ${xlfVersion}): ${segmentsToTranslate}/${totalSegments} segments to translate, ${skippedSegments} skipped, ${totalChunks} chunks, ~${sourceTokens} source tokens × ${targetLangs.length} (${targetLangs.join(', ')}), ~${cost.priced ? formatCost(cost.costUsd) : 'unknown cost'} with ${cost.model}`),
+        error: ({ file, targetLang, error }) => writeError(`✗ ${file}${targetLang ? ` (${targetLang})` : ''}: ${error}`),
+        summary: ({ files, failed, skipped, dryRun, usage }) => {
+            if (skipped.length > 0) {
+                print(`Skipped ${skipped.length} earlier output${skipped.length === 1 ? '' : 's'}: ${skipped.join(', ')}`);
+            }
+            print(`${dryRun ? 'Estimated' : 'Translated'} ${files - failed}/${files} files${failed ? `, ${failed} failed` : ''}${dryRun ? '' : ` - ${usage.inputTokens} input / ${usage.outputTokens} output tokens, ${formatCost(usage.costUsd)}`}`);
+        }
+    };
+}
+
+/**
+ * INPUT EXPANSION
+ * Files as given, directories searched recursively for .xlf/.xliff, and globs with
+ * *, ? and ** (needed when the shell does not expand them, e.g. quoted in CI)
+ */
+function expandInput(input) {
+    if (!/[*?]/.test(input)) {
+        const stat = fs.statSync(input, { throwIfNoEntry: false });
+        if (!stat) return [];
+        return stat.isDirectory()
+            ? walkFiles(input).filter(file => XLIFF_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            : [input];
+    }
+
+    const parts = input.split(/[\\/]/);
+    const firstPattern = parts.findIndex(part => /[*?]/.test(part));
+    const baseDir = parts.slice(0, firstPattern).join('/') || (input.startsWith('/') ? '/' : '.');
+    const pattern = globToRegExp(parts.slice(firstPattern).join('/'));
+
+    return walkFiles(baseDir)
+        .filter(file => pattern.test(path.relative(baseDir, file).split(path.sep).join('/')))
+        .sort();
+}
+
+function globToRegExp(glob) {
+    const source = glob
+        .split(/(\*\*\/|\*\*|\*|\?)/)
+        .map(part => {
+            if (part === '**/') return '(?:.*/)?';
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+function walkFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') return;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...walkFiles(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    });
+    return files;
+}
+
+function getOutputPath(file, targetLang, outDir) {
+    const extension = path.extname(file) || '.xlf';
+    const baseName = path.basename(file, path.extname(file));
+    return path.join(outDir || path.dirname(file), `${baseName}_${targetLang}${extension}`);
+}
+
+main(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        writeError(`xlf-translate: ${error.stack || error.message}`);
+        process.exitCode = EXIT_FAILED;
+    });
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// ========================================
+// XLF-USERS CLI - Render Native
+// Manages the API users and tokens read by api/auth.js (local users file)
+// ========================================
+
+const { parseArgs } = require('util');
+const storage = require('../api/storage');
+const auth = require('../api/auth');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: xlf-users <command> [user] [options]
+
+Commands:
+  list                     Users, roles, limits (tokens are never shown again)
+  add <id>                 Create a user and print its API token once
+  rotate <id>              Replace the user's token and print the new one
+  set <id>                 Change a user's name, role or limits
+  disable <id>             Refuse the user's token (403) without deleting it
+  enable <id>              Accept the user's token again
+  remove <id>              Delete the user
+
+Options (add / set):
+      --name <name>        Display name
+      --role <role>        admin | user (admins see every job; default user)
+      --daily-segments <n> Segments per UTC day (0 = unlimited, default DEFAULT_DAILY_SEGMENTS)
+      --daily-tokens <n>   Estimated source tokens per UTC day (0 = unlimited)
+      --rpm <n>            Requests per minute (default RATE_LIMIT_PER_MINUTE)
+  -h, --help               Show this help
+
+Users are stored in ${auth.USERS_FILE} (AUTH_USERS_FILE); the server picks up changes
+without a restart. As soon as one user exists, every /api request needs a token.`;
+
+const OPTIONS = {
+    name: { type: 'string' },
+    role: { type: 'string' },
+    'daily-segments': { type: 'string' },
+    'daily-tokens': { type: 'string' },
+    rpm: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const LIMIT_OPTIONS = {
+    'daily-segments': 'dailySegments',
+    'daily-tokens': 'dailyTokens',
+    rpm: 'requestsPerMinute'
+};
+
+/**
+ * MAIN
+ */
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        return usageError(error.message);
+    }
+
+    const { values: options, positionals: [command, id] } = args;
+    if (options.help || !command) {
+        process.stdout.write(`${USAGE}\n`);
+        return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const data = { users: auth.loadUsers().users.map(user => ({ ...user })) };
+
+    if (command === 'list') {
+        if (data.users.length === 0) {
+            process.stdout.write('No users: the API is open to anyone\n');
+        }
+        data.users.forEach(user => {
+            const limits = Object.values(LIMIT_OPTIONS)
+                .filter(key => user[key] !== undefined)
+                .map(key => `${key}=${user[key]}`);
+            process.stdout.write(`${user.id}\t${user.role || 'user'}${user.disabled ? ' (disabled)' : ''}\t${user.name || ''}\t${limits.join(' ')}\n`);
+        });
+        return EXIT_OK;
+    }
+
+    if (!id) {
+        return usageError(`${command} needs a user id`);
+    }
+
+    const user = data.users.find(entry => entry.id === id);
+    if (command !== 'add' && !user) {
+        process.stderr.write(`xlf-users: no user "${id}"\n`);
+        return EXIT_FAILED;
+    }
+
+    const changes = {};
+    if (options.name !== undefined) changes.name = options.name;
+    if (options.role !== undefined) {
+        if (!['admin', 'user'].includes(options.role)) {
+            return usageError('--role must be admin or user');
+        }
+        changes.role = options.role;
+    }
+    for (const [option, key] of Object.entries(LIMIT_OPTIONS)) {
+        if (options[option] === undefined) continue;
+        const value = Number(options[option]);
+        if (!Number.isInteger(value) || value < 0) {
+            return usageError(`--${option} must be a whole number`);
+        }
+        changes[key] = value;
+    }
+
+    let token = null;
+    switch (command) {
+        case 'add':
+            if (user) {
+                process.stderr.write(`xlf-users: user "${id}" already exists (use rotate or set)\n`);
+                return EXIT_FAILED;
+            }
+            if (!/^[a-z0-9._@-]+$/i.test(id)) {
+                return usageError('user ids may only contain letters, digits and . _ @ -');
+            }
+            token = auth.createToken();
+            data.users.push({ id, name: id, role: 'user', ...changes, tokenHash: auth.hashToken(token), createdAt: new Date().toISOString() });
+            break;
+        case 'rotate':
+            token = auth.createToken();
+            user.tokenHash = auth.hashToken(token);
+            break;
+        case 'set':
+            Object.assign(user, changes);
+            break;
+        case 'disable':
+        case 'enable':
+            user.disabled = command === 'disable';
+            break;
+        case 'remove':
+            data.users = data.users.filter(entry => entry.id !== id);
+            break;
+        default:
+            return usageError(`unknown command "${command}"`);
+    }
+
+    await storage.writeJSON(auth.USERS_FILE, data);
+
+    if (token) {
+        process.stdout.write(`${token}\n`);
+        process.stderr.write(`Token for ${id} (shown only once, store it now)\n`);
+    } else {
+        process.stderr.write(`User ${id}: ${command} done\n`);
+    }
+    return EXIT_OK;
+}
+
+function usageError(message) {
+    process.stderr.write(`xlf-users: ${message}\nRun xlf-users --help for usage.\n`);
+    return EXIT_USAGE;
+}
+
+main(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        process.stderr.write(`xlf-users: ${error.stack || error.message}\n`);
+        process.exitCode = EXIT_FAILED;
+    });
@@ -10,17 +10,96 @@ const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 10000;
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Request bodies: small JSON by default, whole files only on the routes that take them
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
+const FILE_BODY_LIMIT = process.env.FILE_BODY_LIMIT || '50mb';
+const XLF_TYPES = ['application/xml', 'text/xml', 'application/x-xliff+xml'];
 
-// Serve static files (frontend)
-app.use(express.static(path.join(__dirname)));
+const jsonBody = express.json({ limit: JSON_BODY_LIMIT });
+const fileJsonBody = express.json({ limit: FILE_BODY_LIMIT });
+const xlfBody = [fileJsonBody, express.text({ type: XLF_TYPES, limit: FILE_BODY_LIMIT })];
 
 // API Routes
+const auth = require('./api/auth');
+const chunking = require('./api/chunking');
 const processXlf = require('./api/process-xlf');
 const generateContext = require('./api/generate-context');
+const translateFile = require('./api/translate-file');
+const translationMemory = require('./api/translation-memory');
+const glossary = require('./api/glossary');
+const jobs = require('./api/jobs');
+const qa = require('./api/qa');
+const xlfParser = require('./api/xlf-parser');
+const roundTrip = require('./api/roundtrip');
+const incremental = require('./api/incremental');
+const bilingual = require('./api/bilingual');
+const contextProfiles = require('./api/context-profiles');
+const usageAccounting = require('./api/usage');
+const providers = require('./api/providers');
+const logger = require('./api/logger');
+const metrics = require('./api/metrics');
+
+const log = logger.createLogger('RENDER-API');
+
+// Bearer token for /metrics (unset: the endpoint is open, like /health)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// req.ip (per-IP rate limit) from X-Forwarded-For only behind the trusted proxies (TRUST_PROXY)
+app.set('trust proxy', auth.TRUST_PROXY);
+
+// Middleware: correlation id and metrics for every request, allowed origins only,
+// then authenticated and rate-limited /api.
+// No static directory: the frontend is index.html alone, and the app folder holds data/
+app.use(logger.requestContext, metrics.trackRequests);
+app.use(cors(auth.corsOptions));
+app.use('/api', auth.authenticate, auth.rateLimit);
+
+// Daily quota estimates: segments sent for translation and their estimated source tokens
+const chunkQuota = auth.quota(req => ({
+    segments: req.body.chunkTexts.length,
+    tokens: req.body.chunkTexts.reduce((sum, text) => sum + chunking.estimateTokens(text), 0)
+}));
+const fileQuota = auth.quota(req => {
+    const requestData = typeof req.body === 'string' ? { ...req.query, xlfContent: req.body } : req.body;
+    const estimate = translateFile.estimateFile(requestData);
+    if (!requestData.targetLang && !estimate.targetLang) {
+        throw new Error('Target language is required');
+    }
+    return { segments: estimate.segmentsToTranslate, tokens: estimate.sourceTokens };
+});
+const contextQuota = auth.quota(req => ({
+    segments: 0,
+    tokens: (req.body.sampleTexts || []).reduce((sum, text) => sum + chunking.estimateTokens(text), 0) *
+        ((req.body.targetLangs || []).length || 1)
+}));
+
+// providerOptions of a request (JSON body, or the query string of a raw XLF body)
+// may only pick the mock / identity providers when the server allows it
+function checkProvider(req, res, next) {
+    try {
+        providers.checkRequestedProvider(req.query.providerOptions);
+        if (req.body && typeof req.body === 'object') {
+            providers.checkRequestedProvider(req.body.providerOptions);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Reports and shared data (the whole TM, glossaries, context profiles) that only admins
+// may export or delete; while auth is off every caller is the anonymous admin
+function adminOnly(service, what) {
+    return (req, res, next) => {
+        if (req.user.role === 'admin') return next();
+        res.status(403).json({
+            success: false,
+            error: `${what} is only available to admins`,
+            code: 'forbidden',
+            service
+        });
+    };
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -32,14 +111,39 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Prometheus metrics: requests, chunk latency, provider errors, retries and fallbacks
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+        return res.status(401).json({
+            success: false,
+            error: 'Metrics token required: send "Authorization: Bearer <METRICS_TOKEN>"',
+            code: 'unauthenticated',
+            service: 'metrics'
+        });
+    }
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.renderMetrics());
+});
+
 // API endpoints
-app.post('/api/process-xlf', async (req, res) => {
-    console.log('[RENDER-API] Processing XLF translation request');
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        res.json({ success: true, authEnabled: auth.isAuthEnabled(), ...await auth.getQuotaStatus(req.user) });
+    } catch (error) {
+        log.error('Quota status error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'auth'
+        });
+    }
+});
+
+app.post('/api/process-xlf', fileJsonBody, checkProvider, chunkQuota, async (req, res) => {
     try {
         const result = await processXlf.processTranslation(req.body);
         res.json(result);
     } catch (error) {
-        console.error('[RENDER-API] XLF processing error:', error);
+        log.error('XLF processing error', { error });
         res.status(500).json({ 
             success: false, 
             error: error.message,
@@ -48,13 +152,12 @@ app.post('/api/process-xlf', async (req, res) => {
     }
 });
 
-app.post('/api/generate-context', async (req, res) => {
-    console.log('[RENDER-API] Generating translation context');
+app.post('/api/generate-context', jsonBody, checkProvider, contextQuota, async (req, res) => {
     try {
         const result = await generateContext.generateTranslationContext(req.body);
         res.json(result);
     } catch (error) {
-        console.error('[RENDER-API] Context generation error:', error);
+        log.error('Context generation error', { error });
         res.status(500).json({ 
             success: false, 
             error: error.message,
@@ -63,20 +166,531 @@ app.post('/api/generate-context', async (req, res) => {
     }
 });
 
+// Context profiles: named, versioned translation contexts per client/project
+app.get('/api/context-profiles', async (req, res) => {
+    try {
+        res.json({ success: true, profiles: await contextProfiles.listProfiles(req.query) });
+    } catch (error) {
+        log.error('Context profile list error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'context-profiles'
+        });
+    }
+});
+
+app.get('/api/context-profiles/:id', async (req, res) => {
+    try {
+        const profile = await contextProfiles.getProfile(req.params.id, req.query.version);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'Context profile not found', service: 'context-profiles' });
+        }
+        res.json({ success: true, profile });
+    } catch (error) {
+        res.status(404).json({ 
+            success: false, 
+            error: error.message,
+            service: 'context-profiles'
+        });
+    }
+});
+
+app.post('/api/context-profiles', jsonBody, async (req, res) => {
+    try {
+        res.json(await contextProfiles.saveProfile(req.body));
+    } catch (error) {
+        log.error('Context profile save error', { error });
+        res.status(error.status || 400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'context-profiles'
+        });
+    }
+});
+
+app.post('/api/context-profiles/:id/regenerate', jsonBody, checkProvider, contextQuota, async (req, res) => {
+    try {
+        const result = await contextProfiles.regenerateProfile(req.params.id, req.body);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Context profile not found', service: 'context-profiles' });
+        }
+        res.json(result);
+    } catch (error) {
+        log.error('Context profile regeneration error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'context-profiles'
+        });
+    }
+});
+
+app.delete('/api/context-profiles/:id', adminOnly('context-profiles', 'Deleting a context profile'), async (req, res) => {
+    try {
+        res.json(await contextProfiles.deleteProfile(req.params.id));
+    } catch (error) {
+        log.error('Context profile delete error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'context-profiles'
+        });
+    }
+});
+
+// Whole-file translation: accepts JSON { xlfContent, ... } or a raw XLF body
+// (settings then come from the query string and the response is the XLF itself)
+app.post('/api/translate-file', xlfBody, checkProvider, fileQuota, async (req, res) => {
+    const rawXlf = typeof req.body === 'string';
+    try {
+        const requestData = await contextProfiles.applyContextProfile(rawXlf
+            ? { ...req.query, xlfContent: req.body }
+            : req.body);
+        const result = await translateFile.translateFile(requestData);
+
+        if (rawXlf) {
+            res.type('application/xml; charset=utf-8').send(result.xlfContent);
+        } else {
+            res.json(result);
+        }
+    } catch (error) {
+        log.error('File translation error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'translate-file'
+        });
+    }
+});
+
+// Background translation jobs: submit, status, SSE progress, result and cancel
+app.post('/api/jobs', xlfBody, checkProvider, fileQuota, async (req, res) => {
+    try {
+        const requestData = typeof req.body === 'string'
+            ? { ...req.query, xlfContent: req.body }
+            : req.body;
+        const job = await jobs.createJob(requestData, { owner: req.user.id });
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        log.error('Job creation error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'jobs'
+        });
+    }
+});
+
+app.get('/api/jobs', (req, res) => {
+    res.json({ success: true, jobs: jobs.listJobs().filter(job => auth.canAccess(req.user, job.owner)) });
+});
+
+// Jobs belong to the user who created them (admins see every job)
+function loadJob(req, res, next) {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found', service: 'jobs' });
+    }
+    if (!auth.canAccess(req.user, job.owner)) {
+        return res.status(403).json({ success: false, error: 'This job belongs to another user', code: 'forbidden', service: 'jobs' });
+    }
+    req.job = job;
+    next();
+}
+
+app.get('/api/jobs/:id', loadJob, (req, res) => {
+    res.json({ success: true, job: req.job });
+});
+
+app.get('/api/jobs/:id/events', loadJob, (req, res) => {
+    const job = req.job;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (update) => {
+        res.write(`event: ${jobs.isFinished(update) ? 'done' : 'progress'}\ndata: ${JSON.stringify(update)}\n\n`);
+        if (jobs.isFinished(update)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const unsubscribe = jobs.subscribe(req.params.id, send);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    req.on('close', cleanup);
+    send(job);
+});
+
+app.get('/api/jobs/:id/result', loadJob, async (req, res) => {
+    try {
+        const result = await jobs.getJobResult(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Job not found', service: 'jobs' });
+        }
+        res.type('application/xml; charset=utf-8')
+            .attachment(result.fileName.replace(/\.(xlf|xliff)$/i, '') + '_translated.xlf')
+            .send(result.xlfContent);
+    } catch (error) {
+        res.status(409).json({ 
+            success: false, 
+            error: error.message,
+            service: 'jobs'
+        });
+    }
+});
+
+app.post('/api/jobs/:id/cancel', loadJob, async (req, res) => {
+    try {
+        const job = await jobs.cancelJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found', service: 'jobs' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        res.status(409).json({ 
+            success: false, 
+            error: error.message,
+            service: 'jobs'
+        });
+    }
+});
+
+// QA checks on a translated XLF: JSON report, or a standalone HTML page with ?format=html
+app.post('/api/qa', xlfBody, (req, res) => {
+    try {
+        const rawXlf = typeof req.body === 'string';
+        const { xlfContent, format, title, ...options } = rawXlf
+            ? { ...req.query, xlfContent: req.body }
+            : { ...req.query, ...req.body };
+        const report = qa.runQAChecks(xlfContent, options);
+
+        if (format === 'html') {
+            res.type('text/html; charset=utf-8')
+                .attachment('qa-report.html')
+                .send(qa.renderHTMLReport(report, title));
+        } else {
+            res.json(report);
+        }
+    } catch (error) {
+        log.error('QA error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'qa'
+        });
+    }
+});
+
+// Lossless assembly: splices <target> elements into the original text by segment id
+app.post('/api/assemble', fileJsonBody, (req, res) => {
+    try {
+        const { xlfContent, translationsById = {}, failedIds = [], approvedIds = [], targetLang } = req.body;
+        if (!xlfContent || typeof xlfContent !== 'string') {
+            throw new Error('Missing or invalid xlfContent');
+        }
+
+        const assembled = xlfParser.assembleXLF(xlfContent, translationsById, { targetLang, failedIds, approvedIds });
+        res.json({ success: true, ...assembled });
+    } catch (error) {
+        log.error('Assembly error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'assemble'
+        });
+    }
+});
+
+// Translation plan: which segments a (full or incremental) run would translate or skip
+app.post('/api/translation-plan', fileJsonBody, (req, res) => {
+    try {
+        const { xlfContent, ...options } = req.body;
+        res.json(incremental.planXLF(xlfContent, options));
+    } catch (error) {
+        log.error('Planning error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'translation-plan'
+        });
+    }
+});
+
+// Chunks (segment ids) a run sends, sized with the server's token estimate
+app.post('/api/translation-chunks', fileJsonBody, (req, res) => {
+    try {
+        res.json({ success: true, ...translateFile.chunkSegments(req.body) });
+    } catch (error) {
+        log.error('Chunking error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'translation-chunks'
+        });
+    }
+});
+
+// Usage and cost: estimate before a run (same body as translate-file, plus targetLangs),
+// and the ledger per day and project (admins only; JSON, or CSV with ?format=csv)
+app.post('/api/usage/estimate', fileJsonBody, (req, res) => {
+    try {
+        const estimate = translateFile.estimateFile(req.body);
+        res.json({ success: true, ...estimate, budgetUsd: usageAccounting.resolveBudget(req.body.budget) || null });
+    } catch (error) {
+        log.error('Cost estimate error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'usage'
+        });
+    }
+});
+
+app.get('/api/usage', adminOnly('usage', 'The usage report'), async (req, res) => {
+    try {
+        const { format, ...options } = req.query;
+        const report = await usageAccounting.getUsageReport(options);
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8')
+                .attachment('usage-report.csv')
+                .send(usageAccounting.formatUsageCsv(report));
+        } else {
+            res.json(report);
+        }
+    } catch (error) {
+        log.error('Usage report error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'usage'
+        });
+    }
+});
+
+// Round-trip check: identity translation of the whole file, accepts JSON or a raw XLF body
+app.post('/api/roundtrip', xlfBody, async (req, res) => {
+    try {
+        const { xlfContent, ...options } = typeof req.body === 'string'
+            ? { ...req.query, xlfContent: req.body }
+            : { ...req.query, ...req.body };
+        const result = await roundTrip.runRoundTrip(xlfContent, options);
+        res.json(result);
+    } catch (error) {
+        log.error('Round-trip error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'roundtrip'
+        });
+    }
+});
+
+// Bilingual review files (xlsx, csv, po, json): export for reviewers and merge edits back by id
+app.post('/api/bilingual/export', xlfBody, (req, res) => {
+    try {
+        const { xlfContent, ...options } = typeof req.body === 'string'
+            ? { ...req.query, xlfContent: req.body }
+            : { ...req.query, ...req.body };
+        if (!xlfContent || typeof xlfContent !== 'string') {
+            throw new Error('Missing or invalid xlfContent');
+        }
+
+        const exported = bilingual.exportBilingual(xlfContent, options);
+        const baseName = String(options.fileName || 'translation').replace(/\.[^.]+$/, '');
+        res.type(exported.contentType)
+            .attachment(`${baseName}.${exported.extension}`)
+            .send(exported.content);
+    } catch (error) {
+        log.error('Bilingual export error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'bilingual'
+        });
+    }
+});
+
+app.post('/api/bilingual/import', fileJsonBody, (req, res) => {
+    try {
+        const { xlfContent, fileContent, ...options } = req.body;
+        if (!xlfContent || typeof xlfContent !== 'string') {
+            throw new Error('Missing or invalid xlfContent');
+        }
+        if (!fileContent) {
+            throw new Error('Missing fileContent');
+        }
+
+        res.json(bilingual.importBilingual(xlfContent, fileContent, options));
+    } catch (error) {
+        log.error('Bilingual import error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'bilingual'
+        });
+    }
+});
+
+app.post('/api/bilingual/convert', fileJsonBody, (req, res) => {
+    try {
+        const { fileContent, ...options } = req.body;
+        if (!fileContent) {
+            throw new Error('Missing fileContent');
+        }
+
+        res.json(bilingual.convertToXLF(fileContent, options));
+    } catch (error) {
+        log.error('Bilingual convert error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'bilingual'
+        });
+    }
+});
+
+// Translation memory: TMX import/export and statistics
+app.post('/api/tm/import', fileJsonBody, express.text({ type: ['application/xml', 'text/xml', 'application/x-tmx+xml'], limit: FILE_BODY_LIMIT }), async (req, res) => {
+    try {
+        const tmxContent = typeof req.body === 'string' ? req.body : req.body.tmxContent;
+        const sourceLang = typeof req.body === 'string' ? req.query.sourceLang : req.body.sourceLang;
+        const result = await translationMemory.importTMX(tmxContent, { sourceLang });
+        res.json(result);
+    } catch (error) {
+        log.error('TMX import error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'translation-memory'
+        });
+    }
+});
+
+app.get('/api/tm/export', adminOnly('translation-memory', 'The TMX export'), async (req, res) => {
+    try {
+        const tmx = await translationMemory.exportTMX(req.query);
+        res.type('application/x-tmx+xml; charset=utf-8')
+            .attachment('translation-memory.tmx')
+            .send(tmx);
+    } catch (error) {
+        log.error('TMX export error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'translation-memory'
+        });
+    }
+});
+
+app.get('/api/tm/stats', async (req, res) => {
+    try {
+        res.json(await translationMemory.getStats());
+    } catch (error) {
+        log.error('TM stats error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'translation-memory'
+        });
+    }
+});
+
+// Project glossary (CSV or TBX) per language pair
+app.post('/api/glossary/import', express.json({ limit: '10mb' }), express.text({ type: ['text/csv', 'text/plain', 'application/xml', 'text/xml', 'application/x-tbx+xml'], limit: '10mb' }), async (req, res) => {
+    try {
+        const rawBody = typeof req.body === 'string';
+        const options = rawBody ? req.query : req.body;
+        const content = rawBody ? req.body : req.body.content;
+        const result = await glossary.importGlossary(content, options);
+        res.json(result);
+    } catch (error) {
+        log.error('Glossary import error', { error });
+        res.status(400).json({ 
+            success: false, 
+            error: error.message,
+            service: 'glossary'
+        });
+    }
+});
+
+app.get('/api/glossary', async (req, res) => {
+    try {
+        const terms = await glossary.getGlossary(req.query.sourceLang, req.query.targetLang);
+        res.json({ success: true, terms });
+    } catch (error) {
+        log.error('Glossary read error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'glossary'
+        });
+    }
+});
+
+app.delete('/api/glossary', adminOnly('glossary', 'Deleting a glossary'), async (req, res) => {
+    try {
+        res.json(await glossary.deleteGlossary(req.query.sourceLang, req.query.targetLang));
+    } catch (error) {
+        log.error('Glossary delete error', { error });
+        res.status(500).json({ 
+            success: false, 
+            error: error.message,
+            service: 'glossary'
+        });
+    }
+});
+
 // Frontend routes - serve index.html for all non-API routes
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log('🚀 XLF Translator - Render Native Server');
-    console.log(`📍 Running on port ${PORT}`);
-    console.log(`🔗 Health check: /health`);
-    console.log(`📡 API endpoints:`);
-    console.log(`   POST /api/process-xlf`);
-    console.log(`   POST /api/generate-context`);
-    console.log('✅ Ready to accept requests');
+// Middleware errors as JSON: oversized or malformed bodies, refused CORS origins
+app.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    // A malformed body's parse error quotes the body, so it is only logged as content
+    log.warn('Request rejected', {
+        method: req.method,
+        path: req.path,
+        status,
+        code: error.code || error.type,
+        error: error.type === 'entity.parse.failed' ? logger.content(error.message) : error.message
+    });
+    res.status(status).json({ 
+        success: false, 
+        error: error.type === 'entity.too.large'
+            ? `Request body too large for ${req.path} (limit ${error.limit} bytes)`
+            : error.message,
+        code: error.code || error.type,
+        service: 'server'
+    });
 });
 
+// Start server (when run directly; tests mount the app on a port of their own)
+if (require.main === module) {
+    app.listen(PORT, '0.0.0.0', () => {
+        log.info('XLF Translator - Render Native Server started', { port: PORT, health: '/health', metrics: '/metrics' });
+        if (auth.isAuthEnabled()) {
+            log.info('API tokens required', { users: auth.loadUsers().users.length, usersFile: auth.USERS_FILE });
+        } else {
+            log.warn('No users configured: /api routes are open to anyone (see bin/xlf-users.js)');
+        }
+
+        // Pick up jobs that were queued or running when the server stopped
+        jobs.resumeJobs().catch(error => log.error('Job resume error', { error }));
+    });
+}
+
 module.exports = app;
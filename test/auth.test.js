@@ -0,0 +1,46 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const auth = require('../api/auth');
+const { startServer } = require('./helpers');
+
+// Users file of this test process: with users in it, every /api request needs a token
+const TOKENS = { admin: auth.createToken(), user: auth.createToken() };
+fs.writeFileSync(auth.USERS_FILE, JSON.stringify({
+    users: [
+        { id: 'ops', role: 'admin', tokenHash: auth.hashToken(TOKENS.admin) },
+        { id: 'ana', role: 'user', tokenHash: auth.hashToken(TOKENS.user) }
+    ]
+}));
+
+test('keeps the TM export and shared deletions for admins', async () => {
+    const server = await startServer();
+    const request = (role, method, path) => fetch(`${server.url}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${TOKENS[role]}` }
+    });
+    const adminRoutes = [
+        ['GET', '/api/tm/export'],
+        ['DELETE', '/api/glossary?sourceLang=en&targetLang=fr'],
+        ['DELETE', '/api/context-profiles/default:course'],
+        ['GET', '/api/usage']
+    ];
+
+    try {
+        for (const [method, path] of adminRoutes) {
+            const response = await request('user', method, path);
+            assert.equal(response.status, 403, `${method} ${path}`);
+            assert.equal((await response.json()).code, 'forbidden');
+
+            assert.equal((await request('admin', method, path)).status, 200, `${method} ${path}`);
+        }
+
+        assert.equal((await request('user', 'GET', '/api/glossary?sourceLang=en&targetLang=fr')).status, 200);
+        assert.equal((await fetch(`${server.url}/api/tm/export`)).status, 401);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,110 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const bilingual = require('../api/bilingual');
+const xlfParser = require('../api/xlf-parser');
+const zip = require('../api/zip');
+const { xliff12 } = require('./helpers');
+
+const XLF = xliff12([
+    { id: 'link', source: 'Click <g id="1">here</g> &amp; go', target: 'Cliquez <g id="1">ici</g> &amp; allez' },
+    { id: 'formula', source: '=SUM(A1)', target: '=SOMME(A1)' },
+    { id: 'new', source: 'New "quoted", text' },
+    { id: 'no', source: 'SKU-1', attributes: ' translate="no"' }
+], { targetLang: 'fr' });
+
+const targetsOf = xlfContent => Object.fromEntries(xlfParser.parseXLF(xlfContent).units.map(unit => [unit.id, unit.target]));
+
+// Exports the XLF, lets the reviewer change the exported text, and imports it back
+function roundTrip(format, edit = content => content) {
+    const exported = bilingual.exportBilingual(XLF, { format });
+    return bilingual.importBilingual(XLF, edit(exported.content), { format });
+}
+
+for (const format of ['csv', 'xlsx', 'po', 'json']) {
+    test(`an unedited ${format} export imports back without changes`, () => {
+        const { xlfContent, report } = roundTrip(format);
+
+        assert.deepEqual(report.changed, []);
+        assert.deepEqual(report.skipped, []);
+        assert.deepEqual(report.unknown, []);
+        assert.equal(xlfContent, XLF);
+    });
+}
+
+test('writes formula-like CSV cells with a leading quote and removes it on import', () => {
+    const csv = bilingual.exportBilingual(XLF, { format: 'csv' }).content;
+
+    assert.match(csv, /\r\nformula,'=SUM\(A1\),'=SOMME\(A1\),,translated\r\n/);
+    assert.match(csv, /\r\nnew,"New ""quoted"", text",,,untranslated\r\n/);
+
+    const { xlfContent } = bilingual.importBilingual(XLF, csv.replace("'=SOMME(A1)", "'=SOMME(B1)"), { format: 'csv' });
+    assert.equal(targetsOf(xlfContent).formula, '=SOMME(B1)');
+});
+
+test('escapes a stray & in a CSV target and keeps its inline codes', () => {
+    const csv = 'id,target\nlink,"Cliquez <g id=""1"">là</g> & partez"\n';
+    const { xlfContent, report } = bilingual.importBilingual(XLF, csv, { format: 'csv' });
+
+    assert.deepEqual(report.changed.map(change => change.id), ['link']);
+    assert.equal(targetsOf(xlfContent).link, 'Cliquez <g id="1">là</g> &amp; partez');
+});
+
+test('rejects targets whose inline codes do not match the source', () => {
+    const csv = 'id,target\nlink,Cliquez ici\n';
+    const { xlfContent, report } = bilingual.importBilingual(XLF, csv, { format: 'csv' });
+
+    assert.deepEqual(report.changed, []);
+    assert.deepEqual(report.skipped.map(skip => [skip.id, skip.reason]), [['link', 'tag-mismatch']]);
+    assert.equal(targetsOf(xlfContent).link, 'Cliquez <g id="1">ici</g> &amp; allez');
+});
+
+test('imports PO edits as plain text and never writes translate="no" units or fuzzy entries', () => {
+    const { xlfContent, report } = roundTrip('po', po => po
+        .replace('msgstr "Cliquez <g id=\\"1\\">ici</g> & allez"', 'msgstr "Cliquez <g id=\\"1\\">ici</g> & partez < 2"')
+        .replace('msgid "New \\"quoted\\", text"\nmsgstr ""', '#, fuzzy\nmsgid "New \\"quoted\\", text"\nmsgstr "Nouveau"')
+        .replace('msgid "SKU-1"\nmsgstr ""', 'msgid "SKU-1"\nmsgstr "UGS-1"'));
+
+    assert.equal(targetsOf(xlfContent).link, 'Cliquez <g id="1">ici</g> &amp; partez &lt; 2');
+    assert.deepEqual(report.skipped.map(skip => [skip.id, skip.reason]), [['new', 'fuzzy'], ['no', 'translate-no']]);
+});
+
+test('marks units approved from the spreadsheet status column', () => {
+    const csv = 'id,target,status\nnew,Nouveau texte,approved\n';
+    const { xlfContent } = bilingual.importBilingual(XLF, csv, { format: 'csv' });
+
+    assert.match(xlfContent, /<trans-unit id="new" approved="yes" xt:src-hash="[a-f0-9]{12}">/);
+});
+
+test('converts JSON strings to an XLIFF file', () => {
+    const { xlfContent, units } = bilingual.convertToXLF('{ "menu": { "open": "Open & close" } }', { format: 'json', targetLang: 'de' });
+    const parsed = xlfParser.parseXLF(xlfContent);
+
+    assert.equal(units, 1);
+    assert.equal(parsed.targetLang, 'de');
+    assert.deepEqual(parsed.units.map(unit => [unit.id, unit.source]), [['menu.open', 'Open &amp; close']]);
+});
+
+test('zip entries come back as written', () => {
+    const archive = zip.createZip([{ name: 'a.txt', content: 'x'.repeat(1000) }, { name: 'dir/ü.xml', content: Buffer.from('<a/>') }]);
+    const entries = zip.readZip(archive);
+
+    assert.deepEqual(Object.keys(entries), ['a.txt', 'dir/ü.xml']);
+    assert.equal(entries['a.txt'].toString(), 'x'.repeat(1000));
+    assert.equal(entries['dir/ü.xml'].toString(), '<a/>');
+});
+
+test('refuses zip entries that unpack beyond the size limit, declared or not', () => {
+    const archive = zip.createZip([{ name: 'bomb.xml', content: 'x'.repeat(100000) }]);
+    assert.throws(() => zip.readZip(archive, { maxBytes: 50000 }), /Zip file too large: bomb\.xml/);
+
+    // Central directory claiming 10 bytes: inflating still stops at the limit
+    const lying = Buffer.from(archive);
+    const centralDirectory = lying.readUInt32LE(lying.length - 22 + 16);
+    lying.writeUInt32LE(10, centralDirectory + 24);
+    assert.throws(() => zip.readZip(lying, { maxBytes: 50000 }), /Zip file too large: bomb\.xml/);
+
+    assert.throws(() => zip.readZip(Buffer.from('not a zip')), /end of central directory not found/);
+});
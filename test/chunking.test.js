@@ -0,0 +1,60 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const chunking = require('../api/chunking');
+const translateFile = require('../api/translate-file');
+const { xliff12 } = require('./helpers');
+
+test('estimates ~4 characters per token and one token per CJK character', () => {
+    assert.equal(chunking.estimateTokens('12345678'), 2);
+    assert.equal(chunking.estimateTokens('abcde'), 2);
+    assert.equal(chunking.estimateTokens('翻訳'), 2);
+    assert.equal(chunking.estimateTokens(''), 0);
+});
+
+test('fills chunks up to the token budget and the segment limit', () => {
+    const texts = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40), 'd'.repeat(400)];
+
+    // 40 characters = 10 tokens + 6 overhead
+    assert.deepEqual(chunking.createTokenChunks(texts, { tokenBudget: 32 }).map(chunk => chunk.length), [2, 1, 1]);
+    assert.deepEqual(chunking.createTokenChunks(texts, { tokenBudget: 1000, maxSegments: 3 }).map(chunk => chunk.length), [3, 1]);
+});
+
+test('runs chunks concurrently and applies results in chunk order', async () => {
+    const applied = [];
+    const delays = [30, 5, 15, 0];
+
+    const next = await chunking.runChunksInOrder(delays, async (delay, index) => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return index;
+    }, { concurrency: 3, onResult: result => applied.push(result) });
+
+    assert.equal(next, 4);
+    assert.deepEqual(applied, [0, 1, 2, 3]);
+});
+
+test('stops handing out chunks and resumes from a start index', async () => {
+    const ran = [];
+    const next = await chunking.runChunksInOrder([0, 1, 2, 3], async (chunk, index) => ran.push(index), {
+        concurrency: 1,
+        startIndex: 1,
+        shouldStop: () => ran.length >= 2
+    });
+
+    assert.deepEqual(ran, [1, 2]);
+    assert.equal(next, 3);
+});
+
+test('returns the chunk ids of a file, or of the requested segments only', () => {
+    const xlfContent = xliff12([
+        { id: 'a', source: 'x'.repeat(40) },
+        { id: 'b', source: 'x'.repeat(40) },
+        { id: 'c', source: 'x'.repeat(40), target: 'done', attributes: ' approved="yes"' }
+    ]);
+
+    assert.deepEqual(translateFile.chunkSegments({ xlfContent, tokenBudget: 32 }).chunks, [['a', 'b'], ['c']]);
+    assert.deepEqual(translateFile.chunkSegments({ xlfContent, tokenBudget: 32, incremental: true }).chunks, [['a', 'b']]);
+    assert.deepEqual(translateFile.chunkSegments({ xlfContent, ids: ['c', 'a'], tokenBudget: 1000 }).chunks, [['a', 'c']]);
+});
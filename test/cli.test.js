@@ -0,0 +1,99 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { xliff12 } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'xlf-translate.js');
+
+function runCLI(args, env = {}) {
+    return spawnSync(process.execPath, [CLI, ...args, '--no-context'], {
+        encoding: 'utf8',
+        timeout: 30000,
+        env: { ...process.env, TRANSLATION_PROVIDER: 'mock', ...env }
+    });
+}
+
+function createContentDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlf-cli-'));
+    fs.writeFileSync(path.join(dir, 'a.xlf'), xliff12([{ id: '1', source: 'Hello' }]));
+    fs.writeFileSync(path.join(dir, 'b.xlf'), xliff12([{ id: '1', source: 'Bye' }]));
+    return dir;
+}
+
+test('re-running a glob does not translate earlier outputs again', t => {
+    const dir = createContentDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    assert.equal(runCLI([`${dir}/*.xlf`, '-t', 'fr']).status, 0);
+    const second = runCLI([`${dir}/*.xlf`, '-t', 'fr']);
+
+    assert.equal(second.status, 0);
+    assert.match(second.stdout, /Translated 2\/2 files/);
+    assert.match(second.stdout, new RegExp(`Skipped 2 earlier outputs: ${path.join(dir, 'a_fr.xlf')}, ${path.join(dir, 'b_fr.xlf')}`));
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['a.xlf', 'a_fr.xlf', 'b.xlf', 'b_fr.xlf']);
+});
+
+test('translates files that only look like outputs of another language or name', t => {
+    const dir = createContentDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const name of ['a_new.xlf', 'a_old.xlf', 'a_en.xlf', 'a_de.xlf']) {
+        fs.writeFileSync(path.join(dir, name), xliff12([{ id: '1', source: 'Hi' }]));
+    }
+
+    const result = runCLI([`${dir}/*.xlf`, '-t', 'fr', '--json']);
+    const summary = JSON.parse(result.stdout.trim().split('\n').pop());
+
+    assert.equal(result.status, 0);
+    assert.equal(summary.files, 6);
+    assert.deepEqual(summary.skipped, []);
+    assert.ok(fs.existsSync(path.join(dir, 'a_new_fr.xlf')));
+    assert.ok(fs.existsSync(path.join(dir, 'a_en_fr.xlf')));
+});
+
+test('writes API logs to stderr, and only with --verbose', t => {
+    const dir = createContentDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const quiet = runCLI([path.join(dir, 'a.xlf'), '-t', 'fr', '--json'], { LOG_LEVEL: '' });
+    assert.equal(quiet.stderr, '');
+
+    const verbose = runCLI([path.join(dir, 'a.xlf'), '-t', 'de', '--json', '--verbose'], { LOG_LEVEL: '' });
+    assert.equal(verbose.status, 0);
+    assert.match(verbose.stderr, /^\[PLAN\] Translation planned/m);
+    verbose.stdout.trim().split('\n').forEach(line => assert.doesNotThrow(() => JSON.parse(line), line));
+});
+
+test('an output passed by name is still translated', t => {
+    const dir = createContentDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'a_fr.xlf'), xliff12([{ id: '1', source: 'Hello' }]));
+
+    const result = runCLI([path.join(dir, 'a_fr.xlf'), `${dir}/a.xlf`, '-t', 'de']);
+
+    assert.equal(result.status, 0);
+    assert.ok(fs.existsSync(path.join(dir, 'a_fr_de.xlf')));
+});
+
+test('an unknown provider is a usage error before any file is read', () => {
+    const result = runCLI(['missing/*.xlf', '-t', 'fr', '--provider', 'nope']);
+
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /unknown provider "nope"/);
+});
+
+test('writes no output when every segment failed', t => {
+    const dir = createContentDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const result = runCLI([path.join(dir, 'a.xlf'), '-t', 'fr', '--provider', 'anthropic', '--no-tm'], { CLAUDE_API_KEY: '' });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /All 1 segments failed \(Claude API key not configured\), no output written/);
+    assert.equal(fs.existsSync(path.join(dir, 'a_fr.xlf')), false);
+});
@@ -0,0 +1,78 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const contextProfiles = require('../api/context-profiles');
+const { xliff12, startServer } = require('./helpers');
+
+test('stores each change as a new version and keeps the earlier ones', async () => {
+    const created = await contextProfiles.saveProfile({ name: 'Onboarding', project: 'Acme Corp', contexts: { 'fr-FR': 'Tutoiement', de: 'Sie-Form' } });
+    assert.equal(created.created, true);
+    assert.equal(created.profile.id, 'acme-corp:onboarding');
+    assert.deepEqual(created.profile.contexts, { fr: 'Tutoiement', de: 'Sie-Form' });
+
+    // Contexts merge per language; an empty text removes one
+    const updated = await contextProfiles.saveProfile({ name: 'Onboarding', project: 'Acme Corp', contexts: { fr: 'Vouvoiement', de: '' } });
+    assert.equal(updated.profile.version, 2);
+    assert.deepEqual(updated.profile.contexts, { fr: 'Vouvoiement' });
+    assert.deepEqual(updated.profile.versions, [2, 1]);
+
+    const unchanged = await contextProfiles.saveProfile({ name: 'Onboarding', project: 'Acme Corp', contexts: { fr: 'Vouvoiement' } });
+    assert.equal(unchanged.changed, false);
+    assert.equal(unchanged.profile.version, 2);
+
+    const first = await contextProfiles.getProfile('acme-corp:onboarding', 1);
+    assert.equal(first.version, 1);
+    assert.deepEqual(first.contexts, { fr: 'Tutoiement', de: 'Sie-Form' });
+    await assert.rejects(contextProfiles.getProfile('acme-corp:onboarding', 7), /Version 7 of context profile "acme-corp:onboarding" is not available/);
+});
+
+test('rejects a save based on an outdated version with 409', async () => {
+    await contextProfiles.saveProfile({ name: 'Conflict', contexts: { fr: 'v1' } });
+    await contextProfiles.saveProfile({ name: 'Conflict', contexts: { fr: 'v2' }, baseVersion: 1 });
+
+    await assert.rejects(
+        contextProfiles.saveProfile({ name: 'Conflict', contexts: { fr: 'stale edit' }, baseVersion: 1 }),
+        error => error.status === 409 && /changed since version 1 \(now version 2\)/.test(error.message)
+    );
+
+    const server = await startServer();
+    try {
+        const response = await fetch(`${server.url}/api/context-profiles`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'Conflict', contexts: { fr: 'stale edit' }, baseVersion: 1 })
+        });
+        assert.equal(response.status, 409);
+        assert.equal((await response.json()).service, 'context-profiles');
+    } finally {
+        await server.close();
+    }
+    assert.deepEqual((await contextProfiles.getProfile('default:conflict')).contexts, { fr: 'v2' });
+});
+
+test('applies the profile context for the target language and records the version used', async () => {
+    await contextProfiles.saveProfile({ name: 'Course', project: 'Acme', contexts: { fr: 'Contexte v1' } });
+    await contextProfiles.saveProfile({ name: 'Course', project: 'Acme', contexts: { fr: 'Contexte v2' } });
+    const xlfContent = xliff12([{ id: 'a', source: 'Hello' }], { targetLang: 'fr-CA' });
+
+    const applied = await contextProfiles.applyContextProfile({ xlfContent, contextProfile: 'acme:course' });
+    assert.equal(applied.translationContext, 'Contexte v2');
+    assert.equal(applied.project, 'Acme');
+    assert.deepEqual(applied.contextProfile, { id: 'acme:course', name: 'Course', version: 2, edited: false });
+
+    const pinned = await contextProfiles.applyContextProfile({ xlfContent, contextProfile: { id: 'acme:course', version: 1 }, project: 'Other' });
+    assert.equal(pinned.translationContext, 'Contexte v1');
+    assert.equal(pinned.project, 'Other');
+    assert.equal(pinned.contextProfile.version, 1);
+
+    const own = await contextProfiles.applyContextProfile({ xlfContent, contextProfile: 'acme:course', translationContext: 'Edited by hand' });
+    assert.equal(own.translationContext, 'Edited by hand');
+    assert.equal(own.contextProfile.edited, true);
+
+    const plain = { xlfContent, targetLang: 'fr' };
+    assert.equal(await contextProfiles.applyContextProfile(plain), plain);
+    await assert.rejects(contextProfiles.applyContextProfile({ xlfContent, contextProfile: 'acme:course' }, 'de'), /Context profile "acme:course" has no context for de/);
+    await assert.rejects(contextProfiles.applyContextProfile({ xlfContent, contextProfile: 'acme:missing' }), /Context profile "acme:missing" not found/);
+});
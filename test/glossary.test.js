@@ -0,0 +1,72 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const glossary = require('../api/glossary');
+
+test('imports a CSV glossary with header, quoted cells and do-not-translate rows', async () => {
+    const result = await glossary.importGlossary([
+        'source;target;dnt;note',
+        '"Dashboard";"Panel de control";;main screen',
+        'Acme;;;brand',
+        '"Sign ""in""";Iniciar sesión;no;',
+        'Cloud;Nube;yes;'
+    ].join('\r\n'), { sourceLang: 'en', targetLang: 'es' });
+
+    assert.equal(result.termsImported, 4);
+    assert.equal(result.doNotTranslate, 2);
+    assert.deepEqual(await glossary.getGlossary('en', 'es'), [
+        { source: 'Dashboard', target: 'Panel de control', doNotTranslate: false, note: 'main screen', caseSensitive: false },
+        { source: 'Acme', target: 'Acme', doNotTranslate: true, note: 'brand', caseSensitive: false },
+        { source: 'Sign "in"', target: 'Iniciar sesión', doNotTranslate: false, note: '', caseSensitive: false },
+        { source: 'Cloud', target: 'Cloud', doNotTranslate: true, note: '', caseSensitive: false }
+    ]);
+});
+
+test('imports TBX-Basic entries for the requested pair', async () => {
+    await glossary.importGlossary(`<?xml version="1.0"?>
+<martif type="TBX-Basic" xml:lang="en">
+  <text><body>
+    <termEntry id="1">
+      <descrip type="definition">Main screen &amp; overview</descrip>
+      <langSet xml:lang="en-US"><tig><term>Dashboard</term></tig></langSet>
+      <langSet xml:lang="fr-FR"><tig><term>Tableau de bord</term></tig></langSet>
+    </termEntry>
+    <termEntry id="2">
+      <langSet xml:lang="en"><tig><term>Acme</term></tig></langSet>
+    </termEntry>
+    <termEntry id="3">
+      <langSet xml:lang="de"><tig><term>Nur Deutsch</term></tig></langSet>
+    </termEntry>
+  </body></text>
+</martif>`, { sourceLang: 'en', targetLang: 'fr' });
+
+    assert.deepEqual(await glossary.getGlossary('en', 'fr'), [
+        { source: 'Dashboard', target: 'Tableau de bord', doNotTranslate: false, note: 'Main screen & overview', caseSensitive: false },
+        { source: 'Acme', target: 'Acme', doNotTranslate: true, note: '', caseSensitive: false }
+    ]);
+});
+
+test('merges term by term or replaces the whole glossary', async () => {
+    await glossary.importGlossary('source,target\nSave,Guardar\nOpen,Abrir', { sourceLang: 'en', targetLang: 'pt' });
+    await glossary.importGlossary('source,target\nsave,Gravar', { sourceLang: 'en', targetLang: 'pt', mode: 'merge' });
+    assert.deepEqual((await glossary.getGlossary('en', 'pt')).map(term => term.target), ['Gravar', 'Abrir']);
+
+    await glossary.importGlossary('source,target\nClose,Fechar', { sourceLang: 'en', targetLang: 'pt' });
+    assert.deepEqual((await glossary.getGlossary('en', 'pt')).map(term => term.target), ['Fechar']);
+});
+
+test('reports source terms whose required target form is missing, on word boundaries', () => {
+    const terms = [
+        { source: 'Dashboard', target: 'Panel de control', doNotTranslate: false },
+        { source: 'Acme', target: 'Acme', doNotTranslate: true }
+    ];
+
+    assert.deepEqual(glossary.checkTerminology('Open the <g id="1">Dashboard</g> of Acme', 'Abra el panel de control de Acme', terms), []);
+    assert.deepEqual(glossary.checkTerminology('Open the Dashboard of Acme', 'Abra el tablero de ACME', terms), [
+        { source: 'Dashboard', expected: 'Panel de control', doNotTranslate: false },
+        { source: 'Acme', expected: 'Acme', doNotTranslate: true }
+    ]);
+    assert.deepEqual(glossary.findTermsInTexts(['Dashboards only'], terms), []);
+});
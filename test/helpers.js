@@ -0,0 +1,100 @@
+// ========================================
+// TEST HELPERS - Render Native
+// Shared setup for the node:test suites: quiet logs and a throwaway data directory
+// ========================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Required before any api/ module: the logger and storage read these once on load
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+// Provider retries back off for milliseconds instead of seconds
+process.env.PROVIDER_RETRY_BASE_MS = process.env.PROVIDER_RETRY_BASE_MS || '1';
+
+if (!process.env.XLF_DATA_DIR) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlf-test-'));
+    process.env.XLF_DATA_DIR = dataDir;
+    process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+}
+
+/**
+ * XLIFF 1.2 document with one <trans-unit> per { id, source, target, attributes, extra }
+ * (extra: markup after the source, e.g. notes)
+ */
+function xliff12(units, { sourceLang = 'en', targetLang } = {}) {
+    const target = targetLang ? ` target-language="${targetLang}"` : '';
+    const body = units.map(unit => [
+        `      <trans-unit id="${unit.id}"${unit.attributes || ''}>`,
+        `        <source>${unit.source}</source>`,
+        unit.target !== undefined ? `        <target>${unit.target}</target>` : null,
+        unit.extra ? `        ${unit.extra}` : null,
+        '      </trans-unit>'
+    ].filter(line => line !== null).join('\n')).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="${sourceLang}"${target} datatype="plaintext" original="test">
+    <body>
+${body}
+    </body>
+  </file>
+</xliff>
+`;
+}
+
+/**
+ * XLIFF 2.0 document with one <unit> per { id, segments: [{ id, source, target, state }] }
+ */
+function xliff20(units, { sourceLang = 'en', targetLang } = {}) {
+    const target = targetLang ? ` trgLang="${targetLang}"` : '';
+    const body = units.map(unit => [
+        `    <unit id="${unit.id}">`,
+        ...unit.segments.map(segment => [
+            `      <segment${segment.id ? ` id="${segment.id}"` : ''}${segment.state ? ` state="${segment.state}"` : ''}>`,
+            `        <source>${segment.source}</source>`,
+            segment.target !== undefined ? `        <target>${segment.target}</target>` : null,
+            '      </segment>'
+        ].filter(line => line !== null).join('\n')),
+        '    </unit>'
+    ].join('\n')).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${sourceLang}"${target}>
+  <file id="f1">
+${body}
+  </file>
+</xliff>
+`;
+}
+
+/**
+ * Error shaped like a failed provider HTTP response (see api/providers/http-error.js)
+ */
+function httpError(status) {
+    const error = new Error(`Mock error ${status}`);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Starts the Express app on a free port: { url, close }
+ */
+async function startServer() {
+    const app = require('../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    xliff12,
+    xliff20,
+    httpError,
+    startServer
+};
@@ -0,0 +1,86 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const icu = require('../api/icu');
+
+const FILES = 'You have {n, plural, one {# file} other {# files}}.';
+
+test('parses plurals, # and simple arguments into nodes', () => {
+    const [before, plural, middle, argument] = icu.parseMessage('You have {n, plural, =0 {no files} one {# file} other {# files}} in {folder}.');
+
+    assert.deepEqual(before, { type: 'literal', value: 'You have ', inPlural: false });
+    assert.equal(plural.type, 'plural');
+    assert.deepEqual(plural.options.map(option => option.key), ['=0', 'one', 'other']);
+    assert.deepEqual(plural.options[1].message[0], { type: 'pound', plural: 'n' });
+    assert.equal(middle.value, ' in ');
+    assert.deepEqual(argument, { type: 'argument', name: 'folder', raw: '{folder}' });
+});
+
+test('keeps quoted braces, tags and entities as literal text', () => {
+    const nodes = icu.parseMessage("It''s '{literal}' <g id=\"1\">{n}</g> &amp;");
+
+    assert.deepEqual(nodes.map(node => node.type), ['literal', 'argument', 'literal']);
+    assert.equal(nodes[0].value, "It''s '{literal}' <g id=\"1\">");
+});
+
+test('rejects plurals without other and unbalanced braces', () => {
+    assert.throws(() => icu.parseMessage('{n, plural, one {x}}'), /plural "n" has no "other" case/);
+    assert.throws(() => icu.parseMessage('{n, plural, one {x} other {y}'), /unclosed plural "n"/);
+    assert.throws(() => icu.parseMessage('a } b'), /unmatched "}"/);
+});
+
+test('only plural, selectordinal and select messages count as ICU', () => {
+    assert.equal(icu.isICUMessage(FILES), true);
+    assert.equal(icu.isICUMessage('Hello {name}'), false);
+    assert.equal(icu.isICUMessage('{n, plural, one {x}}'), false);
+});
+
+test('reads CLDR plural categories per language', () => {
+    assert.deepEqual(icu.getPluralCategories('en'), ['one', 'other']);
+    assert.deepEqual(icu.getPluralCategories('pl'), ['one', 'few', 'many', 'other']);
+    assert.deepEqual(icu.getPluralCategories('ar'), ['zero', 'one', 'two', 'few', 'many', 'other']);
+    assert.deepEqual(icu.getPluralCategories('ja'), ['other']);
+    assert.deepEqual(icu.getPluralCategories('en', 'ordinal'), ['one', 'two', 'few', 'other']);
+});
+
+test('splits a message into full sentences per target category and joins them back', () => {
+    const split = icu.splitMessage(FILES, 'pl');
+
+    assert.deepEqual(split.leaves.map(leaf => leaf.text), ['You have # file.', 'You have # files.', 'You have # files.', 'You have # files.']);
+    assert.match(split.leaves[1].description, /^plural n = few \(e\.g\. 2, 3, 4/);
+    assert.equal(
+        icu.joinMessage(split, ['Masz # plik.', 'Masz # pliki.', 'Masz # plików.', 'Masz # pliku.']),
+        '{n, plural, one {Masz # plik.} few {Masz # pliki.} many {Masz # plików.} other {Masz # pliku.}}'
+    );
+    assert.equal(icu.splitMessage('Hello {name}', 'pl'), null);
+});
+
+test('hoists selects above plurals and names the outer # when plurals are nested', () => {
+    const select = icu.splitMessage('{g, select, female {She} other {They}} sent {n, plural, one {# file} other {# files}}', 'en');
+    assert.equal(
+        icu.joinMessage(select, select.leaves.map(leaf => leaf.text)),
+        '{g, select, female {{n, plural, one {She sent # file} other {She sent # files}}} other {{n, plural, one {They sent # file} other {They sent # files}}}}'
+    );
+
+    const plurals = icu.splitMessage('{a, plural, one {# x} other {# xs}} and {b, plural, one {# y} other {# ys}}', 'en');
+    assert.equal(plurals.leaves[0].text, '{a, number} x and # y');
+});
+
+test('validates a translation against the source and the target language', () => {
+    const polish = '{n, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}';
+
+    assert.deepEqual(icu.validateTranslation(FILES, polish, 'pl'), { valid: true, errors: [] });
+    assert.deepEqual(icu.validateTranslation(FILES, '{n, plural, one {# plik} few {# pliki} other {# pliku}}', 'pl').errors,
+        ['plural "n" is missing the pl categories: many']);
+    assert.deepEqual(icu.validateTranslation(FILES, polish.replace(/\{n,/, '{count,'), 'pl').errors,
+        ['missing ICU arguments: n', 'unknown ICU arguments: count']);
+    assert.deepEqual(icu.validateTranslation('{g, select, male {He} other {They}}', '{g, select, male {Il} female {Elle} other {Ils}}', 'fr').errors,
+        ['select "g" has cases that are not in the source: female']);
+    assert.equal(icu.validateTranslation(FILES, '{n, plural, one {# fichier} other {# fichiers', 'fr').valid, false);
+});
+
+test('accepts any target for sources that are not ICU messages', () => {
+    assert.equal(icu.validateTranslation('Hello {name}', '{oops', 'fr').valid, true);
+});
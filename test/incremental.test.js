@@ -0,0 +1,133 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const incremental = require('../api/incremental');
+const translateFile = require('../api/translate-file');
+const xlfParser = require('../api/xlf-parser');
+const { xliff12, xliff20 } = require('./helpers');
+
+const XLF12 = xliff12([
+    { id: 'new', source: 'New' },
+    { id: 'empty', source: 'Empty', target: '' },
+    { id: 'done', source: 'Done', target: 'Fait' },
+    { id: 'approved', source: 'Approved', target: 'Approuvé', attributes: ' approved="yes"' },
+    { id: 'no', source: 'SKU-1', attributes: ' translate="no"' },
+    { id: 'locked', source: 'Locked', target: 'Verrouillé', attributes: ' sdl:locked="true"' },
+    { id: 'flagged', source: 'Flagged', target: 'Signalé' },
+    { id: 'blank', source: '   ' }
+], { targetLang: 'fr' }).replace('<target>Signalé', '<target state="needs-review-translation">Signalé');
+
+const actions = plan => Object.fromEntries(Object.entries(plan.units).map(([id, unit]) => [id, `${unit.action}:${unit.reason}`]));
+
+test('full runs retranslate existing targets and skip only translate="no" and locked segments', () => {
+    const plan = incremental.planXLF(XLF12);
+
+    assert.deepEqual(actions(plan), {
+        new: 'translate:new',
+        empty: 'translate:new',
+        done: 'translate:retranslate',
+        approved: 'translate:retranslate',
+        no: 'skip:translate-no',
+        locked: 'skip:locked',
+        flagged: 'translate:needs-translation'
+    });
+    assert.equal(plan.summary.totalSegments, 7);
+    assert.equal(plan.summary.skipped, 2);
+});
+
+test('incremental runs also keep approved and translated targets', () => {
+    const plan = incremental.planXLF(XLF12, { incremental: 'true' });
+
+    assert.equal(plan.summary.incremental, true);
+    assert.deepEqual(actions(plan), {
+        new: 'translate:new',
+        empty: 'translate:new',
+        done: 'skip:translated',
+        approved: 'skip:approved',
+        no: 'skip:translate-no',
+        locked: 'skip:locked',
+        flagged: 'translate:needs-translation'
+    });
+    assert.deepEqual(plan.summary.byReason, { new: 2, translated: 1, approved: 1, 'translate-no': 1, locked: 1, 'needs-translation': 1 });
+});
+
+test('reads 2.0 segment states: initial asks for a translation, final and reviewed are approved', () => {
+    const plan = incremental.planXLF(xliff20([
+        { id: 'u1', segments: [{ source: 'A', target: 'a', state: 'initial' }] },
+        { id: 'u2', segments: [{ source: 'B', target: 'b', state: 'translated' }] },
+        { id: 'u3', segments: [{ source: 'C', target: 'c', state: 'reviewed' }] },
+        { id: 'u4', segments: [{ source: 'D', target: 'd', state: 'final' }] }
+    ]), { incremental: true });
+
+    assert.deepEqual(actions(plan), {
+        u1: 'translate:needs-translation',
+        u2: 'skip:translated',
+        u3: 'skip:approved',
+        u4: 'skip:approved'
+    });
+});
+
+test('rejects missing XLF content', () => {
+    assert.throws(() => incremental.planXLF(''), /Missing or invalid xlfContent/);
+});
+
+test('an incremental file run leaves skipped targets untouched', async () => {
+    const result = await translateFile.translateFile({
+        xlfContent: XLF12,
+        incremental: true,
+        useGlossary: false,
+        localeTypography: false,
+        providerOptions: { provider: 'mock' }
+    });
+
+    assert.equal(result.stats.translatedSegments, 3);
+    assert.equal(result.stats.skippedSegments, 4);
+    assert.match(result.xlfContent, /<target>Fait<\/target>/);
+    assert.match(result.xlfContent, /<target>Approuvé<\/target>/);
+    assert.match(result.xlfContent, /<target>Verrouillé<\/target>/);
+    assert.match(result.xlfContent, /<target state="translated" xml:lang="fr">\[fr\] Flagged<\/target>/);
+});
+
+test('retranslates targets whose source changed after they were written', async () => {
+    const written = xlfParser.assembleXLF(xliff12([
+        { id: 'same', source: 'Same' },
+        { id: 'edited', source: 'Old text' },
+        { id: 'signed', source: 'Old title' }
+    ], { targetLang: 'fr' }), { same: 'Pareil', edited: 'Ancien texte', signed: 'Ancien titre' }, { approvedIds: ['signed'] }).xlfContent;
+    assert.match(written, /<xliff [^>]*xmlns:xt="urn:xlf-translator:source-hash"/);
+
+    // The source is updated, the target is not
+    const updated = written.replace('Old text', 'New text').replace('Old title', 'New title');
+    assert.deepEqual(actions(incremental.planXLF(updated, { incremental: true })), {
+        same: 'skip:translated',
+        edited: 'translate:changed',
+        signed: 'translate:changed'
+    });
+
+    const result = await translateFile.translateFile({
+        xlfContent: updated,
+        incremental: true,
+        useGlossary: false,
+        localeTypography: false,
+        providerOptions: { provider: 'mock' }
+    });
+    assert.match(result.xlfContent, /\[fr\] New text/);
+    assert.match(result.xlfContent, /<target state="translated">Pareil<\/target>/);
+    assert.equal(incremental.planXLF(result.xlfContent, { incremental: true }).summary.toTranslate, 0);
+});
+
+test('compares 2.0 source hashes per segment of a unit', () => {
+    const written = xlfParser.assembleXLF(xliff20([
+        { id: 'u1', segments: [{ id: 's1', source: 'One' }, { id: 's2', source: 'Two' }, { id: 's3', source: 'Three' }] }
+    ], { targetLang: 'fr' }), { 'u1#s1': 'Un', 'u1#s2': 'Deux' }).xlfContent;
+    assert.match(written, /<unit id="u1" xt:src-hash="[a-f0-9]{12} [a-f0-9]{12} -">/);
+
+    const plan = incremental.planXLF(written.replace('Two', 'Second').replace('Three', 'Third'), { incremental: true });
+    assert.deepEqual(actions(plan), {
+        'u1#s1': 'skip:translated',
+        'u1#s2': 'translate:changed',
+        'u1#s3': 'translate:new'
+    });
+});
@@ -0,0 +1,51 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const inlineTags = require('../api/inline-tags');
+
+test('replaces paired, standalone and native-code elements with numbered tokens', () => {
+    const source = 'Click <g id="1">here</g><x id="2"/> or <ph id="3">&lt;br/&gt;</ph>';
+    const { text, codes } = inlineTags.protectInlineTags(source);
+
+    assert.equal(text, 'Click ⟦1⟧here⟦/1⟧⟦2/⟧ or ⟦3/⟧');
+    assert.deepEqual(codes.map(code => [code.token, code.xml]), [
+        ['⟦1⟧', '<g id="1">'],
+        ['⟦/1⟧', '</g>'],
+        ['⟦2/⟧', '<x id="2"/>'],
+        ['⟦3/⟧', '<ph id="3">&lt;br/&gt;</ph>']
+    ]);
+});
+
+test('restores the original markup, also after the tokens moved', () => {
+    const { codes } = inlineTags.protectInlineTags('Click <g id="1">here</g> now<x id="2"/>');
+
+    assert.equal(inlineTags.restoreInlineTags('⟦2/⟧Maintenant, cliquez ⟦1⟧ici⟦/1⟧', codes),
+        '<x id="2"/>Maintenant, cliquez <g id="1">ici</g>');
+});
+
+test('accepts a translation with every code once and properly nested', () => {
+    const { codes } = inlineTags.protectInlineTags('<g id="1">a <g id="2">b</g></g>');
+
+    assert.equal(inlineTags.validateInlineTags('⟦1⟧x ⟦2⟧y⟦/2⟧⟦/1⟧', codes).valid, true);
+});
+
+test('reports missing, unknown and duplicated codes', () => {
+    const { codes } = inlineTags.protectInlineTags('Click <g id="1">here</g><x id="2"/>');
+    const result = inlineTags.validateInlineTags('Cliquez ⟦1⟧ici⟦/1⟧ ⟦1⟧ ⟦7/⟧', codes);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.missing, ['⟦2/⟧']);
+    assert.deepEqual(result.extra, ['⟦7/⟧']);
+    assert.deepEqual(result.duplicated, ['⟦1⟧']);
+});
+
+test('reports mis-nested pairs but lets isolated bpt/ept pairs overlap', () => {
+    const paired = inlineTags.protectInlineTags('<g id="1">a<g id="2">b</g></g>').codes;
+    assert.match(inlineTags.validateInlineTags('⟦1⟧a⟦2⟧b⟦/1⟧⟦/2⟧', paired).errors[0], /mis-nested/);
+
+    const isolated = inlineTags.protectInlineTags('<bpt id="1">&lt;b&gt;</bpt>bold<g id="2">x<ept id="1">&lt;/b&gt;</ept></g>').codes;
+    assert.equal(inlineTags.validateInlineTags('⟦1/⟧gras⟦2⟧x⟦3/⟧⟦/2⟧', isolated).valid, true);
+    assert.match(inlineTags.validateInlineTags('⟦3/⟧gras⟦2⟧x⟦1/⟧⟦/2⟧', isolated).errors[0], /closes before it opens/);
+});
@@ -0,0 +1,87 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const path = require('path');
+
+const jobs = require('../api/jobs');
+const processXlf = require('../api/process-xlf');
+const storage = require('../api/storage');
+const { xliff12 } = require('./helpers');
+
+const waitForJob = id => new Promise((resolve, reject) => {
+    const check = () => {
+        const job = jobs.getJob(id);
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) return resolve(job);
+        setTimeout(check, 10);
+    };
+    setTimeout(() => reject(new Error('job did not finish')), 5000).unref();
+    check();
+});
+
+const translateChunks = async requestData => ({
+    translations: Object.fromEntries(requestData.chunkTexts.map((text, i) => [i, `[${requestData.targetLang}] ${text}`])),
+    segments: {},
+    stats: {}
+});
+
+test('runs a job with the TM, glossary and typography settings of the request', async t => {
+    const requests = [];
+    t.mock.method(processXlf, 'processTranslation', async requestData => {
+        requests.push(requestData);
+        return translateChunks(requestData);
+    });
+
+    const job = await jobs.createJob({
+        xlfContent: xliff12([{ id: 'a', source: 'Hello' }, { id: 'b', source: 'World' }]),
+        targetLang: 'de',
+        useTranslationMemory: false,
+        useGlossary: false,
+        localeTypography: false
+    });
+    const finished = await waitForJob(job.id);
+
+    assert.equal(finished.status, 'completed');
+    assert.ok(requests.length > 0);
+    requests.forEach(requestData => {
+        assert.equal(requestData.useTranslationMemory, false);
+        assert.equal(requestData.useGlossary, false);
+        assert.equal(requestData.localeTypography, false);
+    });
+
+    const { xlfContent } = await jobs.getJobResult(job.id);
+    assert.match(xlfContent, /<target state="translated" xml:lang="de">\[de\] Hello<\/target>/);
+});
+
+test('saves chunk progress at most every JOB_SAVE_INTERVAL_MS, status changes always', async t => {
+    t.mock.method(processXlf, 'processTranslation', translateChunks);
+    const writeJSON = t.mock.method(storage, 'writeJSON');
+
+    const units = Array.from({ length: 6 }, (v, i) => ({ id: `u${i}`, source: `Text ${i}` }));
+    const job = await jobs.createJob({ xlfContent: xliff12(units), targetLang: 'de', chunkSize: 1, useGlossary: false });
+    const finished = await waitForJob(job.id);
+
+    assert.equal(finished.progress.completedChunks, 6);
+    const saves = writeJSON.mock.calls.filter(call => call.arguments[0].endsWith(`${job.id}.json`));
+    // queued, running, completed: the six chunks fall within the 5 s interval
+    assert.deepEqual(saves.map(call => call.arguments[1].status), ['queued', 'running', 'completed']);
+});
+
+test('removes finished jobs and their files once JOB_RETENTION_DAYS have passed', async t => {
+    t.mock.method(processXlf, 'processTranslation', translateChunks);
+
+    const job = await jobs.createJob({ xlfContent: xliff12([{ id: 'a', source: 'Hello' }]), targetLang: 'de', useGlossary: false });
+    await waitForJob(job.id);
+    const jobFiles = () => fs.readdirSync(storage.getDataPath('jobs')).filter(name => name.startsWith(job.id));
+    assert.deepEqual(jobFiles().sort(), [`${job.id}.json`, `${job.id}.result.xlf`, `${job.id}.source.xlf`]);
+
+    assert.equal(await jobs.sweepFinishedJobs(), 0);
+    assert.ok(jobs.getJob(job.id));
+
+    const eightDays = 8 * 24 * 60 * 60 * 1000;
+    assert.ok(await jobs.sweepFinishedJobs(Date.now() + eightDays) >= 1);
+    assert.equal(jobs.getJob(job.id), null);
+    assert.deepEqual(jobFiles(), []);
+});
@@ -0,0 +1,72 @@
+// Read once when api/logger.js loads (each test file runs in a process of its own)
+process.env.LOG_LEVEL = 'debug';
+process.env.LOG_TEXT_CONTENT = 'true';
+
+const { startServer } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const logger = require('../api/logger');
+
+// Log lines written while fn runs, parsed from the JSON format
+async function captureLines(t, fn) {
+    const lines = [];
+    const keep = line => lines.push(JSON.parse(line));
+    t.mock.method(console, 'log', keep);
+    t.mock.method(console, 'error', keep);
+    await fn();
+    console.log.mock.restore();
+    console.error.mock.restore();
+    return lines;
+}
+
+test('writes client text only as a preview when LOG_TEXT_CONTENT is on', async t => {
+    const log = logger.createLogger('TEST');
+    const lines = await captureLines(t, () => {
+        log.info('Translated', { source: logger.content('x'.repeat(150)), count: 2 });
+        log.error('Failed', { error: Object.assign(new Error('Boom'), { status: 503 }) });
+    });
+
+    assert.equal(lines[0].source, `${'x'.repeat(100)}…`);
+    assert.equal(lines[0].component, 'TEST');
+    assert.deepEqual([lines[1].level, lines[1].error, lines[1].errorStatus], ['error', 'Boom', 503]);
+    assert.match(lines[1].stack, /^Error: Boom/);
+    assert.equal(logger.content(42), undefined);
+});
+
+test('leaves client text out of the logs by default', () => {
+    const script = `process.stdout.write(String(require(${JSON.stringify(path.join(__dirname, '..', 'api', 'logger'))}).content('secret')))`;
+    const result = spawnSync(process.execPath, ['-e', script], {
+        encoding: 'utf8',
+        timeout: 10000,
+        env: { ...process.env, LOG_TEXT_CONTENT: '' }
+    });
+
+    assert.equal(result.stdout, 'undefined');
+});
+
+test('returns the caller\'s X-Request-Id, or a new one, and tags the request\'s log lines', async t => {
+    const server = await startServer();
+
+    try {
+        const lines = await captureLines(t, async () => {
+            const echoed = await fetch(`${server.url}/api/auth/me`, { headers: { 'X-Request-Id': 'ci-run.42' } });
+            assert.equal(echoed.headers.get('X-Request-Id'), 'ci-run.42');
+            await echoed.text();
+
+            const invalid = await fetch(`${server.url}/api/auth/me`, { headers: { 'X-Request-Id': 'x'.repeat(65) } });
+            assert.match(invalid.headers.get('X-Request-Id'), /^[a-f0-9]{16}$/);
+            await invalid.text();
+        });
+
+        const completed = lines.filter(line => line.message === 'Request completed');
+        assert.equal(completed.length, 2);
+        assert.deepEqual([completed[0].requestId, completed[0].path, completed[0].status], ['ci-run.42', '/api/auth/me', 200]);
+        assert.match(completed[1].requestId, /^[a-f0-9]{16}$/);
+    } finally {
+        await server.close();
+    }
+});
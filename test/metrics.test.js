@@ -0,0 +1,45 @@
+// Read once when server.js loads (each test file runs in a process of its own)
+process.env.METRICS_TOKEN = 'scrape-token';
+
+const { startServer, httpError } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const processXlf = require('../api/process-xlf');
+const mock = require('../api/providers/mock');
+
+test('exposes request, chunk and retry metrics to the scraper with the token', async t => {
+    const server = await startServer();
+    const scrape = () => fetch(`${server.url}/metrics`, { headers: { Authorization: 'Bearer scrape-token' } });
+
+    try {
+        assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+
+        await fetch(`${server.url}/api/jobs/0d6f3a52-1111-4222-8333-944455556666`);
+        await fetch(`${server.url}/api/jobs/0d6f3a52-7777-4888-9999-000011112222`);
+
+        const mockComplete = mock.complete;
+        let calls = 0;
+        t.mock.method(mock, 'complete', async request => {
+            if (calls++ === 0) throw httpError(503);
+            return mockComplete(request);
+        });
+        await processXlf.processTranslation({ chunkTexts: ['Hello'], targetLang: 'fr', useGlossary: false, providerOptions: { provider: 'mock' } });
+
+        const response = await scrape();
+        const text = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(text, /^# TYPE xlf_http_requests_total counter$/m);
+        assert.match(text, /^xlf_http_requests_total\{method="GET",route="\/api\/jobs\/:id",status="404"\} 2$/m);
+        assert.match(text, /^xlf_provider_calls_total\{provider="mock",task="translate"\} 2$/m);
+        assert.match(text, /^xlf_provider_errors_total\{provider="mock",status="503"\} 1$/m);
+        assert.match(text, /^xlf_retries_total\{reason="provider"\} 1$/m);
+        assert.match(text, /^xlf_chunk_duration_seconds_count\{outcome="success"\} 1$/m);
+        assert.match(text, /^xlf_chunk_duration_seconds_bucket\{outcome="success",le="\+Inf"\} 1$/m);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,133 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const processXlf = require('../api/process-xlf');
+const translationMemory = require('../api/translation-memory');
+const mock = require('../api/providers/mock');
+const { httpError } = require('./helpers');
+
+const mockComplete = mock.complete;
+
+// Mock provider whose responses go through `edit`; records the texts of each call
+function editResponses(t, edit) {
+    const calls = [];
+    t.mock.method(mock, 'complete', async request => {
+        calls.push(request.meta.texts);
+        return edit(await mockComplete(request), request.meta.texts, calls.length);
+    });
+    return calls;
+}
+
+const without = (completion, ...indices) => {
+    const translations = JSON.parse(completion.text);
+    indices.forEach(index => delete translations[index]);
+    return { ...completion, text: JSON.stringify(translations) };
+};
+
+const translate = (chunkTexts, options = {}) => processXlf.processTranslation({
+    chunkTexts,
+    sourceLang: 'en',
+    targetLang: 'fr',
+    useGlossary: false,
+    localeTypography: false,
+    providerOptions: { provider: 'mock' },
+    ...options
+});
+
+test('translates a chunk with the mock provider and keeps inline codes', async () => {
+    const result = await translate(['Hello <g id="1">world</g>', 'Bye']);
+
+    assert.deepEqual(result.translations, { 0: '[fr] Hello <g id="1">world</g>', 1: '[fr] Bye' });
+    assert.deepEqual(result.segments, { 0: { status: 'translated' }, 1: { status: 'translated' } });
+});
+
+test('never reads test-provider output from the TM or writes it there', async () => {
+    await translationMemory.addEntries([{ source: 'Stored', target: 'Enregistré' }], 'en', 'fr');
+
+    for (const provider of ['mock', 'identity']) {
+        const result = await translate(['Stored', `New for ${provider}`], { providerOptions: { provider } });
+        assert.equal(result.stats.tmHits, 0, provider);
+    }
+    const pseudo = await translate(['Stored'], { targetLang: 'qps-ploc' });
+    assert.equal(pseudo.stats.tmHits, 0);
+
+    const stats = await translationMemory.getStats();
+    assert.deepEqual(stats.languagePairs, { 'en|fr': 1 });
+});
+
+test('marks every segment of a chunk failed when the provider keeps failing', async t => {
+    const complete = t.mock.method(mock, 'complete', async () => {
+        throw httpError(503);
+    });
+
+    const result = await translate(['One', 'Two']);
+
+    assert.deepEqual(result.translations, {});
+    assert.deepEqual(result.segments, {
+        0: { status: 'failed', error: 'Mock error 503' },
+        1: { status: 'failed', error: 'Mock error 503' }
+    });
+    assert.equal(result.stats.rateLimited, false);
+    assert.equal(complete.mock.callCount(), 4);
+});
+
+test('reports a chunk that stayed rate limited after the retries', async t => {
+    t.mock.method(mock, 'complete', async () => {
+        throw httpError(429);
+    });
+
+    const result = await translate(['One']);
+
+    assert.equal(result.segments[0].status, 'failed');
+    assert.equal(result.stats.rateLimited, true);
+});
+
+test('resends the indices the model left out', async t => {
+    const calls = editResponses(t, (completion, texts, call) => call === 1 ? without(completion, 1) : completion);
+
+    const result = await translate(['One', 'Two', 'Three']);
+
+    assert.deepEqual(calls, [['One', 'Two', 'Three'], ['Two']]);
+    assert.deepEqual(result.translations, { 0: '[fr] One', 1: '[fr] Two', 2: '[fr] Three' });
+});
+
+test('reports a segment still missing after the resends as failed, not as a tag mismatch', async t => {
+    const calls = editResponses(t, (completion, texts) => without(completion, texts.length === 1 ? 0 : 1));
+
+    const result = await translate(['One', 'Two <g id="1">x</g>']);
+
+    // MISSING_INDEX_RETRIES defaults to 2
+    assert.equal(calls.length, 3);
+    assert.deepEqual(result.segments, {
+        0: { status: 'translated' },
+        1: { status: 'failed', error: 'missing from model response' }
+    });
+    assert.deepEqual(result.tagIssues, {});
+});
+
+test('keeps the complete entries of a truncated response and splits the rest in half', async t => {
+    const calls = editResponses(t, (completion, texts, call) => call === 1
+        ? { ...completion, text: '{"0": "[fr] A", "1": "[fr] B", "2": "[f', stopReason: 'max_tokens' }
+        : completion);
+
+    const result = await translate(['A', 'B', 'C', 'D', 'E']);
+
+    assert.deepEqual(calls, [['A', 'B', 'C', 'D', 'E'], ['C', 'D'], ['E']]);
+    assert.deepEqual(Object.values(result.translations), ['[fr] A', '[fr] B', '[fr] C', '[fr] D', '[fr] E']);
+});
+
+test('parses translations wrapped in prose, code fences, arrays or a translations object', () => {
+    const parse = processXlf.parseTranslationResponse;
+
+    assert.deepEqual(parse('Here you go:\n```json\n{"0": "Un", "1": "Deux"}\n```\nDone.', 2), { 0: 'Un', 1: 'Deux' });
+    assert.deepEqual(parse('["Un", "Deux"]', 2), { 0: 'Un', 1: 'Deux' });
+    assert.deepEqual(parse('{"translations": {"0": "Un"}}', 1), { 0: 'Un' });
+    // Only string values for expected indices
+    assert.deepEqual(parse('{"0": "Un", "1": 2, "5": "Six", "x": "?"}', 2), { 0: 'Un' });
+    // Truncated output: complete pairs are salvaged, escapes included
+    assert.deepEqual(parse('{"0": "Dit \\"oui\\"", "1": "De', 2), { 0: 'Dit "oui"' });
+    assert.deepEqual(parse('', 1), {});
+    assert.deepEqual(parse('Sorry, I cannot help.', 1), {});
+});
@@ -0,0 +1,58 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const providers = require('../api/providers');
+const mock = require('../api/providers/mock');
+const { httpError } = require('./helpers');
+
+test('takes maxTokens from the request, then the environment, then the task default', t => {
+    t.after(() => delete process.env.TRANSLATION_MAX_TOKENS);
+
+    assert.equal(providers.resolveProviderSettings('translate', { provider: 'mock' }).maxTokens, 8000);
+    assert.equal(providers.resolveProviderSettings('context', { provider: 'mock' }).maxTokens, 1000);
+    assert.equal(providers.resolveProviderSettings('translate', { provider: 'mock', maxTokens: '2000' }).maxTokens, 2000);
+
+    process.env.TRANSLATION_MAX_TOKENS = '4000';
+    assert.equal(providers.resolveProviderSettings('translate', { provider: 'mock' }).maxTokens, 4000);
+});
+
+test('caps a requested maxTokens at the server limit and ignores invalid values', () => {
+    assert.equal(providers.resolveProviderSettings('translate', { provider: 'mock', maxTokens: 10000000 }).maxTokens, 32000);
+    assert.equal(providers.resolveProviderSettings('translate', { provider: 'mock', maxTokens: -5 }).maxTokens, 8000);
+    assert.equal(providers.resolveProviderSettings('translate', { provider: 'mock', maxTokens: 'lots' }).maxTokens, 8000);
+});
+
+test('rejects unknown providers', () => {
+    assert.throws(() => providers.resolveProviderSettings('translate', { provider: 'nope' }), /Unknown translation provider "nope"/);
+});
+
+test('retries 429 and 5xx responses with backoff, then returns the completion', async t => {
+    const failures = [httpError(429), httpError(503)];
+    const complete = t.mock.method(mock, 'complete', async () => {
+        if (failures.length > 0) throw failures.shift();
+        return { text: 'ok', usage: { inputTokens: 1, outputTokens: 1 }, stopReason: 'end', model: 'mock-1' };
+    });
+
+    const result = await providers.complete('translate', 'prompt', { provider: 'mock' });
+
+    assert.equal(result.text, 'ok');
+    assert.equal(result.provider, 'mock');
+    assert.equal(complete.mock.callCount(), 3);
+});
+
+test('fails at once on other errors and gives up after the last retry', async t => {
+    const complete = t.mock.method(mock, 'complete', async () => {
+        throw httpError(400);
+    });
+    await assert.rejects(providers.complete('translate', 'prompt', { provider: 'mock' }), error => error.status === 400 && error.attempts === 1);
+    assert.equal(complete.mock.callCount(), 1);
+
+    complete.mock.mockImplementation(async () => {
+        throw httpError(500);
+    });
+    // PROVIDER_MAX_RETRIES defaults to 3: four attempts in all
+    await assert.rejects(providers.complete('translate', 'prompt', { provider: 'mock' }), error => error.status === 500 && error.attempts === 4);
+    assert.equal(complete.mock.callCount(), 5);
+});
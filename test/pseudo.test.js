@@ -0,0 +1,44 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const pseudo = require('../api/providers/pseudo');
+const processXlf = require('../api/process-xlf');
+
+test('swaps letters for lookalikes, pads by the expansion and wraps in brackets', () => {
+    assert.equal(pseudo.pseudoLocalize('Save file', { expansion: 50 }), '[Šåṽé ƒîļé ~~~~]');
+    assert.equal(pseudo.pseudoLocalize('Save', { expansion: 0 }), '[Šåṽé]');
+    assert.equal(pseudo.pseudoLocalize('  '), '  ');
+});
+
+test('copies tags, tokens, placeholders, entities and URLs unchanged', () => {
+    const text = 'Hi <g id="1">%s</g> ⟦2/⟧ &amp; ${name} {count} https://example.com/a';
+
+    assert.equal(
+        pseudo.pseudoLocalize(text, { expansion: 0 }),
+        '[Ĥî <g id="1">%s</g> ⟦2/⟧ &amp; ${name} {count} https://example.com/a]'
+    );
+});
+
+test('pseudo-localizes only the case messages of ICU plurals', () => {
+    assert.equal(
+        pseudo.pseudoLocalize('{n, plural, one {# file} other {# files}}', { expansion: 0 }),
+        '[{n, plural, one {# ƒîļé} other {# ƒîļéš}}]'
+    );
+});
+
+test('mirrors right-to-left pseudo-locales', () => {
+    assert.equal(pseudo.pseudoLocalize('Go', { expansion: 0, mirrored: true }), '\u202E[Ĝö]\u202C');
+});
+
+test('translating into qps-ploc uses the pseudo provider without any other provider', async () => {
+    const result = await processXlf.processTranslation({
+        chunkTexts: ['Open <g id="1">menu</g>'],
+        sourceLang: 'en',
+        targetLang: 'qps-ploc',
+        providerOptions: { pseudoExpansion: 0 }
+    });
+
+    assert.deepEqual(result.translations, { 0: '[Öþéñ <g id="1">ɱéñû</g>]' });
+});
@@ -0,0 +1,52 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const qa = require('../api/qa');
+const { xliff12 } = require('./helpers');
+
+const checksOf = (report, id) => report.issues.filter(issue => issue.id === id).map(issue => issue.check).sort();
+
+test('reports each kind of issue on the unit it belongs to', () => {
+    const report = qa.runQAChecks(xliff12([
+        { id: 'ok', source: 'Save <g id="1">now</g>.', target: 'Guardar <g id="1">ahora</g>.' },
+        { id: 'missing', source: 'Open' },
+        { id: 'tags', source: 'Click <g id="1">here</g>', target: 'Haga clic aquí' },
+        { id: 'numbers', source: 'Wait 10 minutes', target: 'Espere 15 minutos' },
+        { id: 'url', source: 'See https://example.com/a', target: 'Vea https://example.com/b' },
+        { id: 'punctuation', source: 'Done!', target: 'Hecho' },
+        { id: 'leftover', source: 'Welcome', target: '[es] Bienvenido' },
+        { id: 'skipped', source: 'Code', target: 'Code', attributes: ' translate="no"' }
+    ], { targetLang: 'es' }));
+
+    assert.equal(report.summary.totalUnits, 7);
+    assert.deepEqual(checksOf(report, 'ok'), []);
+    assert.deepEqual(checksOf(report, 'missing'), ['untranslated']);
+    assert.deepEqual(checksOf(report, 'tags'), ['tag-mismatch']);
+    assert.deepEqual(checksOf(report, 'numbers'), ['number-mismatch']);
+    assert.deepEqual(checksOf(report, 'url'), ['url-mismatch']);
+    assert.deepEqual(checksOf(report, 'punctuation'), ['punctuation-mismatch']);
+    assert.deepEqual(checksOf(report, 'leftover'), ['leftover-placeholder']);
+    assert.deepEqual(checksOf(report, 'skipped'), []);
+});
+
+test('filters by severity and check id', () => {
+    const xlf = xliff12([
+        { id: 'a', source: 'Wait 10 minutes', target: 'Espere 15 minutos' },
+        { id: 'b', source: 'Open' }
+    ]);
+
+    assert.deepEqual(qa.runQAChecks(xlf, { severity: 'error' }).issues.map(issue => issue.check), ['untranslated']);
+    assert.deepEqual(qa.runQAChecks(xlf, { checks: 'number-mismatch' }).issues.map(issue => issue.id), ['a']);
+    assert.throws(() => qa.runQAChecks(xlf, { severity: 'fatal' }), /Unknown severity/);
+});
+
+test('renders an HTML report with the issue texts escaped', () => {
+    const report = qa.runQAChecks(xliff12([{ id: 'a', source: 'Click <g id="1">here</g>', target: 'x' }]));
+    const html = qa.renderHTMLReport(report, 'Report <1>');
+
+    assert.match(html, /<title>Report &lt;1&gt;<\/title>/);
+    assert.match(html, /<td>a<\/td>\s*<td>tag-mismatch<\/td>/);
+    assert.match(html, /Click &lt;g id=&quot;1&quot;&gt;here&lt;\/g&gt;/);
+});
@@ -0,0 +1,36 @@
+// Read once when api/auth.js loads (each test file runs in a process of its own)
+process.env.TRUST_PROXY = '1';
+process.env.RATE_LIMIT_PER_MINUTE = '2';
+
+const { startServer } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+test('limits each client IP behind the trusted proxy separately', async () => {
+    const server = await startServer();
+    const statusFor = async ip => (await fetch(`${server.url}/api/auth/me`, { headers: { 'X-Forwarded-For': ip } })).status;
+
+    try {
+        assert.deepEqual([await statusFor('203.0.113.1'), await statusFor('203.0.113.1'), await statusFor('203.0.113.1')], [200, 200, 429]);
+        assert.equal(await statusFor('203.0.113.2'), 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('starts a new window once the minute is over', async t => {
+    const server = await startServer();
+    const statusFor = async () => (await fetch(`${server.url}/api/auth/me`, { headers: { 'X-Forwarded-For': '198.51.100.7' } })).status;
+    const now = Date.now();
+
+    try {
+        t.mock.method(Date, 'now', () => now);
+        assert.deepEqual([await statusFor(), await statusFor(), await statusFor()], [200, 200, 429]);
+
+        t.mock.method(Date, 'now', () => now + 61000);
+        assert.equal(await statusFor(), 200);
+    } finally {
+        await server.close();
+    }
+});
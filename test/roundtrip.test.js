@@ -0,0 +1,79 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const xlfParser = require('../api/xlf-parser');
+const roundTrip = require('../api/roundtrip');
+
+const MESSY_XLF12 = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!-- exported by a tool that writes CRLF and single quotes -->',
+    "<xliff version='1.2' xmlns='urn:oasis:names:tc:xliff:document:1.2'>",
+    "  <file source-language='en' datatype='html' original='page.html'>",
+    '    <header><note>Keep &amp; ignore</note></header>',
+    '    <body>',
+    "      <group id='g1' xml:space='preserve'>",
+    "        <trans-unit id='1' resname='title'>",
+    '          <source>  Two  spaces &amp; an <g id="1">entity</g>  </source>',
+    '          <alt-trans><target>Ignored</target></alt-trans>',
+    '          <note from="dev">Page title</note>',
+    '        </trans-unit>',
+    '      </group>',
+    '      <trans-unit id="2">',
+    '        <source><![CDATA[<b>raw</b>]]> text</source>',
+    '        <target state="needs-translation"/>',
+    '      </trans-unit>',
+    '      <!-- <trans-unit id="ghost"><source>Commented out</source></trans-unit> -->',
+    '      <trans-unit id="3" translate="no"><source>SKU-42</source></trans-unit>',
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    ''
+].join('\r\n');
+
+const XLF20 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en">
+  <file id="f1">
+    <unit id="u1">
+      <segment id="s1"><source>First sentence.</source></segment>
+      <ignorable><source> </source></ignorable>
+      <segment id="s2"><source>Second <pc id="1">one</pc>.</source></segment>
+    </unit>
+  </file>
+</xliff>
+`;
+
+test('a 1.2 file with comments, CDATA, CRLF and xml:space comes back byte-identical', async () => {
+    const result = await roundTrip.runRoundTrip(MESSY_XLF12);
+
+    assert.deepEqual(result.differences, []);
+    assert.deepEqual(result.segmentMismatches, []);
+    assert.equal(result.identical, true);
+});
+
+test('a 2.0 file with several segments and an ignorable comes back byte-identical', async () => {
+    const result = await roundTrip.runRoundTrip(XLF20);
+
+    assert.equal(result.identical, true);
+    assert.deepEqual(xlfParser.parseXLF(result.xlfContent).units.map(unit => unit.target), ['First sentence.', 'Second <pc id="1">one</pc>.']);
+});
+
+test('assembly changes nothing outside the written targets and states', () => {
+    const { xlfContent } = xlfParser.assembleXLF(MESSY_XLF12, { 1: 'Dos', 2: 'texto' }, { targetLang: 'es' });
+
+    assert.equal(roundTrip.stripWrittenMarkup(xlfContent), roundTrip.stripWrittenMarkup(MESSY_XLF12));
+    assert.match(xlfContent, /<\/source><target state="translated" xml:lang="es">  Dos  <\/target>\r\n          <alt-trans><target>Ignored<\/target><\/alt-trans>/);
+});
+
+test('reads xml:space and translate="no" inherited from enclosing elements', () => {
+    const units = xlfParser.parseXLF(MESSY_XLF12).units;
+
+    assert.deepEqual(units.map(unit => [unit.id, unit.preserveSpace, unit.translatable]), [
+        ['1', true, true],
+        ['2', false, true],
+        ['3', false, false]
+    ]);
+    assert.equal(units[0].resname, 'title');
+    assert.deepEqual(units[0].notes, ['Page title']);
+});
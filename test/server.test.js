@@ -0,0 +1,53 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const storage = require('../api/storage');
+const { xliff12, startServer } = require('./helpers');
+
+test('serves the frontend but none of the files under data/', async () => {
+    await storage.writeJSON(storage.getDataPath('translation-memory.json'), { version: 1, entries: { 'en|es': { secret: { target: 'secreto' } } } });
+    const server = await startServer();
+
+    try {
+        const index = await fetch(`${server.url}/`);
+        assert.match(await index.text(), /<html/i);
+
+        for (const file of ['/data/translation-memory.json', '/server.js', '/api/auth.js', '/package.json']) {
+            const response = await fetch(`${server.url}${file}`);
+            assert.doesNotMatch(await response.text(), /secreto|require\(|"dependencies"/, file);
+        }
+    } finally {
+        await server.close();
+    }
+});
+
+test('refuses mock and identity in a request\'s providerOptions', async () => {
+    const server = await startServer();
+    const post = (path, body) => fetch(`${server.url}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        for (const provider of ['mock', 'identity', 'MOCK']) {
+            const response = await post('/api/process-xlf', { chunkTexts: ['Hello'], targetLang: 'fr', providerOptions: { provider } });
+            assert.equal(response.status, 400, provider);
+            assert.equal((await response.json()).code, 'provider-not-allowed');
+        }
+
+        const query = await fetch(`${server.url}/api/translate-file?targetLang=fr&providerOptions[provider]=identity`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/xml' },
+            body: xliff12([{ id: 'a', source: 'Hello' }])
+        });
+        assert.equal(query.status, 400);
+
+        const pseudo = await post('/api/process-xlf', { chunkTexts: ['Hello'], targetLang: 'qps-ploc', providerOptions: { provider: 'pseudo' } });
+        assert.equal(pseudo.status, 200);
+    } finally {
+        await server.close();
+    }
+});
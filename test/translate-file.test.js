@@ -0,0 +1,95 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const translateFile = require('../api/translate-file');
+const mock = require('../api/providers/mock');
+const { xliff12, xliff20, httpError } = require('./helpers');
+
+const mockComplete = mock.complete;
+
+// Mock provider that keeps every translation prompt
+function capturePrompts(t) {
+    const prompts = [];
+    t.mock.method(mock, 'complete', async request => {
+        prompts.push(request.prompt);
+        return mockComplete(request);
+    });
+    return prompts;
+}
+
+const run = (xlfContent, options = {}) => translateFile.translateFile({
+    xlfContent,
+    useGlossary: false,
+    localeTypography: false,
+    providerOptions: { provider: 'mock' },
+    ...options
+});
+
+test('leaves failed segments marked needs-translation and never approved', async t => {
+    t.mock.method(mock, 'complete', async () => {
+        throw httpError(503);
+    });
+
+    const xlf12 = await run(xliff12([{ id: 'a', source: 'A', target: 'Old', attributes: ' approved="yes"' }], { targetLang: 'fr' }));
+    assert.equal(xlf12.success, true);
+    assert.deepEqual(xlf12.failedSegments, { a: { status: 'failed', error: 'Mock error 503' } });
+    assert.equal(xlf12.stats.failedSegments, 1);
+    assert.match(xlf12.xlfContent, /<trans-unit id="a">/);
+    assert.match(xlf12.xlfContent, /<target state="needs-translation"/);
+
+    const xlf20 = await run(xliff20([{ id: 'a', segments: [{ source: 'A', target: 'Old', state: 'final' }] }], { targetLang: 'fr' }));
+    assert.match(xlf20.xlfContent, /<segment state="initial">/);
+    assert.doesNotMatch(xlf20.xlfContent, /state="final"/);
+});
+
+test('describes each text with its resname, notes and context in the prompt', async t => {
+    const prompts = capturePrompts(t);
+
+    await run(xliff12([
+        {
+            id: 'save',
+            source: 'Save',
+            attributes: ' resname="toolbar.save"',
+            extra: '<note>Button label, max 10 characters</note><context-group><context context-type="x-screen">Editor</context><context context-type="sourcefile">app.js</context></context-group>'
+        },
+        { id: 'plain', source: 'Plain' }
+    ], { targetLang: 'fr' }));
+
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /0: "Save"\n   ↳ resname "toolbar\.save"; note: Button label, max 10 characters; x-screen: Editor\n1: "Plain"$/);
+    assert.doesNotMatch(prompts[0], /app\.js/);
+    assert.match(prompts[0], /Lines starting with ↳ describe the text above them/);
+});
+
+test('sends the segments around each chunk as read-only neighbours', async t => {
+    const prompts = capturePrompts(t);
+    const xlfContent = xliff12(['A', 'B', 'C', 'D', 'E'].map(id => ({ id, source: `Text ${id}` })), { targetLang: 'fr' });
+
+    await run(xlfContent, { chunkSize: 2, neighborSegments: 1, concurrency: 1 });
+
+    assert.equal(prompts.length, 3);
+    assert.doesNotMatch(prompts[0], /Before:/);
+    assert.match(prompts[0], /SURROUNDING SEGMENTS[^]*After:\n- "Text C"\n\nTEXTS TO TRANSLATE:\n0: "Text A"\n1: "Text B"$/);
+    assert.match(prompts[1], /Before:\n- "Text B"\nAfter:\n- "Text E"/);
+    assert.match(prompts[2], /Before:\n- "Text D"\n\nTEXTS TO TRANSLATE:\n0: "Text E"$/);
+
+    prompts.length = 0;
+    await run(xlfContent, { chunkSize: 2, neighborSegments: 0 });
+    prompts.forEach(prompt => assert.doesNotMatch(prompt, /SURROUNDING SEGMENTS/));
+});
+
+test('takes neighbours from segments the incremental plan skips', async t => {
+    const prompts = capturePrompts(t);
+
+    await run(xliff12([
+        { id: 'a', source: 'Kept before', target: 'Gardé avant' },
+        { id: 'b', source: 'New' },
+        { id: 'c', source: 'Kept after', target: 'Gardé après' }
+    ], { targetLang: 'fr' }), { incremental: true, neighborSegments: 1 });
+
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /Before:\n- "Kept before"\nAfter:\n- "Kept after"/);
+    assert.match(prompts[0], /TEXTS TO TRANSLATE:\n0: "New"$/);
+});
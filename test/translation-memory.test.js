@@ -0,0 +1,71 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const storage = require('../api/storage');
+const translationMemory = require('../api/translation-memory');
+
+const TM_FILE = storage.getDataPath('translation-memory.json');
+
+const readStoredEntries = () => JSON.parse(fs.readFileSync(TM_FILE, 'utf8')).entries;
+
+test('returns exact matches and fuzzy suggestions above the threshold', async () => {
+    await translationMemory.addEntries([
+        { source: 'Save the file', target: 'Guardar el archivo' },
+        { source: 'Open the settings page', target: 'Abrir la página de ajustes' }
+    ], 'en', 'es');
+
+    const { exact, fuzzy } = await translationMemory.lookupSegments(
+        ['Save the file', 'Open the settings panel', 'Something else entirely'], 'en', 'es');
+
+    assert.deepEqual(exact, { 0: 'Guardar el archivo' });
+    assert.deepEqual(Object.keys(fuzzy), ['1']);
+    assert.equal(fuzzy[1].source, 'Open the settings page');
+    assert.equal(fuzzy[1].score, 0.75);
+});
+
+test('keeps language pairs apart', async () => {
+    const { exact } = await translationMemory.lookupSegments(['Save the file'], 'en', 'fr');
+
+    assert.deepEqual(exact, {});
+});
+
+test('stores the usage count of exact matches', async () => {
+    await translationMemory.addEntries([{ source: 'Counted', target: 'Contado' }], 'en', 'es');
+    await translationMemory.lookupSegments(['Counted'], 'en', 'es');
+    await translationMemory.lookupSegments(['Counted'], 'en', 'es');
+
+    assert.equal(readStoredEntries()['en|es'].Counted.usageCount, 2);
+});
+
+test('imports every target variant of a TMX unit and exports it back', async () => {
+    const result = await translationMemory.importTMX(`<?xml version="1.0"?>
+<tmx version="1.4">
+  <header srclang="en-US" datatype="plaintext"/>
+  <body>
+    <tu>
+      <tuv xml:lang="en-US"><seg>Next page</seg></tuv>
+      <tuv xml:lang="de-DE"><seg>Nächste Seite</seg></tuv>
+      <tuv xml:lang="it"><seg>Pagina successiva</seg></tuv>
+    </tu>
+    <tu><tuv xml:lang="de"><seg>Ohne Quelle</seg></tuv></tu>
+  </body>
+</tmx>`);
+
+    assert.equal(result.translationUnits, 1);
+    assert.equal(result.entriesImported, 2);
+    assert.deepEqual(result.languagePairs.sort(), ['en|de', 'en|it']);
+
+    const { exact } = await translationMemory.lookupSegments(['Next page'], 'en', 'de');
+    assert.deepEqual(exact, { 0: 'Nächste Seite' });
+
+    const tmx = await translationMemory.exportTMX({ sourceLang: 'en', targetLang: 'it' });
+    assert.match(tmx, /<header [^>]*srclang="en"/);
+    assert.match(tmx, /<tuv xml:lang="en"><seg>Next page<\/seg><\/tuv>\s*<tuv xml:lang="it"><seg>Pagina successiva<\/seg><\/tuv>/);
+    assert.doesNotMatch(tmx, /Nächste Seite/);
+
+    const reimported = await translationMemory.importTMX(tmx);
+    assert.equal(reimported.entriesImported, 1);
+});
@@ -0,0 +1,83 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const typography = require('../api/typography');
+const languages = require('../api/languages');
+const xlfParser = require('../api/xlf-parser');
+const { xliff12, xliff20 } = require('./helpers');
+
+const NBSP = '\u00A0';
+const NARROW_NBSP = '\u202F';
+const LRI = '\u2066';
+const PDI = '\u2069';
+
+test('French: no-break spaces before : and inside « », narrow ones before ; ! ?', () => {
+    assert.equal(
+        typography.applyTypography('Attention: voici "mon texte"! Prêt?', 'fr'),
+        `Attention${NBSP}: voici «${NBSP}mon texte${NBSP}»${NARROW_NBSP}! Prêt${NARROW_NBSP}?`
+    );
+    assert.equal(typography.applyTypography('Note: prêt?', 'fr-CA'), `Note${NBSP}: prêt?`);
+});
+
+test('French spacing also follows symbols and percentages', () => {
+    assert.equal(typography.applyTypography('Prix : 10 €; remise 50 %! Total 5 $?', 'fr'),
+        `Prix${NBSP}: 10 €${NARROW_NBSP}; remise 50 %${NARROW_NBSP}! Total 5 $${NARROW_NBSP}?`);
+    assert.equal(typography.applyTypography('Taux: 20 %', 'fr-CA'), `Taux${NBSP}: 20 %`);
+    assert.equal(typography.applyTypography('Gain 5 %:', 'fr-CA'), `Gain 5 %${NBSP}:`);
+});
+
+test('French spacing leaves times, URLs, tags and placeholders alone', () => {
+    assert.equal(typography.applyTypography('Il est 10:30, voir http://a.b/c?d', 'fr'), 'Il est 10:30, voir http://a.b/c?d');
+    assert.equal(typography.applyTypography('<g id="1">Titre</g>: {name}!', 'fr'), `<g id="1">Titre</g>${NBSP}: {name}${NARROW_NBSP}!`);
+});
+
+test('converts paired straight quotes, &quot; and English curly quotes to the locale marks', () => {
+    assert.equal(typography.applyTypography('Sag "Hallo"', 'de'), 'Sag „Hallo“');
+    assert.equal(typography.applyTypography('Dijo &quot;hola&quot;', 'es'), 'Dijo «hola»');
+    assert.equal(typography.applyTypography('Say “hi”', 'ja'), 'Say 「hi」');
+    assert.equal(typography.applyTypography('Say "hi"', 'zh-TW'), 'Say 「hi」');
+    // An odd count is not a quotation (inches), and German keeps its own “
+    assert.equal(typography.applyTypography('A 24" screen', 'es'), 'A 24" screen');
+    assert.equal(typography.applyTypography('Say “hi”', 'de'), 'Say “hi”');
+});
+
+test('isolates Latin text and compound numbers in right-to-left targets', () => {
+    assert.equal(
+        typography.applyTypography('افتح Google Chrome الآن 2024-01-15.', 'ar'),
+        `افتح ${LRI}Google Chrome${PDI} الآن ${LRI}2024-01-15${PDI}.`
+    );
+    assert.equal(typography.applyTypography('שלום world', 'he'), `שלום ${LRI}world${PDI}`);
+    assert.equal(typography.applyTypography('Only Latin text', 'ar'), 'Only Latin text');
+});
+
+test('applying the typography twice changes nothing', () => {
+    for (const [text, lang] of [['Attention: voici "mon texte"! Prêt?', 'fr'], ['افتح Google Chrome 2024-01-15.', 'ar'], ['Sag "Hallo"', 'de']]) {
+        const once = typography.applyTypography(text, lang);
+        assert.equal(typography.applyTypography(once, lang), once, lang);
+    }
+});
+
+test('is on unless the request or LOCALE_TYPOGRAPHY turns it off', () => {
+    assert.equal(typography.isEnabled(), true);
+    assert.equal(typography.isEnabled(true), true);
+    assert.equal(typography.isEnabled(false), false);
+    assert.equal(typography.isEnabled('false'), false);
+});
+
+test('normalizes language codes for pair keys and BCP-47 metadata', () => {
+    assert.deepEqual(['es-ES', 'zh-Hant', 'zh_TW', 'zh', 'qps-ploc', 'EN_us'].map(languages.normalizeLang), ['es', 'zh-tw', 'zh-tw', 'zh-cn', 'qps-ploc', 'en']);
+    assert.equal(languages.getPairKey('en-US', 'es_MX'), 'en|es');
+    assert.deepEqual(['zh-cn', 'pt_br', 'sr-latn-rs', 'QPS-PLOC', 'not a tag!'].map(languages.toBCP47), ['zh-CN', 'pt-BR', 'sr-Latn-RS', 'qps-ploc', 'not a tag!']);
+    assert.equal(languages.isPseudoLocale('en_XA'), true);
+});
+
+test('writes the target language as a BCP-47 tag in the assembled XLIFF', () => {
+    const xlf12 = xlfParser.assembleXLF(xliff12([{ id: 'a', source: 'A' }]), { a: 'B' }, { targetLang: 'pt_br' }).xlfContent;
+    const xlf20 = xlfParser.assembleXLF(xliff20([{ id: 'a', segments: [{ source: 'A' }] }]), { a: 'B' }, { targetLang: 'zh-hant-tw' }).xlfContent;
+
+    assert.match(xlf12, /target-language="pt-BR"/);
+    assert.match(xlf12, /<target state="translated" xml:lang="pt-BR">B<\/target>/);
+    assert.match(xlf20, /trgLang="zh-Hant-TW"/);
+});
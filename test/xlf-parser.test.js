@@ -0,0 +1,150 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const xlfParser = require('../api/xlf-parser');
+const { xliff12, xliff20 } = require('./helpers');
+
+test('detects XLIFF 1.2 and 2.0 from the root element', () => {
+    assert.equal(xlfParser.detectXLFVersion(xliff12([])), '1.2');
+    assert.equal(xlfParser.detectXLFVersion(xliff20([])), '2.0');
+    assert.equal(xlfParser.detectXLFVersion('<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0">'), '2.0');
+    assert.throws(() => xlfParser.detectXLFVersion('<root/>'), /missing <xliff> root/);
+});
+
+test('parses 1.2 trans-units with languages, sources and existing targets', () => {
+    const parsed = xlfParser.parseXLF(xliff12([
+        { id: 'a', source: 'Hello <g id="1">world</g>' },
+        { id: 'b', source: 'Bye', target: 'Adiós' }
+    ], { targetLang: 'es' }));
+
+    assert.equal(parsed.version, '1.2');
+    assert.equal(parsed.sourceLang, 'en');
+    assert.equal(parsed.targetLang, 'es');
+    assert.deepEqual(parsed.units.map(unit => [unit.id, unit.source, unit.target]), [
+        ['a', 'Hello <g id="1">world</g>', null],
+        ['b', 'Bye', 'Adiós']
+    ]);
+});
+
+test('parses 2.0 segments, with unit#segment ids for multi-segment units', () => {
+    const parsed = xlfParser.parseXLF(xliff20([
+        { id: 'u1', segments: [{ source: 'One' }] },
+        { id: 'u2', segments: [{ id: 's1', source: 'First' }, { id: 's2', source: 'Second' }] }
+    ]));
+
+    assert.equal(parsed.version, '2.0');
+    assert.equal(parsed.sourceLang, 'en');
+    assert.deepEqual(parsed.units.map(unit => [unit.id, unit.unitId, unit.source]), [
+        ['u1', 'u1', 'One'],
+        ['u2#s1', 'u2', 'First'],
+        ['u2#s2', 'u2', 'Second']
+    ]);
+});
+
+test('skips units inside comments and CDATA', () => {
+    const xlf = xliff12([{ id: 'a', source: 'Kept' }])
+        .replace('<body>', '<body>\n<!-- <trans-unit id="x"><source>Hidden</source></trans-unit> -->');
+
+    assert.deepEqual(xlfParser.parseXLF(xlf).units.map(unit => unit.id), ['a']);
+});
+
+test('assembles 1.2 translations by id: inserted after <source> or replacing the <target>', () => {
+    const xlf = xliff12([
+        { id: 'a', source: 'Hello' },
+        { id: 'b', source: 'Bye', target: 'old' },
+        { id: 'c', source: 'Untouched' }
+    ]);
+    const { xlfContent, applied } = xlfParser.assembleXLF(xlf, { a: 'Bonjour', b: 'Au revoir' });
+
+    assert.equal(applied, 2);
+    assert.match(xlfContent, /<source>Hello<\/source><target state="translated">Bonjour<\/target>/);
+    assert.match(xlfContent, /<target state="translated">Au revoir<\/target>/);
+    assert.doesNotMatch(xlfContent, />old</);
+
+    const reparsed = xlfParser.parseXLF(xlfContent);
+    assert.deepEqual(reparsed.units.map(unit => unit.target), ['Bonjour', 'Au revoir', null]);
+});
+
+test('assembles 2.0 translations into each segment', () => {
+    const xlf = xliff20([
+        { id: 'u1', segments: [{ source: 'One' }] },
+        { id: 'u2', segments: [{ id: 's1', source: 'First' }, { id: 's2', source: 'Second' }] }
+    ]);
+    const { xlfContent } = xlfParser.assembleXLF(xlf, { u1: 'Un', 'u2#s2': 'Deuxième' }, { targetLang: 'fr' });
+    const reparsed = xlfParser.parseXLF(xlfContent);
+
+    assert.equal(reparsed.targetLang, 'fr');
+    assert.deepEqual(reparsed.units.map(unit => [unit.id, unit.target, unit.attributes.state]), [
+        ['u1', 'Un', 'translated'],
+        ['u2#s1', null, undefined],
+        ['u2#s2', 'Deuxième', 'translated']
+    ]);
+});
+
+test('escapes stray markup in plain-text translations and keeps well-formed inline markup', () => {
+    const xlf = xliff12([{ id: 'a', source: 'A' }, { id: 'b', source: 'B' }]);
+    const { xlfContent } = xlfParser.assembleXLF(xlf, { a: 'Tom & Jerry < 3', b: 'Click <g id="1">here</g> &amp; go' });
+    const [a, b] = xlfParser.parseXLF(xlfContent).units;
+
+    assert.equal(a.target, 'Tom &amp; Jerry &lt; 3');
+    assert.equal(b.target, 'Click <g id="1">here</g> &amp; go');
+});
+
+test('gives translations the leading and trailing whitespace of their source', () => {
+    const xlf = xliff12([{ id: 'a', source: '  Hello\n' }]);
+    const { xlfContent } = xlfParser.assembleXLF(xlf, { a: 'Hola' });
+
+    assert.equal(xlfParser.parseXLF(xlfContent).units[0].target, '  Hola\n');
+});
+
+test('marks failed segments as needing translation', () => {
+    const xlf12 = xlfParser.assembleXLF(xliff12([{ id: 'a', source: 'A' }, { id: 'b', source: 'B', target: 'old' }]), {}, { failedIds: ['a', 'b'] }).xlfContent;
+    const xlf20 = xlfParser.assembleXLF(xliff20([{ id: 'u1', segments: [{ source: 'A', state: 'translated' }] }]), {}, { failedIds: ['u1'] }).xlfContent;
+
+    assert.match(xlf12, /<source>A<\/source><target state="needs-translation"\/>/);
+    assert.match(xlf12, /<target state="needs-translation">old<\/target>/);
+    assert.match(xlf20, /<segment state="initial">/);
+});
+
+test('checks XML fragments for well-formedness', () => {
+    assert.equal(xlfParser.isWellFormedFragment('a <g id="1">b</g> &amp; <x id="2"/>'), true);
+    assert.equal(xlfParser.isWellFormedFragment('a <g id="1">b'), false);
+    assert.equal(xlfParser.isWellFormedFragment('a & b'), false);
+    assert.equal(xlfParser.isWellFormedFragment('a < b'), false);
+});
+
+test('resets the state of every re-translated 2.0 segment unless it is approved', () => {
+    const xlf = xliff20([
+        { id: 'u1', segments: [{ source: 'A', target: 'a', state: 'final' }] },
+        { id: 'u2', segments: [{ source: 'B', target: 'b', state: 'reviewed' }] },
+        { id: 'u3', segments: [{ source: 'C', target: 'c', state: 'final' }] },
+        { id: 'u4', segments: [{ source: 'D', target: 'd', state: 'translated' }] },
+        { id: 'u5', segments: [{ source: 'E', target: 'e', state: 'final' }] }
+    ]);
+    const { xlfContent } = xlfParser.assembleXLF(xlf, { u1: 'A1', u2: 'B1', u3: 'C1', u4: 'D1' }, { approvedIds: ['u3', 'u4'] });
+
+    assert.deepEqual(xlfParser.parseXLF(xlfContent).units.map(unit => [unit.id, unit.target, unit.attributes.state]), [
+        ['u1', 'A1', 'translated'],
+        ['u2', 'B1', 'translated'],
+        ['u3', 'C1', 'final'],
+        ['u4', 'D1', 'reviewed'],
+        ['u5', 'e', 'final']
+    ]);
+});
+
+test('drops 1.2 approvals of re-translated units unless they are approved again', () => {
+    const xlf = xliff12([
+        { id: 'a', source: 'A', target: 'a', attributes: ' approved="yes"' },
+        { id: 'b', source: 'B', target: 'b' },
+        { id: 'c', source: 'C', target: 'c', attributes: ' approved="yes"' }
+    ]);
+    const { xlfContent } = xlfParser.assembleXLF(xlf, { a: 'A1', b: 'B1' }, { approvedIds: ['b'] });
+
+    assert.deepEqual(xlfParser.parseXLF(xlfContent).units.map(unit => [unit.id, unit.target, unit.attributes.approved]), [
+        ['a', 'A1', undefined],
+        ['b', 'B1', 'yes'],
+        ['c', 'c', 'yes']
+    ]);
+});